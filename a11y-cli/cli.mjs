@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+import {
+  EXIT_CODES,
+  UsageError,
+  AuditError,
+  parseCommandLine,
+  renderHelp,
+  HELP_OPTION
+} from "axe-report-core";
+import { COMMANDS } from "./commands.mjs";
+
+function renderCommands() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 4;
+  return Object.entries(COMMANDS)
+    .map(([name, command]) => `  ${name.padEnd(width)}${command.summary}`)
+    .join("\n");
+}
+
+function printUsage() {
+  console.log(renderHelp({
+    title: "a11y - axe-core accessibility audits",
+    usage: "a11y <command> [options]",
+    options: [HELP_OPTION],
+    sections: [{ heading: "Commands", body: renderCommands() }],
+    notes: [
+      "Run a11y <command> --help for the options of a command. Options given on the",
+      "command line override the nearest a11y.config.mjs, .js or .json."
+    ],
+    examples: [
+      "a11y audit https://example.com --driver puppeteer",
+      "a11y crawl https://example.com --max-pages 20 --fail-on critical",
+      "a11y diff a11y-baseline.json accessibility-reports/latest/report.json"
+    ]
+  }));
+}
+
+(async () => {
+  const [name, ...args] = process.argv.slice(2);
+
+  if (!name || name === "--help" || name === "-h") {
+    printUsage();
+    process.exitCode = name ? EXIT_CODES.passed : EXIT_CODES.error;
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(`Unknown command "${name}" (expected ${Object.keys(COMMANDS).join(", ")}; see a11y --help)`);
+  }
+
+  const { options, positionals } = parseCommandLine(args, {
+    options: command.options,
+    positionals: command.positionals,
+    command: `a11y ${name}`
+  });
+
+  if (options.help) {
+    console.log(renderHelp({
+      title: `a11y ${name}`,
+      usage: command.usage,
+      description: command.description || command.summary,
+      options: command.options,
+      examples: command.examples
+    }));
+    return;
+  }
+
+  process.exitCode = await command.run(options, positionals);
+})().catch(error => {
+  // Audit failures have already been reported with their category
+  if (!(error instanceof AuditError)) {
+    console.error(error instanceof UsageError ? `❌ ${error.message}` : error);
+  }
+  process.exit(EXIT_CODES.error);
+});
@@ -0,0 +1,363 @@
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import {
+  EXIT_CODES,
+  UsageError,
+  applyGate,
+  worstExitCode,
+  resolveRunOptions,
+  createReportDir,
+  createTimestamp,
+  writeReports,
+  writeSiteReport,
+  pageDirName,
+  loadReportEntries,
+  createBaseline,
+  loadBaseline,
+  diffAgainstBaseline,
+  summarizeDiff,
+  printConsoleSummary,
+  printSiteSummary,
+  printDiffSummary,
+  HELP_OPTION,
+  CONFIG_OPTION,
+  PAGE_OPTIONS,
+  PLUGINS_OPTION,
+  VIEWPORT_OPTIONS,
+  CONCURRENCY_OPTION,
+  SCREENSHOT_OPTIONS,
+  CRAWL_OPTIONS,
+  STATIC_OPTIONS,
+  GATE_OPTIONS,
+  OUTPUT_OPTIONS,
+  AUTH_OPTIONS,
+  BROWSERS
+} from "axe-report-core";
+import { DRIVER_NAMES, createRunner } from "./drivers.mjs";
+
+const DRIVER_OPTION = {
+  name: "driver",
+  alias: "d",
+  value: "name",
+  choices: DRIVER_NAMES,
+  description: "Browser driver: playwright, puppeteer, webdriverio or jsdom (default: playwright)"
+};
+
+const TARGET_OPTIONS = [
+  { name: "url", alias: "u", value: "url", description: "URL to audit (or give it as the first argument)" },
+  { name: "output", alias: "o", value: "dir", key: "outputDir", description: "Output directory (default: ./accessibility-reports)" },
+  {
+    name: "browser",
+    alias: "b",
+    value: "name",
+    choices: BROWSERS,
+    description: "Browser to use: chromium, firefox, webkit (default: chromium; firefox and webkit need the playwright driver)"
+  },
+  { name: "headed", key: "headless", set: false, description: "Show the browser window (default: headless)" }
+];
+
+const REPORT_OUTPUT_OPTION = {
+  name: "output",
+  alias: "o",
+  value: "dir",
+  key: "outputDir",
+  description: "Directory to write the report to"
+};
+
+const RUN_DEFAULTS = {
+  driver: "playwright",
+  outputDir: path.join(process.cwd(), "accessibility-reports"),
+  maxDepth: 2,
+  maxPages: 50,
+  concurrency: 1,
+  failOn: [],
+  budget: {},
+  failOnNew: []
+};
+
+const REPORT_DEFAULTS = {
+  failOn: [],
+  budget: {},
+  failOnNew: []
+};
+
+function withUrl(options, positionals) {
+  if (positionals.length > 0 && options.url) {
+    throw new UsageError("Give the URL either as an argument or with --url, not both");
+  }
+  return positionals.length > 0 ? { ...options, url: positionals[0] } : options;
+}
+
+async function audit(flags, positionals) {
+  const options = await resolveRunOptions(RUN_DEFAULTS, withUrl(flags, positionals));
+  const runner = await createRunner(options.driver, options);
+
+  if (options.flow) {
+    const report = await runner.runFlow(options.flow, { url: options.url });
+    return worstExitCode([
+      report.summary.failedStep ? EXIT_CODES.error : EXIT_CODES.passed,
+      applyGate(report.summary, options)
+    ]);
+  }
+
+  if (options.viewports) {
+    const report = await runner.runViewports();
+    return worstExitCode([
+      report.summary.viewportsFailed > 0 ? EXIT_CODES.error : EXIT_CODES.passed,
+      applyGate(report.summary, options)
+    ]);
+  }
+
+  const report = await runner.run();
+  return applyGate(report.summary, options);
+}
+
+async function crawl(flags, positionals) {
+  const options = await resolveRunOptions(RUN_DEFAULTS, withUrl(flags, positionals));
+  if (options.dir && positionals.length > 0) {
+    throw new UsageError("Give either a start URL or --dir, not both");
+  }
+  if (!options.url && !options.sitemap && !options.urlList && !options.dir) {
+    throw new UsageError("crawl needs a start URL, --sitemap, --url-list or --dir");
+  }
+
+  const runner = await createRunner(options.driver, options);
+  if (options.dir) {
+    const report = await runner.auditDirectory({ dir: options.dir, routes: options.routes });
+    return worstExitCode([
+      report.summary.pagesFailed > 0 ? EXIT_CODES.error : EXIT_CODES.passed,
+      applyGate(report.summary, options)
+    ]);
+  }
+
+  const report = await runner.crawl({
+    startUrl: options.url,
+    sitemap: options.sitemap,
+    urlList: options.urlList,
+    maxDepth: options.maxDepth,
+    maxPages: options.maxPages
+  });
+  return worstExitCode([
+    report.summary.pagesFailed > 0 ? EXIT_CODES.error : EXIT_CODES.passed,
+    applyGate(report.summary, options)
+  ]);
+}
+
+// The "before" side of a diff is a baseline file or any report.json.
+async function loadBefore(file) {
+  const content = JSON.parse(await fs.readFile(file, "utf8"));
+  if (Array.isArray(content.entries)) {
+    return loadBaseline(file);
+  }
+
+  const entries = await loadReportEntries(file);
+  return { ...createBaseline(entries), createdAt: entries[0]?.results.timestamp };
+}
+
+async function diff(flags, [before, after]) {
+  const baseline = await loadBefore(before);
+  const changes = diffAgainstBaseline(baseline, await loadReportEntries(after));
+  const summary = summarizeDiff(changes);
+
+  console.log("\n" + "=".repeat(60));
+  console.log(`📊 ${before} → ${after}`);
+  printDiffSummary(summary);
+  for (const entry of changes.new) {
+    console.log(`   🆕 [${entry.impact}] ${entry.ruleId} on ${entry.page}: ${entry.target}`);
+  }
+  for (const entry of changes.fixed) {
+    console.log(`   ✅ [${entry.impact}] ${entry.ruleId} on ${entry.page}: ${entry.target}`);
+  }
+  console.log("=".repeat(60));
+
+  if (flags.outputFile) {
+    await fs.mkdir(path.dirname(path.resolve(flags.outputFile)), { recursive: true });
+    await fs.writeFile(flags.outputFile, JSON.stringify({ summary, ...changes }, null, 2));
+    console.log(`📄 Diff saved: ${flags.outputFile}`);
+  }
+
+  return applyGate({ diff: summary }, { failOnNew: flags.failOnNew || [] });
+}
+
+function reportMeta(options, entries) {
+  return {
+    browser: entries.find(entry => entry.browser)?.browser,
+    baseline: options.baseline,
+    saveBaseline: options.saveBaseline,
+    junit: options.junit,
+    sarif: options.sarif,
+    reviews: options.reviews
+  };
+}
+
+// Writes entries read back from report.json files as one site report, with
+// a page report per entry under pages/.
+async function writeCombinedReport(reportDir, entries, meta) {
+  const pages = [];
+  for (const [index, entry] of entries.entries()) {
+    const pageDir = path.join(reportDir, "pages", pageDirName(index, entry.url));
+    await fs.mkdir(pageDir, { recursive: true });
+    pages.push({ url: entry.url, depth: 0, results: entry.results, reportDir: pageDir });
+  }
+
+  const report = await writeSiteReport(reportDir, pages, meta);
+  printSiteSummary(report.summary);
+  return report;
+}
+
+async function merge(flags, inputs) {
+  const options = await resolveRunOptions({ ...REPORT_DEFAULTS, outputDir: RUN_DEFAULTS.outputDir }, flags);
+  const entries = [];
+  for (const input of inputs) {
+    entries.push(...await loadReportEntries(input));
+  }
+
+  console.log(`\n🧩 Merging ${entries.length} page report(s) from ${inputs.length} file(s)`);
+  const reportDir = await createReportDir(options.outputDir, `merged-${createTimestamp()}`);
+  const report = await writeCombinedReport(reportDir, entries, reportMeta(options, entries));
+  console.log(`\n📁 Merged report saved in: ${reportDir}\n`);
+
+  return applyGate(report.summary, options);
+}
+
+// Re-renders a saved report.json, e.g. to apply review decisions or a new
+// baseline without auditing again. Writes next to the input by default.
+async function report(flags, [input]) {
+  const options = await resolveRunOptions(REPORT_DEFAULTS, flags);
+  const reportDir = path.resolve(options.outputDir || path.dirname(input));
+  const entries = await loadReportEntries(input);
+  const source = JSON.parse(await fs.readFile(input, "utf8"));
+  await fs.mkdir(reportDir, { recursive: true });
+
+  let summary;
+  if (source.results) {
+    const [entry] = entries;
+    const screenshot = existsSync(path.join(reportDir, "screenshot.png")) ? "screenshot.png" : null;
+    const annotated = existsSync(path.join(reportDir, "annotated.png")) ? "annotated.png" : null;
+    ({ summary } = await writeReports(reportDir, entry.results, {
+      ...reportMeta(options, entries),
+      screenshot,
+      annotatedScreenshot: annotated
+    }));
+    printConsoleSummary(summary);
+  } else {
+    ({ summary } = await writeCombinedReport(reportDir, entries, reportMeta(options, entries)));
+  }
+  console.log(`\n📁 Report saved in: ${reportDir}\n`);
+
+  return applyGate(summary, options);
+}
+
+const REPORT_GATE_OPTIONS = [
+  ...GATE_OPTIONS,
+  ...OUTPUT_OPTIONS
+];
+
+export const COMMANDS = {
+  audit: {
+    summary: "Audit one page, or the checkpoints of an interaction flow",
+    usage: "a11y audit [url] [options]",
+    positionals: { names: ["url"], max: 1 },
+    options: [
+      CONFIG_OPTION,
+      DRIVER_OPTION,
+      ...TARGET_OPTIONS,
+      { name: "flow", value: "file", description: "Run the steps in a JSON or JS flow file and audit at each checkpoint" },
+      ...PAGE_OPTIONS,
+      PLUGINS_OPTION,
+      ...VIEWPORT_OPTIONS,
+      CONCURRENCY_OPTION,
+      ...SCREENSHOT_OPTIONS,
+      ...GATE_OPTIONS,
+      ...OUTPUT_OPTIONS,
+      ...AUTH_OPTIONS,
+      HELP_OPTION
+    ],
+    examples: [
+      "a11y audit https://example.com",
+      "a11y audit https://example.com --driver puppeteer --fail-on critical,serious",
+      "a11y audit --driver playwright -b firefox --flow ./fixtures/site/contact-flow.json",
+      "a11y audit https://example.com --viewports mobile,tablet,desktop",
+      "a11y audit ./fixtures/site/contact.html --driver jsdom",
+      "a11y audit https://example.com --baseline a11y-baseline.json --fail-on-new"
+    ],
+    run: audit
+  },
+  crawl: {
+    summary: "Crawl a site, sitemap, URL list or local build directory and audit every page",
+    usage: "a11y crawl [url] [options]",
+    positionals: { names: ["url"], max: 1 },
+    options: [
+      CONFIG_OPTION,
+      DRIVER_OPTION,
+      ...TARGET_OPTIONS,
+      ...PAGE_OPTIONS,
+      PLUGINS_OPTION,
+      ...SCREENSHOT_OPTIONS,
+      CONCURRENCY_OPTION,
+      ...CRAWL_OPTIONS,
+      ...STATIC_OPTIONS,
+      ...GATE_OPTIONS,
+      ...OUTPUT_OPTIONS,
+      ...AUTH_OPTIONS,
+      HELP_OPTION
+    ],
+    examples: [
+      "a11y crawl https://example.com --max-depth 1 --max-pages 20 --concurrency 4",
+      "a11y crawl --sitemap https://example.com/sitemap.xml --driver webdriverio",
+      "a11y crawl ./fixtures/site/index.html --junit reports/a11y-junit.xml",
+      "a11y crawl --dir ./dist --fail-on critical,serious",
+      "a11y crawl --dir ./dist --driver jsdom"
+    ],
+    run: crawl
+  },
+  diff: {
+    summary: "Compare two reports, or a baseline and a report, without re-auditing",
+    usage: "a11y diff <before> <after> [options]",
+    description: "<before> is a baseline file or a report.json; <after> is a report.json (single page, site, flow or responsive).",
+    positionals: { names: ["before", "after"], min: 2, max: 2 },
+    options: [
+      GATE_OPTIONS.find(option => option.name === "fail-on-new"),
+      { name: "output", alias: "o", value: "file", key: "outputFile", description: "Write the new, fixed and unchanged violations as JSON" },
+      HELP_OPTION
+    ],
+    examples: [
+      "a11y diff a11y-baseline.json accessibility-reports/latest/report.json --fail-on-new serious,critical",
+      "a11y diff reports/main/report.json reports/branch/report.json -o a11y-diff.json"
+    ],
+    run: diff
+  },
+  merge: {
+    summary: "Combine report.json files from several runs into one site report",
+    usage: "a11y merge <report.json...> [options]",
+    positionals: { names: ["report.json"], min: 1, max: Infinity },
+    options: [
+      CONFIG_OPTION,
+      { ...REPORT_OUTPUT_OPTION, description: "Output directory (default: ./accessibility-reports)" },
+      ...REPORT_GATE_OPTIONS,
+      HELP_OPTION
+    ],
+    examples: [
+      "a11y merge reports/chromium/report.json reports/firefox/report.json",
+      "a11y merge reports/*/report.json -o merged --junit merged/a11y-junit.xml --fail-on critical"
+    ],
+    run: merge
+  },
+  report: {
+    summary: "Regenerate the HTML and JSON (and optionally JUnit or SARIF) from a saved report.json",
+    usage: "a11y report <report.json> [options]",
+    positionals: { names: ["report.json"], min: 1, max: 1 },
+    options: [
+      CONFIG_OPTION,
+      { ...REPORT_OUTPUT_OPTION, description: "Output directory (default: the report's own directory)" },
+      ...REPORT_GATE_OPTIONS,
+      HELP_OPTION
+    ],
+    examples: [
+      "a11y report accessibility-reports/2024-01-15T10-30-00-000Z/report.json --reviews a11y-review.json",
+      "a11y report reports/site/report.json --sarif a11y.sarif --fail-on serious"
+    ],
+    run: report
+  }
+};
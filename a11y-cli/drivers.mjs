@@ -0,0 +1,107 @@
+import { UsageError } from "axe-report-core";
+
+// Each driver is one of the runner packages in this repository. They are
+// imported on demand so only the chosen driver's browser library has to be
+// installed.
+export const DRIVERS = {
+  playwright: {
+    package: "axe-playwright",
+    export: "AccessibilityTester",
+    browsers: ["chromium", "firefox", "webkit"],
+    flows: true,
+    headers: true,
+    viewports: true,
+    grid: false,
+    auth: true
+  },
+  puppeteer: {
+    package: "axe-puppeteer-report",
+    export: "AccessibilityReporter",
+    browsers: ["chromium"],
+    flows: true,
+    headers: true,
+    viewports: true,
+    grid: false,
+    auth: true
+  },
+  webdriverio: {
+    package: "axe-report",
+    export: "AccessibilityAuditor",
+    browsers: ["chromium"],
+    flows: false,
+    headers: false,
+    viewports: false,
+    grid: true,
+    auth: true
+  },
+  // No browser at all: HTML files, stdin and static pages without scripts
+  jsdom: {
+    package: "axe-jsdom",
+    export: "AccessibilityChecker",
+    browsers: [],
+    flows: false,
+    headers: false,
+    viewports: false,
+    grid: false,
+    auth: false
+  }
+};
+
+export const DRIVER_NAMES = Object.keys(DRIVERS);
+
+// Rejects combinations the chosen driver cannot run before a browser starts.
+export function checkDriverOptions(name, options) {
+  const driver = DRIVERS[name];
+
+  if (options.browser && driver.browsers.length === 0) {
+    throw new UsageError(`The ${name} driver does not run a browser; leave out --browser ${options.browser}`);
+  }
+  if (options.browser && !driver.browsers.includes(options.browser)) {
+    throw new UsageError(`The ${name} driver does not support --browser ${options.browser} (expected ${driver.browsers.join(", ")})`);
+  }
+  if (options.flow && !driver.flows) {
+    throw new UsageError(`The ${name} driver does not support --flow, use --driver ${DRIVER_NAMES.filter(other => DRIVERS[other].flows).join(" or ")}`);
+  }
+  if (options.viewports && !driver.viewports) {
+    throw new UsageError(`The ${name} driver does not support --viewports, use --driver ${DRIVER_NAMES.filter(other => DRIVERS[other].viewports).join(" or ")}`);
+  }
+  if (options.grid && !driver.grid) {
+    throw new UsageError(`The ${name} driver cannot run on a remote grid, use --driver ${DRIVER_NAMES.filter(other => DRIVERS[other].grid).join(" or ")}`);
+  }
+  if (options.grid && !options.grid.url) {
+    throw new UsageError("The grid needs a grid.url; for Sauce Labs, run the remote grid runner with --saucelabs");
+  }
+  const { headers = {}, ...auth } = options.auth || {};
+  if (!driver.auth && (Object.values(auth).some(Boolean) || Object.keys(headers).length > 0)) {
+    throw new UsageError(`The ${name} driver cannot audit pages behind a login, use --driver ${DRIVER_NAMES.filter(other => DRIVERS[other].auth).join(" or ")}`);
+  }
+  if (Object.keys(headers).length > 0 && !driver.headers) {
+    throw new UsageError(`The ${name} driver does not support --header, use --cookies, --storage-state or --login instead`);
+  }
+}
+
+// The Playwright runner takes headed, the others headless.
+export function toRunnerOptions(options) {
+  return {
+    ...options,
+    headed: options.headless === false,
+    headless: options.headless !== false
+  };
+}
+
+export async function createRunner(name, options) {
+  const driver = DRIVERS[name];
+  checkDriverOptions(name, options);
+
+  let module;
+  try {
+    module = await import(driver.package);
+  } catch (error) {
+    if (error.code === "ERR_MODULE_NOT_FOUND" && error.message.includes(`'${driver.package}'`)) {
+      throw new Error(`The ${name} driver needs the ${driver.package} package, install it next to a11y-cli`);
+    }
+    throw error;
+  }
+
+  return new module[driver.export](toRunnerOptions(options));
+}
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+import {
+  applyGate,
+  worstExitCode,
+  EXIT_CODES,
+  UsageError,
+  AuditError,
+  parseCommandLine,
+  renderHelp,
+  resolveRunOptions,
+  HELP_OPTION,
+  CONFIG_OPTION,
+  PAGE_OPTIONS,
+  PLUGINS_OPTION,
+  CONCURRENCY_OPTION,
+  CRAWL_OPTIONS,
+  STATIC_OPTIONS,
+  GATE_OPTIONS,
+  OUTPUT_OPTIONS
+} from "axe-report-core";
+import { AccessibilityChecker } from "./index.mjs";
+
+const OPTIONS = [
+  CONFIG_OPTION,
+  { name: "url", alias: "u", value: "url", description: "File, URL or - for stdin to audit (or give it as the first argument)" },
+  { name: "html", value: "markup", description: "Audit this HTML string, e.g. a component's rendered markup" },
+  { name: "fragment", description: "Treat the input as a fragment even if it has <html> or <body> (default: detected)" },
+  { name: "output", alias: "o", value: "dir", key: "outputDir", description: "Output directory (default: ./accessibility-reports)" },
+  { name: "crawl", description: "Follow links from the input and audit every page" },
+  // There is no viewport or navigation event without a browser
+  ...PAGE_OPTIONS.filter(option => !["viewport", "wait-until"].includes(option.name)),
+  PLUGINS_OPTION,
+  CONCURRENCY_OPTION,
+  ...CRAWL_OPTIONS,
+  ...STATIC_OPTIONS,
+  ...GATE_OPTIONS,
+  ...OUTPUT_OPTIONS,
+  HELP_OPTION
+];
+
+const DEFAULTS = {
+  url: null,
+  outputDir: null,
+  crawl: false,
+  sitemap: null,
+  urlList: null,
+  maxDepth: 2,
+  maxPages: 50,
+  dir: null,
+  routes: null,
+  concurrency: 1,
+  failOn: [],
+  budget: {},
+  failOnNew: []
+};
+
+async function parseArgs() {
+  const { options, positionals } = parseCommandLine(process.argv.slice(2), {
+    options: OPTIONS,
+    positionals: { names: ["file|url|-"], max: 1 },
+    command: "node cli.mjs"
+  });
+
+  if (options.help) {
+    console.log(renderHelp({
+      title: "Browserless Accessibility Testing with jsdom and axe-core",
+      usage: "node cli.mjs [file|url|-] [options]",
+      options: OPTIONS,
+      notes: [
+        "Page scripts do not run and nothing is laid out, so rules that need layout, such as color-contrast, are reported as not checked.",
+        "Options given on the command line override the config file."
+      ],
+      examples: [
+        "node cli.mjs ../fixtures/site/index.html",
+        "node cli.mjs --html '<button><svg></svg></button>' --fail-on critical,serious",
+        "npm run render-card | node cli.mjs - --fragment",
+        "node cli.mjs ../fixtures/site/index.html --crawl --max-depth 1",
+        "node cli.mjs --dir ./dist --junit reports/a11y-junit.xml"
+      ]
+    }));
+    process.exit(0);
+  }
+
+  if (positionals.length > 0 && options.url) {
+    throw new UsageError("Give the input either as an argument or with --url, not both");
+  }
+  const resolved = await resolveRunOptions(DEFAULTS, positionals.length > 0 ? { ...options, url: positionals[0] } : options);
+
+  if (resolved.html !== undefined && (resolved.crawl || resolved.dir || resolved.sitemap || resolved.urlList)) {
+    throw new UsageError("--html audits one string; it cannot be combined with --crawl, --dir, --sitemap or --url-list");
+  }
+  if (resolved.html === undefined && !resolved.url && !resolved.dir && !resolved.sitemap && !resolved.urlList) {
+    throw new UsageError("Nothing to audit: give a file, a URL, - for stdin, --html or --dir (see node cli.mjs --help)");
+  }
+  if (resolved.url === "-" && process.stdin.isTTY) {
+    throw new UsageError("- reads HTML from stdin, but nothing is piped in");
+  }
+  return resolved;
+}
+
+(async () => {
+  const options = await parseArgs();
+  const checker = new AccessibilityChecker(options);
+
+  let report;
+  if (options.dir) {
+    report = await checker.auditDirectory({ dir: options.dir, routes: options.routes });
+  } else if (options.crawl || options.sitemap || options.urlList) {
+    report = await checker.crawl({
+      startUrl: options.url,
+      sitemap: options.sitemap,
+      urlList: options.urlList,
+      maxDepth: options.maxDepth,
+      maxPages: options.maxPages
+    });
+  } else {
+    report = await checker.run({ html: options.html, fragment: options.fragment });
+  }
+
+  // Crawls and directory audits report pages that failed instead of throwing
+  process.exitCode = worstExitCode([
+    report.summary.pagesFailed > 0 ? EXIT_CODES.error : EXIT_CODES.passed,
+    applyGate(report.summary, options)
+  ]);
+})().catch(error => {
+  // Audit failures have already been reported with their category
+  if (!(error instanceof AuditError)) {
+    console.error(error instanceof UsageError ? `❌ ${error.message}` : error);
+  }
+  process.exit(EXIT_CODES.error);
+});
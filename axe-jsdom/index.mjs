@@ -0,0 +1,330 @@
+import { EventEmitter } from "events";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { JSDOM, VirtualConsole } from "jsdom";
+import axeCore from "axe-core";
+import {
+  createReportDir,
+  createTimestamp,
+  createTimer,
+  writeReports,
+  printConsoleSummary,
+  auditSite,
+  redactUrl,
+  settingsForUrl,
+  loadPlugins,
+  pluginScript,
+  withPluginTags,
+  recordPlugins,
+  AuditError,
+  toAuditError,
+  describeFailure,
+  formatFailure,
+  navigateWithRetries
+} from "axe-report-core";
+
+// jsdom parses and styles a document but never lays it out or paints it, so
+// these rules cannot be evaluated; their results are set aside as unsupported
+export const LAYOUT_RULES = {
+  "color-contrast": "Needs the painted text and background colours",
+  "color-contrast-enhanced": "Needs the painted text and background colours",
+  "link-in-text-block": "Needs the painted colours of links and the text around them",
+  "target-size": "Needs the rendered size and position of touch targets",
+  "scrollable-region-focusable": "Needs layout to know which regions scroll"
+};
+
+// A fragment is audited inside a minimal page, which is not part of the
+// component; rules about the page as a whole do not apply to it
+export const FRAGMENT_RULES = {
+  region: "Needs the full page the fragment is rendered in"
+};
+
+const FRAGMENT_ID = "axe-jsdom-fragment";
+
+export function isFragment(html) {
+  return !/<!doctype|<html[\s>]|<body[\s>]/i.test(html);
+}
+
+function fragmentDocument(html) {
+  return `<!DOCTYPE html><html lang="en"><head><title>Fragment</title></head><body><div id="${FRAGMENT_ID}">${html}</div></body></html>`;
+}
+
+// Stdin, a file path, a file: URL or an http(s) URL
+function sourceOf(target) {
+  if (target === "-") return { type: "stdin" };
+  if (/^https?:/i.test(target)) return { type: "http", url: target };
+  const file = target.startsWith("file:") ? fileURLToPath(target) : path.resolve(target);
+  return { type: "file", file, url: pathToFileURL(file).href };
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// Moves the results of the given rules out of passes, violations,
+// incomplete and inapplicable into results.unsupported
+function setAsideRules(results, reasons) {
+  const unsupported = new Map();
+  for (const group of ["violations", "passes", "incomplete", "inapplicable"]) {
+    results[group] = results[group].filter(rule => {
+      if (!reasons[rule.id]) return true;
+      unsupported.set(rule.id, { id: rule.id, help: rule.help, helpUrl: rule.helpUrl, reason: reasons[rule.id] });
+      return false;
+    });
+  }
+  results.unsupported = [...unsupported.values()];
+  return results;
+}
+
+export class AccessibilityChecker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.url = options.url || null;
+    this.outputDir = options.outputDir || path.join(process.cwd(), "accessibility-reports");
+    this.axeOptions = options.axeOptions || {
+      runOnly: {
+        type: "tag",
+        values: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "best-practice", "section508"]
+      }
+    };
+    this.context = options.context || null;
+    this.timeout = options.timeout ?? 30000;
+    this.retries = options.retries ?? 0;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.overrides = options.overrides || [];
+    this.baseline = options.baseline || null;
+    this.saveBaseline = options.saveBaseline || null;
+    this.junit = options.junit || null;
+    this.sarif = options.sarif || null;
+    this.reviews = options.reviews || null;
+    this.pluginPaths = options.plugins || null;
+    this.plugins = null;
+    this.pluginScript = "";
+    this.concurrency = options.concurrency ?? 1;
+    this.timestamp = createTimestamp();
+  }
+
+  async init() {
+    this.reportDir = await createReportDir(this.outputDir, this.timestamp);
+    await this.loadPlugins();
+  }
+
+  // Custom rules and checks, registered after axe-core in every document;
+  // auditHtml() loads them without init()
+  async loadPlugins() {
+    if (!this.plugins) {
+      this.plugins = await loadPlugins(this.pluginPaths);
+      this.pluginScript = pluginScript(this.plugins);
+    }
+  }
+
+  settingsFor(url) {
+    const settings = settingsForUrl({
+      axeOptions: this.axeOptions,
+      context: this.context,
+      timeout: this.timeout,
+      retries: this.retries,
+      retryDelay: this.retryDelay
+    }, this.overrides, url);
+    return { ...settings, axeOptions: withPluginTags(settings.axeOptions, this.plugins || []) };
+  }
+
+  // Page scripts never run; stylesheets are loaded so hidden content stays
+  // hidden from axe
+  createDom(html, url) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("jsdomError", error => this.emit("jsdomError", { url, error }));
+    return new JSDOM(html, {
+      url,
+      runScripts: "outside-only",
+      resources: url.startsWith("about:") ? undefined : "usable",
+      pretendToBeVisual: true,
+      virtualConsole
+    });
+  }
+
+  async waitForLoad(dom, timeout) {
+    if (dom.window.document.readyState === "complete") return;
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new AuditError(`Timeout ${timeout}ms exceeded waiting for stylesheets`, { category: "timeout" })), timeout);
+      dom.window.addEventListener("load", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  // An HTTP error status fails the audit like it does in the browser
+  // runners; connection errors, timeouts and 429/5xx responses are retried
+  async fetchPage(url, settings) {
+    const response = await navigateWithRetries(() => fetch(url, { signal: AbortSignal.timeout(settings.timeout) }), settings);
+    return { html: await response.text(), url: response.url };
+  }
+
+  async loadDocument(target, settings) {
+    const source = sourceOf(target);
+    if (source.type === "stdin") {
+      return { html: await readStdin(), url: "about:blank" };
+    }
+    if (source.type === "http") {
+      return this.fetchPage(source.url, settings);
+    }
+
+    try {
+      return { html: await fs.readFile(source.file, "utf8"), url: source.url };
+    } catch (error) {
+      throw new AuditError(`Could not read ${source.file}: ${error.message}`, { category: "unknown", cause: error });
+    }
+  }
+
+  // Audits one document. Fragments (no doctype, <html> or <body>) are
+  // wrapped in a minimal page and only the fragment is checked.
+  async analyze(html, { url = "about:blank", fragment = isFragment(html), timer = createTimer() } = {}) {
+    await this.loadPlugins();
+    const settings = this.settingsFor(url);
+    const dom = this.createDom(fragment ? fragmentDocument(html) : html, url);
+
+    try {
+      await timer.time("navigate", () => this.waitForLoad(dom, settings.timeout));
+      this.emit("navigated", { url });
+
+      await timer.time("inject", async () => {
+        dom.window.eval(axeCore.source);
+        if (this.pluginScript) {
+          dom.window.eval(this.pluginScript);
+        }
+      });
+      this.emit("injected", { url, version: axeCore.version });
+
+      // An --exclude alone still leaves the minimal page around a fragment out
+      const context = fragment
+        ? { include: [[`#${FRAGMENT_ID}`]], ...settings.context }
+        : settings.context || dom.window.document;
+      const results = await timer.time("analyze", () => dom.window.axe.run(context, settings.axeOptions)).catch(error => {
+        throw new AuditError(`axe-core failed: ${error.message.split("\n")[0]}`, { category: "axe", cause: error });
+      });
+
+      setAsideRules(results, fragment ? { ...LAYOUT_RULES, ...FRAGMENT_RULES } : LAYOUT_RULES);
+      results.url = redactUrl(results.url);
+      results.timings = timer.timings;
+      recordPlugins(results, this.plugins || []);
+      this.emit("analyzed", { url, results });
+
+      const links = Array.from(dom.window.document.links, link => link.href);
+      return { results, links };
+    } finally {
+      dom.window.close();
+    }
+  }
+
+  // An HTML string, e.g. a component's rendered markup in a snapshot test
+  async auditHtml(html, options = {}) {
+    const { results } = await this.analyze(html, options);
+    return results;
+  }
+
+  async runAudit(target = {}) {
+    const { results } = await this.auditTarget(target);
+    return results;
+  }
+
+  async auditTarget({ url = this.url, fragment } = {}) {
+    if (!url) {
+      throw new Error("Nothing to audit: give a file, a URL or - for stdin");
+    }
+
+    console.log(`\n🔍 Starting accessibility audit for: ${url === "-" ? "stdin" : redactUrl(url)}`);
+    const timer = createTimer();
+    try {
+      const page = await timer.time("navigate", () => this.loadDocument(url, this.settingsFor(url)));
+      return await this.analyze(page.html, { url: page.url, fragment: fragment ?? isFragment(page.html), timer });
+    } catch (error) {
+      throw toAuditError(error);
+    }
+  }
+
+  reportMeta() {
+    return {
+      framework: "jsdom",
+      axeOptions: this.axeOptions,
+      baseline: this.baseline,
+      saveBaseline: this.saveBaseline,
+      junit: this.junit,
+      sarif: this.sarif,
+      reviews: this.reviews
+    };
+  }
+
+  async saveReports(results) {
+    const report = await writeReports(this.reportDir, results, this.reportMeta());
+    const outcome = {
+      ...report,
+      reportDir: this.reportDir,
+      files: {
+        json: path.join(this.reportDir, "report.json"),
+        html: path.join(this.reportDir, "report.html")
+      }
+    };
+
+    this.emit("reported", outcome);
+    return outcome;
+  }
+
+  // Audits this.url, or the given HTML string when html is set
+  async run({ html, fragment } = {}) {
+    try {
+      await this.init();
+      const results = html === undefined
+        ? await this.runAudit({ fragment })
+        : await this.auditHtml(html, { url: this.url || "about:blank", fragment });
+
+      const report = await this.saveReports(results);
+
+      printConsoleSummary(report.summary);
+
+      console.log(`\n✨ Accessibility audit completed successfully!`);
+      console.log(`📁 Reports saved in: ${this.reportDir}\n`);
+
+      return report;
+    } catch (error) {
+      console.error("\n❌ Audit failed:", error instanceof AuditError ? formatFailure(describeFailure(error)) : error.message);
+      throw error;
+    }
+  }
+
+  async crawl({ startUrl, urls, sitemap, urlList, maxDepth, maxPages, dir, routes } = {}) {
+    try {
+      await this.init();
+      const report = await auditSite({
+        startUrl: startUrl || (urls || sitemap || urlList || dir ? null : this.url),
+        urls,
+        sitemap,
+        urlList,
+        maxDepth,
+        maxPages,
+        dir,
+        routes,
+        reportDir: this.reportDir,
+        concurrency: this.concurrency,
+        meta: this.reportMeta(),
+        auditUrl: url => this.auditTarget({ url })
+      });
+      this.emit("reported", report);
+      return report;
+    } catch (error) {
+      console.error("\n❌ Crawl failed:", error.message);
+      throw error;
+    }
+  }
+
+  // Serves a local build (e.g. dist/) on a free port and audits every page in
+  // it, or the ones in the route list, as one site report without following links
+  async auditDirectory({ dir, routes } = {}) {
+    return this.crawl({ dir, routes });
+  }
+}
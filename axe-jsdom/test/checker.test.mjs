@@ -0,0 +1,148 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { AuditError, EXIT_CODES } from "axe-report-core";
+import { AccessibilityChecker, LAYOUT_RULES, FRAGMENT_RULES } from "../index.mjs";
+
+const CLI = fileURLToPath(new URL("../cli.mjs", import.meta.url));
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head><title>Home</title></head>
+<body>
+  <main>
+    <h1>Home</h1>
+    <p style="color: #777; background: #fff">Low contrast text</p>
+    <img src="logo.png">
+    <a href="about.html">About</a>
+  </main>
+</body>
+</html>`;
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "axe-jsdom-"));
+  // Audits announce themselves on the console
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+function ruleIds(rules) {
+  // axe-core runs in the jsdom window, so its arrays come from another realm
+  return Array.from(rules, rule => rule.id);
+}
+
+function allRuleIds(results) {
+  return ["violations", "passes", "incomplete", "inapplicable"].flatMap(group => ruleIds(results[group]));
+}
+
+test("rules that need layout are set aside as unsupported", async () => {
+  const results = await new AccessibilityChecker().auditHtml(PAGE);
+
+  assert.ok(ruleIds(results.violations).includes("image-alt"));
+  assert.ok(ruleIds(results.passes).includes("html-has-lang"));
+  for (const id of Object.keys(LAYOUT_RULES)) {
+    assert.ok(!allRuleIds(results).includes(id), id);
+  }
+
+  const contrast = results.unsupported.find(rule => rule.id === "color-contrast");
+  assert.equal(contrast.reason, LAYOUT_RULES["color-contrast"]);
+  assert.ok(contrast.helpUrl);
+  // A whole page has a region to check
+  assert.ok(!ruleIds(results.unsupported).includes("region"));
+});
+
+test("fragments are wrapped in a page and only the fragment is audited", async () => {
+  const results = await new AccessibilityChecker().auditHtml(`<button><svg></svg></button><img src="logo.png">`);
+
+  assert.deepEqual(ruleIds(results.violations).sort(), ["button-name", "image-alt"]);
+  for (const rule of [...results.violations, ...results.passes]) {
+    for (const node of rule.nodes) {
+      assert.doesNotMatch(node.html, /^<(html|head|body|title)|id="axe-jsdom-fragment"/, `${rule.id}: ${node.html}`);
+    }
+  }
+
+  // The wrapper page's lang and title are not the component's
+  const checked = [...ruleIds(results.violations), ...ruleIds(results.passes), ...ruleIds(results.incomplete)];
+  assert.ok(!checked.includes("html-has-lang"));
+  assert.ok(!checked.includes("document-title"));
+  for (const id of [...Object.keys(LAYOUT_RULES), ...Object.keys(FRAGMENT_RULES)]) {
+    assert.ok(!allRuleIds(results).includes(id), id);
+  }
+  assert.equal(results.unsupported.find(rule => rule.id === "region").reason, FRAGMENT_RULES.region);
+});
+
+test("files are read from a path or a file: URL and their links resolved against it", async () => {
+  const file = path.join(tmp, "index.html");
+  await fs.writeFile(file, PAGE);
+  const checker = new AccessibilityChecker();
+
+  for (const url of [file, pathToFileURL(file).href]) {
+    const { results, links } = await checker.auditTarget({ url });
+    assert.equal(results.url, pathToFileURL(file).href);
+    assert.deepEqual(links, [pathToFileURL(path.join(tmp, "about.html")).href]);
+    assert.ok(ruleIds(results.violations).includes("image-alt"));
+  }
+
+  await assert.rejects(checker.auditTarget({ url: path.join(tmp, "missing.html") }), error => {
+    return error instanceof AuditError && /Could not read .*missing\.html/.test(error.message);
+  });
+});
+
+test("HTML piped to - is audited", async () => {
+  const outputDir = path.join(tmp, "stdin");
+  const { code, output } = await new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, "-", "--output", outputDir], { env: { ...process.env, NO_COLOR: "1" } });
+    let output = "";
+    child.stdout.on("data", chunk => { output += chunk; });
+    child.stderr.on("data", chunk => { output += chunk; });
+    const timer = setTimeout(() => child.kill(), 60000);
+    child.on("error", reject);
+    child.on("close", code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+    child.stdin.end(`<img src="logo.png">`);
+  });
+
+  assert.equal(code, EXIT_CODES.passed, output);
+  const [run] = await fs.readdir(outputDir);
+  const report = JSON.parse(await fs.readFile(path.join(outputDir, run, "report.json"), "utf8"));
+  assert.equal(report.results.url, "about:blank");
+  assert.deepEqual(ruleIds(report.results.violations), ["image-alt"]);
+});
+
+test("an HTTP error status fails the audit with an http AuditError", async () => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.writeHead(404, { "Content-Type": "text/html" });
+    res.end("<h1>Not Found</h1>");
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const checker = new AccessibilityChecker({ retries: 2, retryDelay: 1 });
+    await assert.rejects(checker.auditTarget({ url: `http://127.0.0.1:${server.address().port}/missing` }), error => {
+      assert.ok(error instanceof AuditError);
+      assert.equal(error.category, "http");
+      assert.equal(error.status, 404);
+      assert.equal(error.message, "HTTP 404 Not Found");
+      return true;
+    });
+    // A 404 is not going to go away, so it is not retried
+    assert.equal(requests, 1);
+  } finally {
+    server.close();
+  }
+});
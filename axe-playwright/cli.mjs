@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+import {
+  applyGate,
+  worstExitCode,
+  EXIT_CODES,
+  UsageError,
+  AuditError,
+  parseCommandLine,
+  renderHelp,
+  resolveRunOptions,
+  HELP_OPTION,
+  CONFIG_OPTION,
+  PAGE_OPTIONS,
+  PLUGINS_OPTION,
+  VIEWPORT_OPTIONS,
+  SCREENSHOT_OPTIONS,
+  CONCURRENCY_OPTION,
+  CRAWL_OPTIONS,
+  STATIC_OPTIONS,
+  GATE_OPTIONS,
+  OUTPUT_OPTIONS,
+  AUTH_OPTIONS,
+  BROWSERS
+} from 'axe-report-core';
+import { AccessibilityTester } from './index.mjs';
+
+const OPTIONS = [
+  CONFIG_OPTION,
+  { name: 'url', alias: 'u', value: 'url', description: 'URL to test (default: https://playwright.dev/)' },
+  { name: 'output', alias: 'o', value: 'dir', key: 'outputDir', description: 'Output directory (default: ./accessibility-reports)' },
+  { name: 'browser', alias: 'b', value: 'name', choices: BROWSERS, description: 'Browser to use: chromium, firefox, webkit (default: chromium)' },
+  { name: 'headed', description: 'Run browser in headed mode (default: headless)' },
+  { name: 'all-browsers', description: 'Run tests in all browsers (chromium, firefox, webkit)' },
+  { name: 'crawl', description: 'Crawl same-origin links from --url and audit every page' },
+  { name: 'flow', value: 'file', description: 'Run the steps in a JSON or JS flow file and audit at each checkpoint' },
+  { name: 'storybook', value: 'dir|url', description: 'Audit every story of a storybook-static directory or a deployed Storybook' },
+  ...PAGE_OPTIONS,
+  PLUGINS_OPTION,
+  ...VIEWPORT_OPTIONS,
+  ...SCREENSHOT_OPTIONS,
+  CONCURRENCY_OPTION,
+  ...CRAWL_OPTIONS,
+  ...STATIC_OPTIONS,
+  ...GATE_OPTIONS,
+  ...OUTPUT_OPTIONS,
+  ...AUTH_OPTIONS,
+  HELP_OPTION
+];
+
+const DEFAULTS = {
+  url: null,
+  outputDir: null,
+  browser: 'chromium',
+  allBrowsers: false,
+  crawl: false,
+  flow: null,
+  viewports: null,
+  elementScreenshots: true,
+  maxElementScreenshots: 50,
+  sitemap: null,
+  urlList: null,
+  maxDepth: 2,
+  maxPages: 50,
+  dir: null,
+  routes: null,
+  storybook: null,
+  concurrency: 1,
+  failOn: [],
+  budget: {},
+  baseline: null,
+  saveBaseline: null,
+  failOnNew: [],
+  junit: null,
+  sarif: null,
+  reviews: null,
+  plugins: null
+};
+
+async function parseArgs() {
+  const { options } = parseCommandLine(process.argv.slice(2), { options: OPTIONS, command: 'node cli.mjs' });
+
+  if (options.help) {
+    console.log(renderHelp({
+      title: 'Accessibility Testing with Playwright and axe-core',
+      usage: 'node cli.mjs [options]',
+      options: OPTIONS,
+      notes: ['Options given on the command line override the config file.'],
+      examples: [
+        'node cli.mjs --url https://example.com',
+        'node cli.mjs -u https://example.com -b firefox --headed',
+        'node cli.mjs --all-browsers --concurrency 3',
+        'node cli.mjs --url https://example.com --output ./reports',
+        'node cli.mjs --url https://example.com --crawl --max-depth 1',
+        'node cli.mjs --flow ../fixtures/site/contact-flow.json',
+        'node cli.mjs --url https://example.com --viewports mobile,tablet,desktop',
+        'node cli.mjs --url https://example.com --viewports "iPhone 13,Pixel 7,1280x800" -b webkit',
+        'node cli.mjs --url-list ./urls.txt -b firefox',
+        'node cli.mjs --dir ./dist --fail-on critical,serious',
+        'node cli.mjs --storybook ./storybook-static --concurrency 4',
+        'node cli.mjs --url https://example.com --fail-on critical,serious --budget a11y-budget.json',
+        'A11Y_TOKEN="Bearer ..." node cli.mjs --url https://example.com/app --header Authorization=A11Y_TOKEN'
+      ]
+    }));
+    process.exit(0);
+  }
+
+  return resolveRunOptions(DEFAULTS, options);
+}
+
+(async () => {
+  const options = await parseArgs();
+  const tester = new AccessibilityTester(options);
+
+  if (options.flow) {
+    const report = await tester.runFlow(options.flow, { url: options.url });
+    process.exitCode = worstExitCode([
+      report.summary.failedStep ? EXIT_CODES.error : EXIT_CODES.passed,
+      applyGate(report.summary, options)
+    ]);
+  } else if (options.storybook) {
+    const report = await tester.runStorybook();
+    process.exitCode = worstExitCode([
+      report.summary.storiesFailed > 0 ? EXIT_CODES.error : EXIT_CODES.passed,
+      applyGate(report.summary, options)
+    ]);
+  } else if (options.dir) {
+    const report = await tester.auditDirectory({ dir: options.dir, routes: options.routes });
+    process.exitCode = worstExitCode([
+      report.summary.pagesFailed > 0 ? EXIT_CODES.error : EXIT_CODES.passed,
+      applyGate(report.summary, options)
+    ]);
+  } else if (options.crawl || options.sitemap || options.urlList) {
+    const report = await tester.crawl({
+      startUrl: options.url,
+      sitemap: options.sitemap,
+      urlList: options.urlList,
+      maxDepth: options.maxDepth,
+      maxPages: options.maxPages
+    });
+    process.exitCode = worstExitCode([
+      report.summary.pagesFailed > 0 ? EXIT_CODES.error : EXIT_CODES.passed,
+      applyGate(report.summary, options)
+    ]);
+  } else if (options.viewports) {
+    const report = await tester.runViewports();
+    process.exitCode = worstExitCode([
+      report.summary.viewportsFailed > 0 ? EXIT_CODES.error : EXIT_CODES.passed,
+      applyGate(report.summary, options)
+    ]);
+  } else if (options.allBrowsers) {
+    const report = await tester.runMultipleBrowsers();
+
+    // Each browser is gated on its own, so a budget applies per engine
+    process.exitCode = worstExitCode(report.browsers.map(browser => (
+      browser.summary
+        ? applyGate(browser.summary, { ...options, label: browser.name })
+        : EXIT_CODES.error
+    )));
+  } else {
+    const report = await tester.run();
+    process.exitCode = applyGate(report.summary, options);
+  }
+})().catch(error => {
+  // Audit failures have already been reported with their category
+  if (!(error instanceof AuditError)) {
+    console.error(error instanceof UsageError ? `❌ ${error.message}` : error);
+  }
+  process.exit(EXIT_CODES.error);
+});
\ No newline at end of file
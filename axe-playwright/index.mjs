@@ -1,44 +1,130 @@
-#!/usr/bin/env node
-
-import { chromium, firefox, webkit } from 'playwright';
-import { injectAxe, checkA11y, getViolations, reportViolations } from 'axe-playwright';
+import { EventEmitter } from 'events';
+import { chromium, firefox, webkit, devices } from 'playwright';
+// The npm axe-playwright package is installed under an alias, since this
+// workspace is called axe-playwright as well
+import { injectAxe } from 'axe-playwright-lib';
 import axeCore from 'axe-core';
-import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-class AccessibilityTester {
+import {
+  createReportDir,
+  createTimestamp,
+  writeReports,
+  printConsoleSummary,
+  auditSite,
+  writeBrowserReport,
+  printBrowserSummary,
+  resolveAuth,
+  shareLogin,
+  redactUrl,
+  loadFlow,
+  executeFlow,
+  writeFlowReport,
+  printFlowSummary,
+  withStorybook,
+  storyUrl,
+  storyDirName,
+  storySettings,
+  isStoryRendered,
+  readStoryState,
+  STORY_ROOTS,
+  writeStorybookReport,
+  printStorybookSummary,
+  captureElementScreenshots,
+  settingsForUrl,
+  loadPlugins,
+  pluginScript,
+  withPluginTags,
+  recordPlugins,
+  runPool,
+  resolveViewports,
+  auditViewports,
+  writeViewportReport,
+  printViewportSummary,
+  createTimer,
+  AuditError,
+  classifyError,
+  toAuditError,
+  describeFailure,
+  formatFailure,
+  navigateWithRetries,
+  injectFrames
+} from 'axe-report-core';
+
+export class AccessibilityTester extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.url = options.url || 'https://playwright.dev/';
     this.outputDir = options.outputDir || path.join(process.cwd(), 'accessibility-reports');
     this.browser = options.browser || 'chromium';
-    this.headed = options.headed || false;
+    this.headed = options.headed ?? options.headless === false;
     this.viewport = options.viewport || { width: 1920, height: 1080 };
+    this.viewports = options.viewports || null;
+    this.storybook = options.storybook || null;
     this.axeOptions = options.axeOptions || {
       runOnly: {
         type: 'tag',
         values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice']
       }
     };
-    this.timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.context = options.context || null;
+    this.timeout = options.timeout ?? 30000;
+    this.waitUntil = options.waitUntil || 'networkidle';
+    this.retries = options.retries ?? 0;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.overrides = options.overrides || [];
+    this.baseline = options.baseline || null;
+    this.saveBaseline = options.saveBaseline || null;
+    this.junit = options.junit || null;
+    this.sarif = options.sarif || null;
+    this.reviews = options.reviews || null;
+    this.pluginPaths = options.plugins || null;
+    this.plugins = null;
+    this.pluginScript = '';
+    this.auth = options.auth || {};
+    this.elementScreenshots = options.elementScreenshots !== false;
+    this.maxElementScreenshots = options.maxElementScreenshots ?? 50;
+    this.concurrency = options.concurrency ?? 1;
+    this.keepBrowserOpen = options.keepBrowserOpen ?? false;
+    this.timestamp = createTimestamp();
+    // Each engine logs in once, in its own browser, and keeps its own session
+    this.sharedLogIns = new Map();
+    this.loginStates = new Map();
+    // Launched browsers by engine
+    this.browsers = new Map();
   }
 
   async init() {
-    const reportDir = path.join(this.outputDir, this.timestamp);
-    await fs.mkdir(reportDir, { recursive: true });
-    this.reportDir = reportDir;
-    console.log(`\n📁 Report directory created: ${reportDir}`);
+    this.reportDir = await createReportDir(this.outputDir, this.timestamp);
+    await this.loadAuth();
+    await this.loadPlugins();
+  }
+
+  // Custom rules and checks, registered after axe-core wherever it is injected
+  async loadPlugins() {
+    if (!this.plugins) {
+      this.plugins = await loadPlugins(this.pluginPaths);
+      this.pluginScript = pluginScript(this.plugins);
+    }
+  }
+
+  // axe-core followed by the plugins' custom rules and checks
+  axeSource() {
+    return `${axeCore.source}\n${this.pluginScript}`;
+  }
+
+  async loadAuth() {
+    if (!this.resolvedAuth) {
+      this.resolvedAuth = await resolveAuth(this.auth);
+    }
   }
 
-  async launchBrowser() {
+  async launchBrowser(name = this.browser) {
     const browserOptions = {
       headless: !this.headed,
       args: ['--no-sandbox', '--disable-setuid-sandbox']
     };
 
-    switch (this.browser.toLowerCase()) {
+    switch (name.toLowerCase()) {
       case 'firefox':
         return await firefox.launch(browserOptions);
       case 'webkit':
@@ -49,535 +135,331 @@ class AccessibilityTester {
     }
   }
 
-  async runAudit() {
-    console.log(`\n🔍 Starting accessibility audit`);
-    console.log(`🌐 URL: ${this.url}`);
-    console.log(`🖥️  Browser: ${this.browser}`);
-    console.log(`📋 Rules: ${JSON.stringify(this.axeOptions.runOnly)}\n`);
-
-    let browser;
-    let context;
-    let page;
+  // One browser per engine serves every audit until close(); jobs that start
+  // while it launches wait for the same launch. A browser that crashes or
+  // disconnects is dropped, and the next job launches a new one.
+  getBrowser(name = this.browser) {
+    const key = name.toLowerCase();
+    if (!this.browsers.has(key)) {
+      const launch = this.launchBrowser(key);
+      this.browsers.set(key, launch);
+      launch.then(browser => browser.on('disconnected', () => {
+        if (this.browsers.get(key) === launch) this.browsers.delete(key);
+      }), () => this.browsers.delete(key));
+    }
+    return this.browsers.get(key);
+  }
 
-    try {
-      browser = await this.launchBrowser();
-      context = await browser.newContext({
-        viewport: this.viewport,
-        ignoreHTTPSErrors: true
-      });
-      page = await context.newPage();
+  async close() {
+    const launches = [...this.browsers.values()];
+    this.browsers.clear();
+    // Closing a browser closes its contexts too
+    await Promise.all(launches.map(launch => launch.then(browser => browser.close(), () => {})));
+  }
 
-      console.log('🌐 Navigating to URL...');
-      await page.goto(this.url, {
-        waitUntil: 'networkidle',
-        timeout: 30000
-      });
+  // Runs end by closing their browsers unless keepBrowserOpen asks to reuse
+  // them for the next run
+  async finishRun() {
+    if (!this.keepBrowserOpen) {
+      await this.close();
+    }
+  }
 
-      console.log('📸 Taking screenshot...');
-      const screenshotPath = path.join(this.reportDir, 'screenshot.png');
-      await page.screenshot({
-        path: screenshotPath,
-        fullPage: true
-      });
+  // Firefox has no mobile emulation, so isMobile is left out there
+  emulationFor(viewport, browserName = this.browser) {
+    const { width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } = viewport;
+    return {
+      viewport: { width, height },
+      ...(deviceScaleFactor ? { deviceScaleFactor } : {}),
+      ...(isMobile && browserName !== 'firefox' ? { isMobile } : {}),
+      ...(hasTouch ? { hasTouch } : {}),
+      ...(userAgent ? { userAgent } : {})
+    };
+  }
 
-      console.log('🔧 Injecting axe-core...');
-      await page.evaluate((axeSource) => {
-        const script = document.createElement('script');
-        script.textContent = axeSource;
-        document.head.appendChild(script);
-      }, axeCore.source);
+  async newContext(browser, viewport, browserName) {
+    const { storageStatePath, cookies, headers, httpCredentials } = this.resolvedAuth;
 
-      console.log('⚡ Running accessibility tests...');
-      const results = await page.evaluate((options) => {
-        return new Promise((resolve, reject) => {
-          if (typeof window.axe === 'undefined') {
-            reject(new Error('axe-core failed to load'));
-            return;
-          }
+    const context = await browser.newContext({
+      ...this.emulationFor(viewport, browserName),
+      ignoreHTTPSErrors: true,
+      storageState: this.loginStates.get(browserName) || storageStatePath || undefined,
+      extraHTTPHeaders: headers,
+      httpCredentials: httpCredentials || undefined
+    });
+    if (cookies.length > 0) {
+      await context.addCookies(cookies);
+    }
+    return context;
+  }
 
-          window.axe.run(document, options)
-            .then(results => resolve(results))
-            .catch(error => reject(error));
-        });
-      }, this.axeOptions);
+  async logIn(url, browserName) {
+    const { login, credentials } = this.resolvedAuth;
+    const browser = await this.getBrowser(browserName);
+    const context = await this.newContext(browser, this.viewport, browserName);
 
-      await browser.close();
-      return results;
+    try {
+      console.log('🔑 Running login module...');
+      await login({ page: await context.newPage(), context, url, credentials, browser: browserName });
+      // Later pages start from the logged-in session instead of logging in again
+      this.loginStates.set(browserName, await context.storageState());
+      this.emit('authenticated', { url, browser: browserName });
+    } finally {
+      await context.close();
+    }
+  }
 
-    } catch (error) {
-      if (browser) await browser.close();
-      throw error;
+  async waitForLogin(url, browserName) {
+    if (!this.resolvedAuth.login) return;
+    if (!this.sharedLogIns.has(browserName)) {
+      this.sharedLogIns.set(browserName, shareLogin(loginUrl => this.logIn(loginUrl, browserName)));
     }
+    await this.sharedLogIns.get(browserName)(url);
   }
 
-  async runWithAxePlaywright() {
-    console.log(`\n🔍 Starting accessibility audit with axe-playwright`);
-    console.log(`🌐 URL: ${this.url}`);
-    console.log(`🖥️  Browser: ${this.browser}\n`);
+  // Pages share the browser but each gets a fresh context, so cookies,
+  // storage and anything a page logs in or out of never carry over to the
+  // next page, whatever order the pages are audited in
+  async openPage(url, viewport = this.viewport, browserName = this.browser) {
+    await this.waitForLogin(url, browserName);
+
+    const context = await this.newContext(await this.getBrowser(browserName), viewport, browserName);
+    const page = await context.newPage();
+    return { context, page };
+  }
+
+  async releasePage({ context }) {
+    await context.close().catch(() => {});
+  }
 
-    let browser;
-    let context;
-    let page;
+  // Config overrides can change the rules, context and navigation per URL
+  settingsFor(url) {
+    const settings = settingsForUrl({
+      axeOptions: this.axeOptions,
+      context: this.context,
+      timeout: this.timeout,
+      waitUntil: this.waitUntil,
+      retries: this.retries,
+      retryDelay: this.retryDelay
+    }, this.overrides, url);
+    return { ...settings, axeOptions: withPluginTags(settings.axeOptions, this.plugins || []) };
+  }
+
+  async navigate(page, url, settings) {
+    await navigateWithRetries(() => page.goto(url, {
+      waitUntil: settings.waitUntil,
+      timeout: settings.timeout
+    }), settings);
+  }
 
+  async captureElements(page, results, reportDir) {
+    if (!this.elementScreenshots) return;
+
+    console.log('🖼️  Capturing violating elements...');
+    await captureElementScreenshots(results, {
+      reportDir,
+      maxScreenshots: this.maxElementScreenshots,
+      evaluate: (fn, arg) => page.evaluate(fn, arg),
+      screenshot: ({ path: file, clip }) => page.screenshot({ path: file, clip, fullPage: true })
+    });
+  }
+
+  // Loads axe-core into the page with inject(page), then the plugins, then
+  // both into every frame
+  async loadAxe(page, inject) {
     try {
-      browser = await this.launchBrowser();
-      context = await browser.newContext({
-        viewport: this.viewport,
-        ignoreHTTPSErrors: true
+      await inject(page);
+    } catch (error) {
+      throw new AuditError(`axe-core could not be injected: ${error.message.split('\n')[0]}`, {
+        category: classifyError(error) === 'csp' ? 'csp' : 'axe',
+        cause: error
       });
-      page = await context.newPage();
+    }
+    // A Content-Security-Policy that blocks inline scripts stops axe-core
+    // from loading without an error
+    if (!(await page.evaluate(() => typeof window.axe !== 'undefined'))) {
+      throw new AuditError('axe-core did not load, the page\'s Content-Security-Policy probably blocks injected scripts', { category: 'csp' });
+    }
+    if (this.pluginScript) {
+      await page.addScriptTag({ content: this.pluginScript });
+    }
+    await injectFrames(page, this.axeSource());
+  }
+
+  // Navigates, screenshots and runs axe once on a fresh page; inject(page)
+  // loads axe-core. The time each phase takes travels with the results.
+  // prepare(page, settings), when given, waits for the page to be ready and
+  // returns the settings to audit it with; settings with skip set end the
+  // audit with { skipped }.
+  async auditPage({ url, reportDir, viewport, browser: browserName, inject, prepare }) {
+    let settings = this.settingsFor(url);
+    const timer = createTimer();
+    const lease = await timer.time('launch', () => this.openPage(url, viewport, browserName));
+    const { page } = lease;
 
+    try {
       console.log('🌐 Navigating to URL...');
-      await page.goto(this.url, {
-        waitUntil: 'networkidle',
-        timeout: 30000
-      });
+      await timer.time('navigate', () => this.navigate(page, url, settings));
+      this.emit('navigated', { url, browser: browserName });
+
+      if (prepare) {
+        settings = await timer.time('render', () => prepare(page, settings));
+        if (settings.skip) {
+          await this.releasePage(lease);
+          return { skipped: settings.skip };
+        }
+      }
 
       console.log('📸 Taking screenshot...');
-      const screenshotPath = path.join(this.reportDir, 'screenshot.png');
-      await page.screenshot({
+      const screenshotPath = path.join(reportDir, 'screenshot.png');
+      await timer.time('screenshot', () => page.screenshot({
         path: screenshotPath,
         fullPage: true
-      });
+      }));
 
-      console.log('🔧 Injecting axe-core via axe-playwright...');
-      await injectAxe(page);
+      await timer.time('inject', () => this.loadAxe(page, inject));
+      this.emit('injected', { url, browser: browserName, version: axeCore.version });
 
-      console.log('⚡ Checking accessibility...');
-      const violations = await getViolations(page, null, this.axeOptions);
+      console.log('⚡ Running accessibility tests...');
+      const results = await timer.time('analyze', () => page.evaluate(
+        ({ context, options }) => window.axe.run(context || document, options),
+        { context: settings.context, options: settings.axeOptions }
+      )).catch(error => {
+        throw new AuditError(`axe-core failed: ${error.message.split('\n')[0]}`, { category: 'axe', cause: error });
+      });
+      results.url = redactUrl(results.url);
+      results.timings = timer.timings;
+      recordPlugins(results, this.plugins || []);
+      this.emit('analyzed', { url, browser: browserName, results });
+
+      if (this.elementScreenshots) {
+        await timer.time('capture', () => this.captureElements(page, results, reportDir));
+      }
 
-      // Run full axe analysis for complete results
-      const results = await page.evaluate((options) => {
-        return window.axe.run(document, options);
-      }, this.axeOptions);
+      const links = await page.evaluate(() => Array.from(document.links, link => link.href));
 
-      await browser.close();
-      return { ...results, violations };
+      await this.releasePage(lease);
+      return { results, links };
 
     } catch (error) {
-      if (browser) await browser.close();
-      throw error;
+      await this.releasePage(lease);
+      throw toAuditError(error);
     }
   }
 
-  generateSummary(results) {
-    const summary = {
-      url: results.url,
-      timestamp: results.timestamp,
-      browser: this.browser,
-      totalElements: results.passes.length + results.violations.length + results.incomplete.length + results.inapplicable.length,
-      passes: results.passes.length,
-      violations: results.violations.length,
-      incomplete: results.incomplete.length,
-      inapplicable: results.inapplicable.length,
-      violationsByImpact: {
-        critical: 0,
-        serious: 0,
-        moderate: 0,
-        minor: 0
-      }
-    };
-
-    results.violations.forEach(violation => {
-      if (violation.impact) {
-        summary.violationsByImpact[violation.impact]++;
+  async runAudit({ url = this.url, reportDir = this.reportDir, viewport = this.viewport, browser: browserName = this.browser } = {}) {
+    console.log(`\n🔍 Starting accessibility audit`);
+    console.log(`🌐 URL: ${redactUrl(url)}`);
+    console.log(`🖥️  Browser: ${browserName}`);
+    const settings = this.settingsFor(url);
+    console.log(`📋 Rules: ${JSON.stringify(settings.axeOptions.runOnly || settings.axeOptions.rules)}\n`);
+
+    const { results } = await this.auditPage({
+      url,
+      reportDir,
+      viewport,
+      browser: browserName,
+      inject: async page => {
+        console.log('🔧 Injecting axe-core...');
+        await page.evaluate((axeSource) => {
+          const script = document.createElement('script');
+          script.textContent = axeSource;
+          document.head.appendChild(script);
+        }, axeCore.source);
       }
     });
+    return results;
+  }
 
-    return summary;
+  async runWithAxePlaywright(target = {}) {
+    const { results } = await this.auditTarget(target);
+    return results;
+  }
+
+  async auditTarget({ url = this.url, reportDir = this.reportDir, viewport = this.viewport, browser: browserName = this.browser, prepare } = {}) {
+    console.log(`\n🔍 Starting accessibility audit with axe-playwright`);
+    console.log(`🌐 URL: ${redactUrl(url)}`);
+    console.log(`🖥️  Browser: ${browserName}\n`);
+
+    return this.auditPage({
+      url,
+      reportDir,
+      viewport,
+      browser: browserName,
+      inject: async page => {
+        console.log('🔧 Injecting axe-core via axe-playwright...');
+        await injectAxe(page);
+      },
+      prepare
+    });
   }
 
-  async generateJSONReport(results) {
-    const jsonPath = path.join(this.reportDir, 'report.json');
-    const report = {
-      summary: this.generateSummary(results),
-      results: results
+  reportMeta(browser = this.browser) {
+    return {
+      framework: 'Playwright with axe-playwright',
+      browser,
+      viewport: this.viewport,
+      axeOptions: this.axeOptions,
+      screenshot: 'screenshot.png',
+      annotatedScreenshot: this.elementScreenshots ? 'annotated.png' : null,
+      baseline: this.baseline,
+      saveBaseline: this.saveBaseline,
+      junit: this.junit,
+      sarif: this.sarif,
+      reviews: this.reviews
     };
+  }
 
-    await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
-    console.log(`\n📄 JSON report saved: ${jsonPath}`);
-    return report;
-  }
-
-  async generateHTMLReport(results) {
-    const summary = this.generateSummary(results);
-    const htmlPath = path.join(this.reportDir, 'report.html');
-
-    const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Accessibility Report - ${new URL(this.url).hostname}</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            background: #f5f5f5;
-        }
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 20px;
-        }
-        header {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 30px 0;
-            margin-bottom: 30px;
-            border-radius: 10px;
-        }
-        h1 {
-            text-align: center;
-            font-size: 2.5em;
-            margin-bottom: 10px;
-        }
-        .header-info {
-            text-align: center;
-            opacity: 0.9;
-        }
-        .browser-info {
-            text-align: center;
-            margin-top: 10px;
-            font-size: 1.1em;
-        }
-        .summary {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 20px;
-            margin-bottom: 40px;
-        }
-        .stat-card {
-            background: white;
-            padding: 20px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            text-align: center;
-            transition: transform 0.3s;
-        }
-        .stat-card:hover {
-            transform: translateY(-5px);
-        }
-        .stat-number {
-            font-size: 2.5em;
-            font-weight: bold;
-            margin-bottom: 10px;
-        }
-        .stat-label {
-            color: #666;
-            font-size: 0.9em;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        .passes { color: #10b981; }
-        .violations { color: #ef4444; }
-        .incomplete { color: #f59e0b; }
-        .inapplicable { color: #6b7280; }
-        .impact-summary {
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            margin-bottom: 40px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .impact-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-            gap: 15px;
-            margin-top: 20px;
-        }
-        .impact-item {
-            padding: 15px;
-            border-radius: 8px;
-            text-align: center;
-            font-weight: bold;
-        }
-        .critical { background: #fee2e2; color: #991b1b; }
-        .serious { background: #fed7aa; color: #c2410c; }
-        .moderate { background: #fef3c7; color: #d97706; }
-        .minor { background: #dbeafe; color: #1e40af; }
-        .violations-section {
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .violation {
-            border-left: 4px solid #ef4444;
-            padding: 20px;
-            margin: 20px 0;
-            background: #fef2f2;
-            border-radius: 0 8px 8px 0;
-        }
-        .violation-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 15px;
-        }
-        .violation-title {
-            font-size: 1.2em;
-            font-weight: bold;
-            color: #1f2937;
-        }
-        .violation-impact {
-            padding: 5px 12px;
-            border-radius: 20px;
-            font-size: 0.85em;
-            font-weight: bold;
-            text-transform: uppercase;
-        }
-        .violation-description {
-            color: #4b5563;
-            margin-bottom: 15px;
-            line-height: 1.6;
-        }
-        .violation-details {
-            margin-top: 15px;
-            padding-top: 15px;
-            border-top: 1px solid #e5e7eb;
-        }
-        .affected-elements {
-            background: white;
-            padding: 10px;
-            border-radius: 5px;
-            margin-top: 10px;
-            font-family: 'Courier New', monospace;
-            font-size: 0.9em;
-            overflow-x: auto;
-        }
-        .help-link {
-            display: inline-block;
-            margin-top: 10px;
-            color: #3b82f6;
-            text-decoration: none;
-            font-weight: 500;
-        }
-        .help-link:hover {
-            text-decoration: underline;
-        }
-        .screenshot-section {
-            margin-top: 40px;
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .screenshot-img {
-            width: 100%;
-            border-radius: 8px;
-            border: 1px solid #e5e7eb;
-        }
-        footer {
-            text-align: center;
-            margin-top: 40px;
-            padding: 20px;
-            color: #6b7280;
-        }
-        .test-info {
-            background: #f3f4f6;
-            padding: 15px;
-            border-radius: 8px;
-            margin-top: 20px;
-        }
-        .test-info-item {
-            display: flex;
-            justify-content: space-between;
-            margin: 5px 0;
-        }
-        .test-info-label {
-            font-weight: bold;
-            color: #4b5563;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <header>
-            <h1>Accessibility Report</h1>
-            <div class="header-info">
-                <p>${new URL(this.url).hostname}</p>
-                <p>${new Date(summary.timestamp).toLocaleString()}</p>
-                <div class="browser-info">
-                    🖥️ Browser: ${this.browser.charAt(0).toUpperCase() + this.browser.slice(1)}
-                </div>
-            </div>
-        </header>
-
-        <div class="summary">
-            <div class="stat-card">
-                <div class="stat-number passes">${summary.passes}</div>
-                <div class="stat-label">Passed</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-number violations">${summary.violations}</div>
-                <div class="stat-label">Violations</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-number incomplete">${summary.incomplete}</div>
-                <div class="stat-label">Incomplete</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-number inapplicable">${summary.inapplicable}</div>
-                <div class="stat-label">Not Applicable</div>
-            </div>
-        </div>
-
-        ${summary.violations > 0 ? `
-        <div class="impact-summary">
-            <h2>Violations by Impact Level</h2>
-            <div class="impact-grid">
-                <div class="impact-item critical">
-                    Critical: ${summary.violationsByImpact.critical}
-                </div>
-                <div class="impact-item serious">
-                    Serious: ${summary.violationsByImpact.serious}
-                </div>
-                <div class="impact-item moderate">
-                    Moderate: ${summary.violationsByImpact.moderate}
-                </div>
-                <div class="impact-item minor">
-                    Minor: ${summary.violationsByImpact.minor}
-                </div>
-            </div>
-        </div>
-
-        <div class="violations-section">
-            <h2>Violation Details</h2>
-            ${results.violations.map(violation => `
-                <div class="violation">
-                    <div class="violation-header">
-                        <div class="violation-title">${violation.help}</div>
-                        <span class="violation-impact ${violation.impact}">${violation.impact}</span>
-                    </div>
-                    <div class="violation-description">
-                        ${violation.description}
-                    </div>
-                    <div class="violation-details">
-                        <strong>Rule ID:</strong> ${violation.id}<br>
-                        <strong>WCAG:</strong> ${violation.tags.join(", ")}<br>
-                        <strong>Elements Affected:</strong> ${violation.nodes.length}
-                        ${violation.nodes.length > 0 ? `
-                            <div class="affected-elements">
-                                ${violation.nodes.slice(0, 3).map(node => node.target.join(" ")).join("<br>")}
-                                ${violation.nodes.length > 3 ? `<br>... and ${violation.nodes.length - 3} more` : ""}
-                            </div>
-                        ` : ""}
-                        <a href="${violation.helpUrl}" target="_blank" class="help-link">
-                            Learn more about this issue →
-                        </a>
-                    </div>
-                </div>
-            `).join("")}
-        </div>
-        ` : `
-        <div class="impact-summary">
-            <h2 style="color: #10b981; text-align: center;">✅ No accessibility violations found!</h2>
-        </div>
-        `}
-
-        <div class="test-info">
-            <h3>Test Configuration</h3>
-            <div class="test-info-item">
-                <span class="test-info-label">Test Engine:</span>
-                <span>axe-core ${axeCore.version}</span>
-            </div>
-            <div class="test-info-item">
-                <span class="test-info-label">Test Framework:</span>
-                <span>Playwright with axe-playwright</span>
-            </div>
-            <div class="test-info-item">
-                <span class="test-info-label">Browser:</span>
-                <span>${this.browser}</span>
-            </div>
-            <div class="test-info-item">
-                <span class="test-info-label">Viewport:</span>
-                <span>${this.viewport.width} x ${this.viewport.height}</span>
-            </div>
-            <div class="test-info-item">
-                <span class="test-info-label">Rules Applied:</span>
-                <span>${this.axeOptions.runOnly?.values?.join(", ") || "All"}</span>
-            </div>
-        </div>
-
-        <div class="screenshot-section">
-            <h2>Page Screenshot</h2>
-            <img src="screenshot.png" alt="Screenshot of tested page" class="screenshot-img">
-        </div>
-
-        <footer>
-            <p>Generated with axe-core ${axeCore.version} and Playwright</p>
-        </footer>
-    </div>
-</body>
-</html>`;
-
-    await fs.writeFile(htmlPath, html);
-    console.log(`🌐 HTML report saved: ${htmlPath}`);
-  }
-
-  printConsoleSummary(summary) {
-    console.log("\n" + "=".repeat(60));
-    console.log("📊 ACCESSIBILITY AUDIT SUMMARY");
-    console.log("=".repeat(60));
-    console.log(`🔗 URL: ${summary.url}`);
-    console.log(`🖥️  Browser: ${summary.browser}`);
-    console.log(`📅 Tested: ${new Date(summary.timestamp).toLocaleString()}`);
-    console.log(`📦 Total Elements Tested: ${summary.totalElements}`);
-    console.log("-".repeat(60));
-
-    console.log(`✅ Passed: ${summary.passes}`);
-    console.log(`❌ Violations: ${summary.violations}`);
-    console.log(`⚠️  Incomplete: ${summary.incomplete}`);
-    console.log(`➖ Not Applicable: ${summary.inapplicable}`);
-
-    if (summary.violations > 0) {
-      console.log("-".repeat(60));
-      console.log("🎯 Violations by Impact:");
-      console.log(`   🔴 Critical: ${summary.violationsByImpact.critical}`);
-      console.log(`   🟠 Serious: ${summary.violationsByImpact.serious}`);
-      console.log(`   🟡 Moderate: ${summary.violationsByImpact.moderate}`);
-      console.log(`   🔵 Minor: ${summary.violationsByImpact.minor}`);
-    }
+  async saveReports(results, { reportDir = this.reportDir, browser = this.browser, ...overrides } = {}) {
+    const report = await writeReports(reportDir, results, { ...this.reportMeta(browser), ...overrides });
+    const outcome = {
+      ...report,
+      reportDir,
+      files: {
+        json: path.join(reportDir, 'report.json'),
+        html: path.join(reportDir, 'report.html'),
+        screenshot: path.join(reportDir, 'screenshot.png')
+      }
+    };
 
-    console.log("=".repeat(60));
+    this.emit('reported', outcome);
+    return outcome;
   }
 
-  async runMultipleBrowsers(browsers = ['chromium', 'firefox', 'webkit']) {
-    const results = {};
+  // Each browser is its own job with its own directory under browsers/, so
+  // browsers can run side by side; the combined report compares them.
+  async runMultipleBrowsers(browsers = ['chromium', 'firefox', 'webkit'], { concurrency = this.concurrency } = {}) {
+    try {
+      await this.init();
+      const runs = await runPool(browsers, async browser => {
+        console.log(`\n${"=".repeat(60)}`);
+        console.log(`🖥️  Testing with ${browser.toUpperCase()}`);
+        console.log("=".repeat(60));
+
+        const reportDir = await createReportDir(path.join(this.reportDir, 'browsers'), browser);
+        try {
+          const { results } = await this.auditTarget({ reportDir, browser });
+          return { name: browser, reportDir, results };
+        } catch (error) {
+          const failure = describeFailure(error);
+          console.error(`❌ Failed to test with ${browser}: ${formatFailure(failure)}`);
+          return { name: browser, reportDir, error: failure.message, failure };
+        }
+      }, { concurrency });
 
-    for (const browser of browsers) {
-      console.log(`\n${"=".repeat(60)}`);
-      console.log(`🖥️  Testing with ${browser.toUpperCase()}`);
-      console.log("=".repeat(60));
+      const report = await writeBrowserReport(this.reportDir, redactUrl(this.url), runs, this.reportMeta());
+      this.emit('reported', { ...report, reportDir: this.reportDir });
 
-      this.browser = browser;
-      this.timestamp = `${browser}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+      printBrowserSummary(report.summary, report.comparison, report.browsers);
+      console.log(`\n📁 Cross-browser report saved in: ${this.reportDir}\n`);
 
-      try {
-        await this.init();
-        const auditResults = await this.runWithAxePlaywright();
-        const report = await this.generateJSONReport(auditResults);
-        await this.generateHTMLReport(auditResults);
-        this.printConsoleSummary(report.summary);
-
-        results[browser] = {
-          success: true,
-          summary: report.summary,
-          reportDir: this.reportDir
-        };
-      } catch (error) {
-        console.error(`❌ Failed to test with ${browser}:`, error.message);
-        results[browser] = {
-          success: false,
-          error: error.message
-        };
-      }
+      return { ...report, reportDir: this.reportDir };
+    } catch (error) {
+      console.error('\n❌ Cross-browser audit failed:', error.message);
+      throw error;
+    } finally {
+      await this.finishRun();
     }
-
-    return results;
   }
 
   async run() {
@@ -585,111 +467,236 @@ class AccessibilityTester {
       await this.init();
       const results = await this.runWithAxePlaywright();
 
-      const report = await this.generateJSONReport(results);
-      await this.generateHTMLReport(results);
+      const report = await this.saveReports(results);
 
-      this.printConsoleSummary(report.summary);
+      printConsoleSummary(report.summary);
 
       console.log(`\n✨ Accessibility audit completed successfully!`);
       console.log(`📁 Reports saved in: ${this.reportDir}\n`);
 
       return report;
     } catch (error) {
-      console.error("\n❌ Audit failed:", error.message);
+      console.error("\n❌ Audit failed:", error instanceof AuditError ? formatFailure(describeFailure(error)) : error.message);
       throw error;
+    } finally {
+      await this.finishRun();
     }
   }
-}
 
-async function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    url: null,
-    outputDir: null,
-    browser: 'chromium',
-    headed: false,
-    allBrowsers: false,
-    help: false
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    switch (args[i]) {
-      case '--url':
-      case '-u':
-        options.url = args[++i];
-        break;
-      case '--output':
-      case '-o':
-        options.outputDir = args[++i];
+  async runViewports(specs = this.viewports) {
+    try {
+      const viewports = resolveViewports(specs, devices);
+      await this.init();
+      const audits = await auditViewports({
+        viewports,
+        reportDir: this.reportDir,
+        concurrency: this.concurrency,
+        auditViewport: async (viewport, reportDir) => (await this.auditTarget({ reportDir, viewport })).results
+      });
+
+      const report = await writeViewportReport(this.reportDir, redactUrl(this.url), audits, this.reportMeta());
+      this.emit('reported', { ...report, reportDir: this.reportDir });
+
+      printViewportSummary(report.summary, report.comparison);
+      console.log(`\n📁 Responsive report saved in: ${this.reportDir}\n`);
+
+      return { ...report, reportDir: this.reportDir };
+    } catch (error) {
+      console.error('\n❌ Responsive audit failed:', error.message);
+      throw error;
+    } finally {
+      await this.finishRun();
+    }
+  }
+
+  async performStep(page, step) {
+    switch (step.action) {
+      case 'goto': {
+        await this.navigate(page, step.url, this.settingsFor(step.url));
+        this.emit('navigated', { url: step.url, browser: this.browser });
         break;
-      case '--browser':
-      case '-b':
-        options.browser = args[++i];
+      }
+      case 'click':
+        await page.click(step.selector, { timeout: step.timeout });
         break;
-      case '--headed':
-        options.headed = true;
+      case 'fill':
+        await page.fill(step.selector, String(step.value), { timeout: step.timeout });
         break;
-      case '--all-browsers':
-        options.allBrowsers = true;
+      case 'press':
+        if (step.selector) {
+          await page.press(step.selector, step.key, { timeout: step.timeout });
+        } else {
+          await page.keyboard.press(step.key);
+        }
         break;
-      case '--help':
-      case '-h':
-        options.help = true;
+      case 'waitForSelector':
+        await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout: step.timeout });
         break;
     }
   }
 
-  if (options.help) {
-    console.log(`
-Accessibility Testing with Playwright and axe-core
-==================================================
+  async auditCheckpoint(page, name, checkpointDir) {
+    const url = page.url();
+    const timer = createTimer();
+
+    await timer.time('screenshot', () => page.screenshot({
+      path: path.join(checkpointDir, 'screenshot.png'),
+      fullPage: true
+    }));
+
+    // Navigation replaces the document, so axe is injected again when missing
+    const injected = await page.evaluate(() => typeof window.axe !== 'undefined');
+    if (!injected) {
+      await timer.time('inject', () => this.loadAxe(page, page => page.addScriptTag({ content: axeCore.source })));
+      this.emit('injected', { url, browser: this.browser, version: axeCore.version });
+    } else {
+      await timer.time('inject', () => injectFrames(page, this.axeSource()));
+    }
+
+    const { axeOptions, context } = this.settingsFor(url);
+    const results = await timer.time('analyze', () => page.evaluate(
+      ({ context, options }) => window.axe.run(context || document, options),
+      { context, options: axeOptions }
+    ));
+    results.url = redactUrl(results.url);
+    results.timings = timer.timings;
+    recordPlugins(results, this.plugins || []);
+    this.emit('analyzed', { url, browser: this.browser, checkpoint: name, results });
+
+    if (this.elementScreenshots) {
+      await timer.time('capture', () => this.captureElements(page, results, checkpointDir));
+    }
+
+    return results;
+  }
+
+  async runFlow(flowFile, { url } = {}) {
+    try {
+      await this.init();
+      const flow = await loadFlow(flowFile);
+      const startUrl = url || flow.url || this.url;
+
+      // A flow changes the session as it goes, so all of its steps share one
+      // fresh context
+      let context;
+      let run;
+      try {
+        await this.waitForLogin(startUrl, this.browser);
+        context = await this.newContext(await this.getBrowser(), this.viewport, this.browser);
+        const page = await context.newPage();
+        run = await executeFlow({
+          flow,
+          startUrl,
+          reportDir: this.reportDir,
+          performStep: step => this.performStep(page, step),
+          auditCheckpoint: (name, checkpointDir) => this.auditCheckpoint(page, name, checkpointDir)
+        });
+      } finally {
+        if (context) await context.close();
+      }
 
-Usage: node index.mjs [options]
+      const report = await writeFlowReport(this.reportDir, run, this.reportMeta());
+      this.emit('reported', { ...report, reportDir: this.reportDir });
 
-Options:
-  --url, -u <url>         URL to test (default: https://playwright.dev/)
-  --output, -o <dir>      Output directory (default: ./accessibility-reports)
-  --browser, -b <name>    Browser to use: chromium, firefox, webkit (default: chromium)
-  --headed                Run browser in headed mode (default: headless)
-  --all-browsers          Run tests in all browsers (chromium, firefox, webkit)
-  --help, -h              Show this help message
+      printFlowSummary(report.summary);
+      console.log(`\n📁 Flow report saved in: ${this.reportDir}\n`);
 
-Examples:
-  node index.mjs --url https://example.com
-  node index.mjs -u https://example.com -b firefox --headed
-  node index.mjs --all-browsers
-  node index.mjs --url https://example.com --output ./reports
-    `);
-    process.exit(0);
+      return { ...report, reportDir: this.reportDir };
+    } catch (error) {
+      console.error('\n❌ Flow failed:', error.message);
+      throw error;
+    } finally {
+      await this.finishRun();
+    }
   }
 
-  return options;
-}
+  async crawl({ startUrl, urls, sitemap, urlList, maxDepth, maxPages, dir, routes } = {}) {
+    try {
+      await this.init();
+      const report = await auditSite({
+        startUrl: startUrl || (urls || sitemap || urlList || dir ? null : this.url),
+        urls,
+        sitemap,
+        urlList,
+        maxDepth,
+        maxPages,
+        dir,
+        routes,
+        reportDir: this.reportDir,
+        concurrency: this.concurrency,
+        meta: this.reportMeta(),
+        auditUrl: (url, reportDir) => this.auditTarget({ url, reportDir })
+      });
+      this.emit('reported', report);
+      return report;
+    } catch (error) {
+      console.error('\n❌ Crawl failed:', error.message);
+      throw error;
+    } finally {
+      await this.finishRun();
+    }
+  }
 
-(async () => {
-  const options = await parseArgs();
-  const tester = new AccessibilityTester(options);
+  // Serves a local build (e.g. dist/) on a free port and audits every page in
+  // it, or the ones in the route list, as one site report without following links
+  async auditDirectory({ dir, routes } = {}) {
+    return this.crawl({ dir, routes });
+  }
 
-  if (options.allBrowsers) {
-    const results = await tester.runMultipleBrowsers();
+  // Waits for Storybook to render the story, then narrows the audit to the
+  // story root with the story's a11y parameters applied
+  async prepareStory(page, story, settings) {
+    console.log('📚 Waiting for the story to render...');
+    await page.waitForFunction(isStoryRendered, null, { timeout: settings.timeout });
+    const state = await page.evaluate(readStoryState, { storyId: story.id, roots: STORY_ROOTS });
+    if (state.error) {
+      throw new AuditError(state.error, { category: 'story' });
+    }
+    return storySettings(settings, state.a11y, state.root);
+  }
 
-    console.log(`\n${"=".repeat(60)}`);
-    console.log("📊 MULTI-BROWSER TEST SUMMARY");
-    console.log("=".repeat(60));
+  // Audits every story of a storybook-static directory, or of a deployed
+  // Storybook, in its iframe; the combined report groups them by component
+  async runStorybook(source = this.storybook) {
+    try {
+      await this.init();
+      const report = await withStorybook(source, async ({ baseUrl, stories }) => {
+        const runs = await runPool(stories, async (story, index) => {
+          const url = storyUrl(baseUrl, story.id);
+          console.log(`\n📖 [${index + 1}/${stories.length}] ${story.title} › ${story.name}`);
+
+          const reportDir = await createReportDir(path.join(this.reportDir, 'stories'), storyDirName(index, story));
+          try {
+            const { results, skipped } = await this.auditTarget({
+              url,
+              reportDir,
+              prepare: (page, settings) => this.prepareStory(page, story, settings)
+            });
+            if (skipped) {
+              console.log(`⏭️  Skipped: ${skipped}`);
+              return { story, url, skipped };
+            }
+            return { story, url, reportDir, results };
+          } catch (error) {
+            const failure = describeFailure(error);
+            console.error(`❌ Failed to audit ${story.id}: ${formatFailure(failure)}`);
+            return { story, url, error: failure.message, failure };
+          }
+        }, { concurrency: this.concurrency });
 
-    for (const [browser, result] of Object.entries(results)) {
-      if (result.success) {
-        console.log(`✅ ${browser}: ${result.summary.violations} violations found`);
-        console.log(`   📁 Report: ${result.reportDir}`);
-      } else {
-        console.log(`❌ ${browser}: Failed - ${result.error}`);
-      }
+        return writeStorybookReport(this.reportDir, redactUrl(source), runs, this.reportMeta());
+      });
+      this.emit('reported', { ...report, reportDir: this.reportDir });
+
+      printStorybookSummary(report.summary, report.components);
+      console.log(`\n📁 Storybook report saved in: ${this.reportDir}\n`);
+
+      return { ...report, reportDir: this.reportDir };
+    } catch (error) {
+      console.error('\n❌ Storybook audit failed:', error.message);
+      throw error;
+    } finally {
+      await this.finishRun();
     }
-    console.log("=".repeat(60));
-  } else {
-    await tester.run();
-  }
-})().catch(error => {
-  console.error(error);
-  process.exit(1);
-});
\ No newline at end of file
+  }
+}
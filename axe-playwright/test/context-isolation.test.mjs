@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { AccessibilityTester } from '../index.mjs';
+
+// Stands in for a Playwright browser: every context keeps its own cookies,
+// like a real browser context does
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.contexts = [];
+  browser.newContext = async options => {
+    const jar = [];
+    const context = {
+      options,
+      closed: false,
+      addCookies: async cookies => { jar.push(...cookies); },
+      cookies: async () => [...jar],
+      newPage: async () => ({ context: () => context }),
+      close: async () => { context.closed = true; }
+    };
+    browser.contexts.push(context);
+    return context;
+  };
+  browser.close = async () => browser.emit('disconnected');
+  return browser;
+}
+
+function createTester(auth = {}) {
+  const tester = new AccessibilityTester({ browser: 'chromium' });
+  tester.resolvedAuth = { storageStatePath: null, cookies: [], headers: {}, httpCredentials: null, login: null, ...auth };
+  tester.launches = 0;
+  tester.launchBrowser = async () => {
+    tester.launches++;
+    return fakeBrowser();
+  };
+  return tester;
+}
+
+test('a cookie set on one page is not visible on the next', async () => {
+  const tester = createTester();
+
+  const first = await tester.openPage('https://example.com/a');
+  await first.context.addCookies([{ name: 'session', value: 'page-a', url: 'https://example.com' }]);
+  await tester.releasePage(first);
+
+  const second = await tester.openPage('https://example.com/b');
+  assert.deepEqual(await second.context.cookies(), []);
+  assert.notEqual(second.context, first.context);
+  assert.equal(first.context.closed, true);
+  assert.equal(tester.launches, 1);
+
+  await tester.releasePage(second);
+  await tester.close();
+});
+
+test('every page starts from the configured cookies', async () => {
+  const cookie = { name: 'consent', value: 'yes', url: 'https://example.com' };
+  const tester = createTester({ cookies: [cookie] });
+
+  const first = await tester.openPage('https://example.com/a');
+  await first.context.addCookies([{ name: 'cart', value: '3', url: 'https://example.com' }]);
+  await tester.releasePage(first);
+
+  const second = await tester.openPage('https://example.com/b');
+  assert.deepEqual(await second.context.cookies(), [cookie]);
+
+  await tester.releasePage(second);
+  await tester.close();
+});
+
+test('a disconnected browser is launched again for the next page', async () => {
+  const tester = createTester();
+
+  const first = await tester.openPage('https://example.com/a');
+  await tester.releasePage(first);
+  (await tester.getBrowser()).emit('disconnected');
+
+  const second = await tester.openPage('https://example.com/b');
+  assert.equal(tester.launches, 2);
+
+  await tester.releasePage(second);
+  await tester.close();
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+import {
+  applyGate,
+  worstExitCode,
+  EXIT_CODES,
+  UsageError,
+  AuditError,
+  parseCommandLine,
+  renderHelp,
+  resolveRunOptions,
+  HELP_OPTION,
+  CONFIG_OPTION,
+  PAGE_OPTIONS,
+  PLUGINS_OPTION,
+  VIEWPORT_OPTIONS,
+  SCREENSHOT_OPTIONS,
+  CONCURRENCY_OPTION,
+  CRAWL_OPTIONS,
+  STATIC_OPTIONS,
+  GATE_OPTIONS,
+  OUTPUT_OPTIONS,
+  AUTH_OPTIONS
+} from "axe-report-core";
+import { AccessibilityReporter } from "./index.mjs";
+
+const OPTIONS = [
+  CONFIG_OPTION,
+  { name: "url", alias: "u", value: "url", description: "URL to test (default: https://webdriver.io/)" },
+  { name: "output", alias: "o", value: "dir", key: "outputDir", description: "Output directory (default: ./accessibility-reports)" },
+  { name: "no-headless", key: "headless", set: false, description: "Run browser in non-headless mode" },
+  { name: "crawl", description: "Crawl same-origin links from --url and audit every page" },
+  { name: "flow", value: "file", description: "Run the steps in a JSON or JS flow file and audit at each checkpoint" },
+  ...PAGE_OPTIONS,
+  PLUGINS_OPTION,
+  ...VIEWPORT_OPTIONS,
+  ...SCREENSHOT_OPTIONS,
+  CONCURRENCY_OPTION,
+  ...CRAWL_OPTIONS,
+  ...STATIC_OPTIONS,
+  ...GATE_OPTIONS,
+  ...OUTPUT_OPTIONS,
+  ...AUTH_OPTIONS,
+  HELP_OPTION
+];
+
+const DEFAULTS = {
+  url: null,
+  outputDir: null,
+  headless: true,
+  crawl: false,
+  flow: null,
+  viewports: null,
+  elementScreenshots: true,
+  maxElementScreenshots: 50,
+  sitemap: null,
+  urlList: null,
+  maxDepth: 2,
+  maxPages: 50,
+  dir: null,
+  routes: null,
+  concurrency: 1,
+  failOn: [],
+  budget: {},
+  baseline: null,
+  saveBaseline: null,
+  failOnNew: [],
+  junit: null,
+  sarif: null,
+  reviews: null,
+  plugins: null
+};
+
+async function parseArgs() {
+  const { options } = parseCommandLine(process.argv.slice(2), { options: OPTIONS, command: "node cli.mjs" });
+
+  if (options.help) {
+    console.log(renderHelp({
+      title: "Accessibility Report Generator",
+      usage: "node cli.mjs [options]",
+      options: OPTIONS,
+      notes: ["Options given on the command line override the config file."],
+      examples: [
+        "node cli.mjs --url https://example.com",
+        "node cli.mjs -u https://example.com -o ./reports --no-headless",
+        "node cli.mjs --url https://example.com --crawl --max-depth 1",
+        "node cli.mjs --flow ../fixtures/site/contact-flow.json",
+        "node cli.mjs --url https://example.com --viewports mobile,tablet,desktop",
+        "node cli.mjs --sitemap https://example.com/sitemap.xml --max-pages 100 --concurrency 4",
+        "node cli.mjs --dir ./dist --routes ./routes.txt --concurrency 2",
+        "node cli.mjs --url https://example.com --fail-on critical,serious --budget a11y-budget.json",
+        "A11Y_TOKEN=\"Bearer ...\" node cli.mjs --url https://example.com/app --header Authorization=A11Y_TOKEN"
+      ]
+    }));
+    process.exit(0);
+  }
+
+  return resolveRunOptions(DEFAULTS, options);
+}
+
+(async () => {
+  const options = await parseArgs();
+  const reporter = new AccessibilityReporter(options);
+
+  if (options.flow) {
+    const report = await reporter.runFlow(options.flow, { url: options.url });
+    process.exitCode = worstExitCode([
+      report.summary.failedStep ? EXIT_CODES.error : EXIT_CODES.passed,
+      applyGate(report.summary, options)
+    ]);
+    return;
+  }
+
+  if (options.viewports) {
+    const report = await reporter.runViewports();
+    process.exitCode = worstExitCode([
+      report.summary.viewportsFailed > 0 ? EXIT_CODES.error : EXIT_CODES.passed,
+      applyGate(report.summary, options)
+    ]);
+    return;
+  }
+
+  let report;
+  if (options.dir) {
+    report = await reporter.auditDirectory({ dir: options.dir, routes: options.routes });
+  } else if (options.crawl || options.sitemap || options.urlList) {
+    report = await reporter.crawl({
+      startUrl: options.url,
+      sitemap: options.sitemap,
+      urlList: options.urlList,
+      maxDepth: options.maxDepth,
+      maxPages: options.maxPages
+    });
+  } else {
+    report = await reporter.run();
+  }
+
+  // Crawls and directory audits report pages that failed instead of throwing
+  process.exitCode = worstExitCode([
+    report.summary.pagesFailed > 0 ? EXIT_CODES.error : EXIT_CODES.passed,
+    applyGate(report.summary, options)
+  ]);
+})().catch(error => {
+  // Audit failures have already been reported with their category
+  if (!(error instanceof AuditError)) {
+    console.error(error instanceof UsageError ? `❌ ${error.message}` : error);
+  }
+  process.exit(EXIT_CODES.error);
+});
\ No newline at end of file
@@ -1,38 +1,219 @@
-#!/usr/bin/env node
-
-import puppeteer from "puppeteer";
+import { EventEmitter } from "events";
+import puppeteer, { KnownDevices } from "puppeteer";
 import axeCore from "axe-core";
-import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-class AccessibilityReporter {
+import {
+  createReportDir,
+  createTimestamp,
+  writeReports,
+  printConsoleSummary,
+  auditSite,
+  resolveAuth,
+  shareLogin,
+  redactUrl,
+  loadFlow,
+  executeFlow,
+  writeFlowReport,
+  printFlowSummary,
+  captureElementScreenshots,
+  settingsForUrl,
+  loadPlugins,
+  pluginScript,
+  withPluginTags,
+  recordPlugins,
+  resolveViewports,
+  auditViewports,
+  writeViewportReport,
+  printViewportSummary,
+  AuditError,
+  classifyError,
+  toAuditError,
+  describeFailure,
+  formatFailure,
+  navigateWithRetries,
+  injectFrames
+} from "axe-report-core";
+
+// Puppeteer's closest match to Playwright's "networkidle"
+const WAIT_UNTIL = {
+  networkidle: "networkidle2"
+};
+
+export class AccessibilityReporter extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.url = options.url || "https://webdriver.io/";
     this.outputDir = options.outputDir || path.join(process.cwd(), "accessibility-reports");
     this.headless = options.headless !== false;
     this.viewport = options.viewport || { width: 1920, height: 1080 };
+    this.viewports = options.viewports || null;
     this.axeOptions = options.axeOptions || {
       runOnly: {
         type: "tag",
         values: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "best-practice", "section508"]
       }
     };
-    this.timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    this.context = options.context || null;
+    this.timeout = options.timeout ?? 30000;
+    this.waitUntil = options.waitUntil || "networkidle";
+    this.retries = options.retries ?? 0;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.overrides = options.overrides || [];
+    this.baseline = options.baseline || null;
+    this.saveBaseline = options.saveBaseline || null;
+    this.junit = options.junit || null;
+    this.sarif = options.sarif || null;
+    this.reviews = options.reviews || null;
+    this.pluginPaths = options.plugins || null;
+    this.plugins = null;
+    this.pluginScript = "";
+    this.auth = options.auth || {};
+    this.elementScreenshots = options.elementScreenshots !== false;
+    this.maxElementScreenshots = options.maxElementScreenshots ?? 50;
+    this.concurrency = options.concurrency ?? 1;
+    this.timestamp = createTimestamp();
+    this.sharedLogIn = shareLogin((browser, url) => this.logIn(browser, url));
   }
 
   async init() {
-    const reportDir = path.join(this.outputDir, this.timestamp);
-    await fs.mkdir(reportDir, { recursive: true });
-    this.reportDir = reportDir;
-    console.log(`\n📁 Report directory created: ${reportDir}`);
+    this.reportDir = await createReportDir(this.outputDir, this.timestamp);
+    if (!this.resolvedAuth) {
+      this.resolvedAuth = await resolveAuth(this.auth);
+    }
+    if (!this.plugins) {
+      this.plugins = await loadPlugins(this.pluginPaths);
+      this.pluginScript = pluginScript(this.plugins);
+    }
+  }
+
+  // axe-core followed by the plugins' custom rules and checks
+  axeSource() {
+    return `${axeCore.source}\n${this.pluginScript}`;
+  }
+
+  async applySession(browser, page) {
+    const { storageState, cookies, headers, httpCredentials } = this.resolvedAuth;
+
+    const sessionCookies = this.loginCookies || [...(storageState?.cookies || []), ...cookies];
+    if (sessionCookies.length > 0) {
+      await browser.setCookie(...sessionCookies);
+    }
+
+    if (storageState?.origins.length > 0) {
+      await page.evaluateOnNewDocument((origins) => {
+        const entry = origins.find(origin => origin.origin === window.location.origin);
+        for (const { name, value } of entry?.localStorage || []) {
+          window.localStorage.setItem(name, value);
+        }
+      }, storageState.origins);
+    }
+
+    if (Object.keys(headers).length > 0) {
+      await page.setExtraHTTPHeaders(headers);
+    }
+
+    if (httpCredentials) {
+      await page.authenticate(httpCredentials);
+    }
+  }
+
+  async logIn(browser, url) {
+    const { login, credentials } = this.resolvedAuth;
+    const page = await browser.newPage();
+
+    try {
+      await this.applySession(browser, page);
+      console.log("🔑 Running login module...");
+      await login({ page, browser, url, credentials });
+      // Later pages start from the logged-in cookies instead of logging in again
+      this.loginCookies = await browser.cookies();
+      this.emit("authenticated", { url });
+    } finally {
+      await page.close();
+    }
+  }
+
+  async authenticate(browser, page, url) {
+    if (this.resolvedAuth.login) {
+      await this.sharedLogIn(browser, url);
+    }
+
+    await this.applySession(browser, page);
+  }
+
+  async emulate(page, viewport) {
+    const { width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } = viewport;
+    await page.setViewport({ width, height, deviceScaleFactor, isMobile, hasTouch });
+    if (userAgent) {
+      await page.setUserAgent(userAgent);
+    }
+  }
+
+  // Config overrides can change the rules, context and navigation per URL
+  settingsFor(url) {
+    const settings = settingsForUrl({
+      axeOptions: this.axeOptions,
+      context: this.context,
+      timeout: this.timeout,
+      waitUntil: this.waitUntil,
+      retries: this.retries,
+      retryDelay: this.retryDelay
+    }, this.overrides, url);
+    return {
+      ...settings,
+      axeOptions: withPluginTags(settings.axeOptions, this.plugins || []),
+      waitUntil: WAIT_UNTIL[settings.waitUntil] || settings.waitUntil
+    };
+  }
+
+  async navigate(page, url, settings) {
+    await navigateWithRetries(() => page.goto(url, {
+      waitUntil: settings.waitUntil,
+      timeout: settings.timeout
+    }), settings);
   }
 
-  async runAudit() {
-    console.log(`\n🔍 Starting accessibility audit for: ${this.url}`);
-    console.log(`📋 Rules: ${JSON.stringify(this.axeOptions.runOnly)}\n`);
+  async captureElements(page, results, reportDir) {
+    if (!this.elementScreenshots) return;
+
+    console.log("🖼️  Capturing violating elements...");
+    await captureElementScreenshots(results, {
+      reportDir,
+      maxScreenshots: this.maxElementScreenshots,
+      evaluate: (fn, arg) => page.evaluate(fn, arg),
+      screenshot: ({ path: file, clip }) => page.screenshot(clip ? { path: file, clip } : { path: file, fullPage: true })
+    });
+  }
+
+  // Loads axe-core and the plugins into the page and every frame
+  async loadAxe(page) {
+    try {
+      await page.addScriptTag({
+        content: this.axeSource()
+      });
+    } catch (error) {
+      throw new AuditError(`axe-core could not be injected: ${error.message.split("\n")[0]}`, {
+        category: classifyError(error) === "csp" ? "csp" : "axe",
+        cause: error
+      });
+    }
+    // A Content-Security-Policy that blocks inline scripts stops axe-core
+    // from loading without an error
+    if (!(await page.evaluate(() => typeof window.axe !== "undefined"))) {
+      throw new AuditError("axe-core did not load, the page's Content-Security-Policy probably blocks injected scripts", { category: "csp" });
+    }
+    await injectFrames(page, this.axeSource());
+  }
+
+  async runAudit(target = {}) {
+    const { results } = await this.auditTarget(target);
+    return results;
+  }
+
+  async auditTarget({ url = this.url, reportDir = this.reportDir, viewport = this.viewport } = {}) {
+    const settings = this.settingsFor(url);
+    console.log(`\n🔍 Starting accessibility audit for: ${redactUrl(url)}`);
+    console.log(`📋 Rules: ${JSON.stringify(settings.axeOptions.runOnly || settings.axeOptions.rules)}\n`);
 
     let browser;
     try {
@@ -43,379 +224,77 @@ class AccessibilityReporter {
       });
 
       const page = await browser.newPage();
-      await page.setViewport(this.viewport);
+      await this.emulate(page, viewport);
+      await this.authenticate(browser, page, url);
 
       console.log("🌐 Navigating to URL...");
-      await page.goto(this.url, {
-        waitUntil: "networkidle2",
-        timeout: 30000
-      });
+      await this.navigate(page, url, settings);
+      this.emit("navigated", { url });
 
       console.log("📸 Taking screenshot...");
-      const screenshotPath = path.join(this.reportDir, "screenshot.png");
+      const screenshotPath = path.join(reportDir, "screenshot.png");
       await page.screenshot({
         path: screenshotPath,
         fullPage: true
       });
 
       console.log("🔧 Injecting axe-core...");
-      await page.addScriptTag({
-        content: axeCore.source
-      });
+      await this.loadAxe(page);
+      this.emit("injected", { url, version: axeCore.version });
 
       console.log("⚡ Running accessibility tests...");
-      const results = await page.evaluate((axeOptions) => {
-        return new Promise((resolve, reject) => {
-          if (typeof window.axe === "undefined") {
-            reject(new Error("axe-core failed to load"));
-            return;
-          }
-
-          window.axe.run(document, axeOptions)
-            .then(results => resolve(results))
-            .catch(error => reject(error));
-        });
-      }, this.axeOptions);
+      const results = await page.evaluate(
+        ({ context, axeOptions }) => window.axe.run(context || document, axeOptions),
+        { context: settings.context, axeOptions: settings.axeOptions }
+      ).catch(error => {
+        throw new AuditError(`axe-core failed: ${error.message.split("\n")[0]}`, { category: "axe", cause: error });
+      });
+      results.url = redactUrl(results.url);
+      recordPlugins(results, this.plugins || []);
+      this.emit("analyzed", { url, results });
+
+      await this.captureElements(page, results, reportDir);
+
+      const links = await page.evaluate(() => Array.from(document.links, link => link.href));
 
       await browser.close();
-      return results;
+      return { results, links };
 
     } catch (error) {
       if (browser) await browser.close();
-      throw error;
+      throw toAuditError(error);
     }
   }
 
-  generateSummary(results) {
-    const summary = {
-      url: results.url,
-      timestamp: results.timestamp,
-      totalElements: results.passes.length + results.violations.length + results.incomplete.length + results.inapplicable.length,
-      passes: results.passes.length,
-      violations: results.violations.length,
-      incomplete: results.incomplete.length,
-      inapplicable: results.inapplicable.length,
-      violationsByImpact: {
-        critical: 0,
-        serious: 0,
-        moderate: 0,
-        minor: 0
-      }
+  reportMeta() {
+    return {
+      framework: "Puppeteer",
+      viewport: this.viewport,
+      axeOptions: this.axeOptions,
+      screenshot: "screenshot.png",
+      annotatedScreenshot: this.elementScreenshots ? "annotated.png" : null,
+      baseline: this.baseline,
+      saveBaseline: this.saveBaseline,
+      junit: this.junit,
+      sarif: this.sarif,
+      reviews: this.reviews
     };
-
-    results.violations.forEach(violation => {
-      if (violation.impact) {
-        summary.violationsByImpact[violation.impact]++;
-      }
-    });
-
-    return summary;
   }
 
-  async generateJSONReport(results) {
-    const jsonPath = path.join(this.reportDir, "report.json");
-    const report = {
-      summary: this.generateSummary(results),
-      results: results
+  async saveReports(results) {
+    const report = await writeReports(this.reportDir, results, this.reportMeta());
+    const outcome = {
+      ...report,
+      reportDir: this.reportDir,
+      files: {
+        json: path.join(this.reportDir, "report.json"),
+        html: path.join(this.reportDir, "report.html"),
+        screenshot: path.join(this.reportDir, "screenshot.png")
+      }
     };
 
-    await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
-    console.log(`\n📄 JSON report saved: ${jsonPath}`);
-    return report;
-  }
-
-  async generateHTMLReport(results) {
-    const summary = this.generateSummary(results);
-    const htmlPath = path.join(this.reportDir, "report.html");
-
-    const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Accessibility Report - ${new URL(this.url).hostname}</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            background: #f5f5f5;
-        }
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 20px;
-        }
-        header {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 30px 0;
-            margin-bottom: 30px;
-            border-radius: 10px;
-        }
-        h1 {
-            text-align: center;
-            font-size: 2.5em;
-            margin-bottom: 10px;
-        }
-        .header-info {
-            text-align: center;
-            opacity: 0.9;
-        }
-        .summary {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 20px;
-            margin-bottom: 40px;
-        }
-        .stat-card {
-            background: white;
-            padding: 20px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            text-align: center;
-        }
-        .stat-number {
-            font-size: 2.5em;
-            font-weight: bold;
-            margin-bottom: 10px;
-        }
-        .stat-label {
-            color: #666;
-            font-size: 0.9em;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        .passes { color: #10b981; }
-        .violations { color: #ef4444; }
-        .incomplete { color: #f59e0b; }
-        .inapplicable { color: #6b7280; }
-        .impact-summary {
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            margin-bottom: 40px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .impact-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-            gap: 15px;
-            margin-top: 20px;
-        }
-        .impact-item {
-            padding: 15px;
-            border-radius: 8px;
-            text-align: center;
-            font-weight: bold;
-        }
-        .critical { background: #fee2e2; color: #991b1b; }
-        .serious { background: #fed7aa; color: #c2410c; }
-        .moderate { background: #fef3c7; color: #d97706; }
-        .minor { background: #dbeafe; color: #1e40af; }
-        .violations-section {
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .violation {
-            border-left: 4px solid #ef4444;
-            padding: 20px;
-            margin: 20px 0;
-            background: #fef2f2;
-            border-radius: 0 8px 8px 0;
-        }
-        .violation-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 15px;
-        }
-        .violation-title {
-            font-size: 1.2em;
-            font-weight: bold;
-            color: #1f2937;
-        }
-        .violation-impact {
-            padding: 5px 12px;
-            border-radius: 20px;
-            font-size: 0.85em;
-            font-weight: bold;
-            text-transform: uppercase;
-        }
-        .violation-description {
-            color: #4b5563;
-            margin-bottom: 15px;
-            line-height: 1.6;
-        }
-        .violation-details {
-            margin-top: 15px;
-            padding-top: 15px;
-            border-top: 1px solid #e5e7eb;
-        }
-        .affected-elements {
-            background: white;
-            padding: 10px;
-            border-radius: 5px;
-            margin-top: 10px;
-            font-family: 'Courier New', monospace;
-            font-size: 0.9em;
-            overflow-x: auto;
-        }
-        .help-link {
-            display: inline-block;
-            margin-top: 10px;
-            color: #3b82f6;
-            text-decoration: none;
-            font-weight: 500;
-        }
-        .help-link:hover {
-            text-decoration: underline;
-        }
-        .screenshot-section {
-            margin-top: 40px;
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .screenshot-img {
-            width: 100%;
-            border-radius: 8px;
-            border: 1px solid #e5e7eb;
-        }
-        footer {
-            text-align: center;
-            margin-top: 40px;
-            padding: 20px;
-            color: #6b7280;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <header>
-            <h1>Accessibility Report</h1>
-            <div class="header-info">
-                <p>${new URL(this.url).hostname}</p>
-                <p>${new Date(summary.timestamp).toLocaleString()}</p>
-            </div>
-        </header>
-
-        <div class="summary">
-            <div class="stat-card">
-                <div class="stat-number passes">${summary.passes}</div>
-                <div class="stat-label">Passed</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-number violations">${summary.violations}</div>
-                <div class="stat-label">Violations</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-number incomplete">${summary.incomplete}</div>
-                <div class="stat-label">Incomplete</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-number inapplicable">${summary.inapplicable}</div>
-                <div class="stat-label">Not Applicable</div>
-            </div>
-        </div>
-
-        ${summary.violations > 0 ? `
-        <div class="impact-summary">
-            <h2>Violations by Impact Level</h2>
-            <div class="impact-grid">
-                <div class="impact-item critical">
-                    Critical: ${summary.violationsByImpact.critical}
-                </div>
-                <div class="impact-item serious">
-                    Serious: ${summary.violationsByImpact.serious}
-                </div>
-                <div class="impact-item moderate">
-                    Moderate: ${summary.violationsByImpact.moderate}
-                </div>
-                <div class="impact-item minor">
-                    Minor: ${summary.violationsByImpact.minor}
-                </div>
-            </div>
-        </div>
-
-        <div class="violations-section">
-            <h2>Violation Details</h2>
-            ${results.violations.map(violation => `
-                <div class="violation">
-                    <div class="violation-header">
-                        <div class="violation-title">${violation.help}</div>
-                        <span class="violation-impact ${violation.impact}">${violation.impact}</span>
-                    </div>
-                    <div class="violation-description">
-                        ${violation.description}
-                    </div>
-                    <div class="violation-details">
-                        <strong>Rule ID:</strong> ${violation.id}<br>
-                        <strong>WCAG:</strong> ${violation.tags.join(", ")}<br>
-                        <strong>Elements Affected:</strong> ${violation.nodes.length}
-                        ${violation.nodes.length > 0 ? `
-                            <div class="affected-elements">
-                                ${violation.nodes.slice(0, 3).map(node => node.target.join(" ")).join("<br>")}
-                                ${violation.nodes.length > 3 ? `<br>... and ${violation.nodes.length - 3} more` : ""}
-                            </div>
-                        ` : ""}
-                        <a href="${violation.helpUrl}" target="_blank" class="help-link">
-                            Learn more about this issue →
-                        </a>
-                    </div>
-                </div>
-            `).join("")}
-        </div>
-        ` : `
-        <div class="impact-summary">
-            <h2 style="color: #10b981; text-align: center;">✅ No accessibility violations found!</h2>
-        </div>
-        `}
-
-        <div class="screenshot-section">
-            <h2>Page Screenshot</h2>
-            <img src="screenshot.png" alt="Screenshot of tested page" class="screenshot-img">
-        </div>
-
-        <footer>
-            <p>Generated with axe-core ${axeCore.version} and Puppeteer</p>
-        </footer>
-    </div>
-</body>
-</html>`;
-
-    await fs.writeFile(htmlPath, html);
-    console.log(`🌐 HTML report saved: ${htmlPath}`);
-  }
-
-  printConsoleSummary(summary) {
-    console.log("\n" + "=".repeat(60));
-    console.log("📊 ACCESSIBILITY AUDIT SUMMARY");
-    console.log("=".repeat(60));
-    console.log(`🔗 URL: ${summary.url}`);
-    console.log(`📅 Tested: ${new Date(summary.timestamp).toLocaleString()}`);
-    console.log(`📦 Total Elements Tested: ${summary.totalElements}`);
-    console.log("-".repeat(60));
-
-    console.log(`✅ Passed: ${summary.passes}`);
-    console.log(`❌ Violations: ${summary.violations}`);
-    console.log(`⚠️  Incomplete: ${summary.incomplete}`);
-    console.log(`➖ Not Applicable: ${summary.inapplicable}`);
-
-    if (summary.violations > 0) {
-      console.log("-".repeat(60));
-      console.log("🎯 Violations by Impact:");
-      console.log(`   🔴 Critical: ${summary.violationsByImpact.critical}`);
-      console.log(`   🟠 Serious: ${summary.violationsByImpact.serious}`);
-      console.log(`   🟡 Moderate: ${summary.violationsByImpact.moderate}`);
-      console.log(`   🔵 Minor: ${summary.violationsByImpact.minor}`);
-    }
-
-    console.log("=".repeat(60));
+    this.emit("reported", outcome);
+    return outcome;
   }
 
   async run() {
@@ -423,79 +302,173 @@ class AccessibilityReporter {
       await this.init();
       const results = await this.runAudit();
 
-      const report = await this.generateJSONReport(results);
-      await this.generateHTMLReport(results);
+      const report = await this.saveReports(results);
 
-      this.printConsoleSummary(report.summary);
+      printConsoleSummary(report.summary);
 
       console.log(`\n✨ Accessibility audit completed successfully!`);
       console.log(`📁 Reports saved in: ${this.reportDir}\n`);
 
       return report;
     } catch (error) {
-      console.error("\n❌ Audit failed:", error.message);
+      console.error("\n❌ Audit failed:", error instanceof AuditError ? formatFailure(describeFailure(error)) : error.message);
       throw error;
     }
   }
-}
 
-async function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    url: null,
-    outputDir: null,
-    headless: true,
-    help: false
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    switch (args[i]) {
-      case "--url":
-      case "-u":
-        options.url = args[++i];
+  async runViewports(specs = this.viewports) {
+    try {
+      const viewports = resolveViewports(specs, KnownDevices);
+      await this.init();
+      const audits = await auditViewports({
+        viewports,
+        reportDir: this.reportDir,
+        concurrency: this.concurrency,
+        auditViewport: async (viewport, reportDir) => (await this.auditTarget({ reportDir, viewport })).results
+      });
+
+      const report = await writeViewportReport(this.reportDir, redactUrl(this.url), audits, this.reportMeta());
+      this.emit("reported", { ...report, reportDir: this.reportDir });
+
+      printViewportSummary(report.summary, report.comparison);
+      console.log(`\n📁 Responsive report saved in: ${this.reportDir}\n`);
+
+      return { ...report, reportDir: this.reportDir };
+    } catch (error) {
+      console.error("\n❌ Responsive audit failed:", error.message);
+      throw error;
+    }
+  }
+
+  async performStep(page, step) {
+    switch (step.action) {
+      case "goto": {
+        await this.navigate(page, step.url, this.settingsFor(step.url));
+        this.emit("navigated", { url: step.url });
         break;
-      case "--output":
-      case "-o":
-        options.outputDir = args[++i];
+      }
+      case "click":
+        await page.locator(step.selector).setTimeout(step.timeout ?? 30000).click();
         break;
-      case "--no-headless":
-        options.headless = false;
+      case "fill":
+        await page.locator(step.selector).setTimeout(step.timeout ?? 30000).fill(String(step.value));
         break;
-      case "--help":
-      case "-h":
-        options.help = true;
+      case "press":
+        if (step.selector) {
+          await page.focus(step.selector);
+        }
+        await page.keyboard.press(step.key);
+        break;
+      case "waitForSelector":
+        await page.waitForSelector(step.selector, {
+          visible: (step.state || "visible") === "visible",
+          hidden: step.state === "hidden",
+          timeout: step.timeout
+        });
         break;
     }
   }
 
-  if (options.help) {
-    console.log(`
-Accessibility Report Generator
-==============================
+  async auditCheckpoint(page, name, checkpointDir) {
+    const url = page.url();
+
+    await page.screenshot({
+      path: path.join(checkpointDir, "screenshot.png"),
+      fullPage: true
+    });
 
-Usage: node index.mjs [options]
+    // Navigation replaces the document, so axe is injected again when missing
+    const injected = await page.evaluate(() => typeof window.axe !== "undefined");
+    if (!injected) {
+      await this.loadAxe(page);
+      this.emit("injected", { url, version: axeCore.version });
+    } else {
+      await injectFrames(page, this.axeSource());
+    }
 
-Options:
-  --url, -u <url>         URL to test (default: https://webdriver.io/)
-  --output, -o <dir>      Output directory (default: ./accessibility-reports)
-  --no-headless           Run browser in non-headless mode
-  --help, -h              Show this help message
+    const { axeOptions, context } = this.settingsFor(url);
+    const results = await page.evaluate(
+      ({ context, axeOptions }) => window.axe.run(context || document, axeOptions),
+      { context, axeOptions }
+    );
+    results.url = redactUrl(results.url);
+    recordPlugins(results, this.plugins || []);
+    this.emit("analyzed", { url, checkpoint: name, results });
 
-Examples:
-  node index.mjs --url https://example.com
-  node index.mjs -u https://example.com -o ./reports --no-headless
-    `);
-    process.exit(0);
+    await this.captureElements(page, results, checkpointDir);
+
+    return results;
   }
 
-  return options;
-}
+  async runFlow(flowFile, { url } = {}) {
+    try {
+      await this.init();
+      const flow = await loadFlow(flowFile);
+      const startUrl = url || flow.url || this.url;
+
+      let browser;
+      let run;
+      try {
+        browser = await puppeteer.launch({
+          headless: this.headless,
+          ignoreHTTPSErrors: true,
+          args: ["--no-sandbox", "--disable-setuid-sandbox"]
+        });
+        const page = await browser.newPage();
+        await page.setViewport(this.viewport);
+        await this.authenticate(browser, page, startUrl);
+        run = await executeFlow({
+          flow,
+          startUrl,
+          reportDir: this.reportDir,
+          performStep: step => this.performStep(page, step),
+          auditCheckpoint: (name, checkpointDir) => this.auditCheckpoint(page, name, checkpointDir)
+        });
+      } finally {
+        if (browser) await browser.close();
+      }
+
+      const report = await writeFlowReport(this.reportDir, run, this.reportMeta());
+      this.emit("reported", { ...report, reportDir: this.reportDir });
 
-(async () => {
-  const options = await parseArgs();
-  const reporter = new AccessibilityReporter(options);
-  await reporter.run();
-})().catch(error => {
-  console.error(error);
-  process.exit(1);
-});
\ No newline at end of file
+      printFlowSummary(report.summary);
+      console.log(`\n📁 Flow report saved in: ${this.reportDir}\n`);
+
+      return { ...report, reportDir: this.reportDir };
+    } catch (error) {
+      console.error("\n❌ Flow failed:", error.message);
+      throw error;
+    }
+  }
+
+  async crawl({ startUrl, urls, sitemap, urlList, maxDepth, maxPages, dir, routes } = {}) {
+    try {
+      await this.init();
+      const report = await auditSite({
+        startUrl: startUrl || (urls || sitemap || urlList || dir ? null : this.url),
+        urls,
+        sitemap,
+        urlList,
+        maxDepth,
+        maxPages,
+        dir,
+        routes,
+        reportDir: this.reportDir,
+        concurrency: this.concurrency,
+        meta: this.reportMeta(),
+        auditUrl: (url, reportDir) => this.auditTarget({ url, reportDir })
+      });
+      this.emit("reported", report);
+      return report;
+    } catch (error) {
+      console.error("\n❌ Crawl failed:", error.message);
+      throw error;
+    }
+  }
+
+  // Serves a local build (e.g. dist/) on a free port and audits every page in
+  // it, or the ones in the route list, as one site report without following links
+  async auditDirectory({ dir, routes } = {}) {
+    return this.crawl({ dir, routes });
+  }
+}
@@ -0,0 +1,229 @@
+// A small declarative argument parser shared by every CLI, so each one
+// rejects unknown flags and missing values the same way and can print its
+// help from the same option list it parses with.
+//
+// An option is { name, alias, value, description, ... }:
+//   name         long flag without dashes, e.g. "max-depth"
+//   alias        optional one-letter short flag
+//   value        placeholder for options that take a value, e.g. "n"; omitted for switches
+//   key          options key to set (default: camelCased name); dots nest, e.g. "auth.login"
+//   set          value stored for a switch (default: true)
+//   type         "string" (default) or "integer" (a whole number >= 0)
+//   choices      allowed values
+//   parse(value) converts the value (may throw)
+//   optional     the value may be left out; fallback() is used instead. The
+//                next argument is only taken as the value when accepts(arg)
+//                says so, otherwise the value has to be given as --name=value
+//   repeatable   may be given more than once; values are collected in an array,
+//                or merged when parse returns an object
+//   default      only shown in the help
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function keyOf(option) {
+  return option.key || camelCase(option.name);
+}
+
+function flagOf(option) {
+  return `--${option.name}`;
+}
+
+function assign(target, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  let scope = target;
+  for (const part of parts) {
+    scope = scope[part] ??= {};
+  }
+  scope[last] = value;
+}
+
+function current(target, key) {
+  return key.split(".").reduce((scope, part) => scope?.[part], target);
+}
+
+function convert(option, raw) {
+  const flag = flagOf(option);
+  let value = raw;
+
+  if (option.type === "integer") {
+    value = Number(raw);
+    if (!/^\d+$/.test(raw) || !Number.isSafeInteger(value)) {
+      throw new UsageError(`${flag} expects a whole number, got "${raw}"`);
+    }
+  }
+
+  if (option.choices && !option.choices.includes(value)) {
+    throw new UsageError(`${flag} must be one of ${option.choices.join(", ")}, got "${raw}"`);
+  }
+
+  if (option.parse) {
+    try {
+      value = option.parse(value);
+    } catch (error) {
+      throw new UsageError(error.message.includes(flag) ? error.message : `${flag}: ${error.message}`);
+    }
+  }
+
+  return value;
+}
+
+function closest(flag, options) {
+  const flags = options.map(flagOf);
+  return flags.find(candidate => candidate.startsWith(flag) || flag.startsWith(candidate));
+}
+
+// Returns { options, positionals }. Only flags that were given end up in
+// options, so the result can be layered over config file values.
+export function parseCommandLine(argv, { options: specs = [], positionals: positionalSpec = {}, command = "" } = {}) {
+  const byFlag = new Map();
+  for (const option of specs) {
+    byFlag.set(flagOf(option), option);
+    if (option.alias) byFlag.set(`-${option.alias}`, option);
+  }
+
+  const parsed = {};
+  const positionals = [];
+  const seen = new Set();
+  const helpHint = command ? ` (see ${command} --help)` : "";
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inline] = arg.startsWith("--") && arg.includes("=")
+      ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)]
+      : [arg, undefined];
+    const option = byFlag.get(flag);
+    if (!option) {
+      const suggestion = closest(flag, specs);
+      throw new UsageError(`Unknown option ${flag}${suggestion ? ` (did you mean ${suggestion}?)` : ""}${helpHint}`);
+    }
+
+    const key = keyOf(option);
+    if (seen.has(key) && !option.repeatable) {
+      throw new UsageError(`${flagOf(option)} was given more than once`);
+    }
+    seen.add(key);
+
+    let value;
+    if (!option.value) {
+      if (inline !== undefined) {
+        throw new UsageError(`${flagOf(option)} does not take a value`);
+      }
+      value = option.set ?? true;
+    } else {
+      let raw = inline;
+      const next = argv[i + 1];
+      // An optional value would otherwise swallow a positional, e.g. the
+      // URL in "--fail-on-new https://example.com"
+      if (raw === undefined && next !== undefined && !next.startsWith("-") && (!option.optional || option.accepts?.(next))) {
+        raw = argv[++i];
+      }
+      if (raw === undefined || raw === "") {
+        if (!option.optional) {
+          throw new UsageError(`${flagOf(option)} requires a value <${option.value}>`);
+        }
+        value = option.fallback?.();
+      } else {
+        value = convert(option, raw);
+      }
+    }
+
+    if (option.repeatable) {
+      const previous = current(parsed, key);
+      value = value && typeof value === "object" && !Array.isArray(value)
+        ? { ...previous, ...value }
+        : [...(previous || []), value];
+    }
+    assign(parsed, key, value);
+  }
+
+  // --help needs no other arguments
+  if (parsed.help) {
+    return { options: parsed, positionals };
+  }
+
+  const { names = [], min = 0, max = names.length } = positionalSpec;
+  if (positionals.length < min) {
+    throw new UsageError(`Missing ${names.slice(positionals.length, min).map(name => `<${name}>`).join(" ")}${helpHint}`);
+  }
+  if (max !== Infinity && positionals.length > max) {
+    throw new UsageError(`Unexpected argument "${positionals[max]}"${helpHint}`);
+  }
+
+  return { options: parsed, positionals };
+}
+
+const HELP_COLUMN = 24;
+
+function optionUsage(option) {
+  const flags = [flagOf(option), option.alias && `-${option.alias}`].filter(Boolean).join(", ");
+  if (!option.value) return flags;
+  return option.optional ? `${flags} [${option.value}]` : `${flags} <${option.value}>`;
+}
+
+function optionDescription(option) {
+  const notes = [
+    option.choices && !option.description.includes(option.choices[0]) ? `one of ${option.choices.join(", ")}` : null,
+    option.repeatable ? "repeatable" : null,
+    option.default !== undefined ? `default: ${option.default}` : null
+  ].filter(Boolean);
+  return notes.length > 0 ? `${option.description} (${notes.join("; ")})` : option.description;
+}
+
+export function renderOptions(specs) {
+  return specs.map(option => {
+    const usage = optionUsage(option);
+    const description = optionDescription(option);
+    return usage.length < HELP_COLUMN
+      ? `  ${usage.padEnd(HELP_COLUMN)}${description}`
+      : `  ${usage}\n  ${" ".repeat(HELP_COLUMN)}${description}`;
+  }).join("\n");
+}
+
+export function renderHelp({ title, usage, description, options = [], sections = [], notes = [], examples = [] }) {
+  const lines = [
+    "",
+    title,
+    "=".repeat(title.length),
+    "",
+    `Usage: ${usage}`,
+    ...(description ? ["", description] : []),
+    "",
+    "Options:",
+    renderOptions(options)
+  ];
+
+  for (const { heading, body } of sections) {
+    lines.push("", `${heading}:`, body);
+  }
+
+  if (notes.length > 0) {
+    lines.push("", ...notes);
+  }
+
+  if (examples.length > 0) {
+    lines.push("", "Examples:", ...examples.map(example => `  ${example}`));
+  }
+
+  return lines.join("\n") + "\n";
+}
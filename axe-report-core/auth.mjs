@@ -0,0 +1,138 @@
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+
+// Username and password for basic auth and login modules are only ever read
+// from the environment, never from options, config files or the command line.
+export const CREDENTIAL_ENV = {
+  username: "A11Y_USERNAME",
+  password: "A11Y_PASSWORD"
+};
+
+// --header "Authorization=A11Y_AUTH_HEADER" sends the value of the named
+// environment variable as the Authorization header.
+export function parseHeaderOption(value = "") {
+  const separator = value.indexOf("=");
+  const name = value.slice(0, separator).trim();
+  const envVar = value.slice(separator + 1).trim();
+
+  if (separator === -1 || !name || !envVar) {
+    throw new Error(`--header expects <Name>=<ENV_VAR>, got "${value}"`);
+  }
+
+  return { [name]: envVar };
+}
+
+function readEnv(env, envVar, purpose) {
+  const value = env[envVar];
+  if (!value) {
+    throw new Error(`Environment variable ${envVar} is not set (required for ${purpose})`);
+  }
+  return value;
+}
+
+async function readJSON(file, kind) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${kind} file ${file}: ${error.message}`);
+  }
+}
+
+// Accepts a plain array of cookies or a Playwright storage state file.
+export async function loadCookies(file) {
+  const data = await readJSON(file, "cookie");
+  const cookies = Array.isArray(data) ? data : data?.cookies;
+
+  if (!Array.isArray(cookies) || cookies.some(cookie => !cookie?.name || cookie.value === undefined)) {
+    throw new Error(`Cookie file ${file} must contain an array of { name, value, domain, path } cookies`);
+  }
+
+  return cookies;
+}
+
+export async function loadStorageState(file) {
+  const data = await readJSON(file, "storage state");
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Storage state file ${file} must contain a { cookies, origins } object`);
+  }
+
+  return {
+    cookies: data.cookies || [],
+    origins: data.origins || []
+  };
+}
+
+export async function loadLoginModule(file) {
+  const module = await import(pathToFileURL(path.resolve(file)).href);
+  const login = module.default || module.login;
+
+  if (typeof login !== "function") {
+    throw new Error(`Login module ${file} must export a default async function ({ page, url, credentials })`);
+  }
+
+  return login;
+}
+
+export function credentialsFromEnv(env = process.env) {
+  const username = env[CREDENTIAL_ENV.username];
+  const password = env[CREDENTIAL_ENV.password];
+  return username || password ? { username, password } : null;
+}
+
+// auth is { storageState, cookies, headers, basicAuth, login }: file paths for
+// storageState, cookies and the login module, header names mapped to the
+// environment variables holding their values, and a basicAuth flag.
+export async function resolveAuth(auth = {}, env = process.env) {
+  const headers = Object.fromEntries(Object.entries(auth.headers || {}).map(([name, envVar]) => [
+    name,
+    readEnv(env, envVar, `the ${name} header`)
+  ]));
+
+  const httpCredentials = auth.basicAuth
+    ? {
+      username: readEnv(env, CREDENTIAL_ENV.username, "basic auth"),
+      password: readEnv(env, CREDENTIAL_ENV.password, "basic auth")
+    }
+    : null;
+
+  return {
+    storageStatePath: auth.storageState || null,
+    storageState: auth.storageState ? await loadStorageState(auth.storageState) : null,
+    cookies: auth.cookies ? await loadCookies(auth.cookies) : [],
+    headers,
+    httpCredentials,
+    login: auth.login ? await loadLoginModule(auth.login) : null,
+    credentials: credentialsFromEnv(env)
+  };
+}
+
+// Jobs share one login: the first call runs logIn(...args), later ones wait
+// for the same promise instead of logging in again. A failed login is not
+// kept, so the next call tries again.
+export function shareLogin(logIn) {
+  let pending = null;
+  return (...args) => (pending ??= logIn(...args).catch(error => {
+    pending = null;
+    throw error;
+  }));
+}
+
+// Strips user:password@ from a URL so credentials never reach a report.
+export function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (!parsed.username && !parsed.password) return url;
+    parsed.username = "";
+    parsed.password = "";
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+// The same for every URL in a message, such as a navigation error
+export function redactUrls(text) {
+  return String(text).replace(/\b([a-z][a-z0-9+.-]*:\/\/)[^\s/@]+@/gi, "$1");
+}
@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { IMPACT_LEVELS } from "./summary.mjs";
+import { formatTarget } from "./context.mjs";
+
+const BASELINE_VERSION = 1;
+
+// Attributes whose values change between builds or requests without
+// changing the element, e.g. CSP nonces and framework-generated hashes.
+const VOLATILE_ATTRIBUTES = /\s(nonce|data-reactid|data-v-[\w-]+|data-emotion|data-styled|csrf[\w-]*)(="[^"]*")?/gi;
+
+export function normalizeHtml(html = "") {
+  return html
+    .replace(VOLATILE_ATTRIBUTES, "")
+    .replace(/\b(css|sc|jsx|emotion)-[a-z0-9]{4,}\b/gi, "$1-*")
+    .replace(/\s+/g, " ")
+    .replace(/\s+>/g, ">")
+    .replace(/>\s+</g, "><")
+    .trim();
+}
+
+// The target as the reports show it, with >> before an iframe step and >>>
+// before a shadow root step
+export function targetOf(node) {
+  return formatTarget(node.target);
+}
+
+// Fingerprints hash the flattened target, frame and shadow steps alike, so
+// baselines saved before the >> notation still match; changing this join
+// would change every fingerprint
+function fingerprintTarget(node) {
+  return node.target.flat(Infinity).join(" >>> ");
+}
+
+export function fingerprintNode(ruleId, node) {
+  return crypto
+    .createHash("sha1")
+    .update([ruleId, fingerprintTarget(node), normalizeHtml(node.html)].join("\n"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// Pages are matched by path so a baseline taken on one host (e.g. staging)
+// can be compared with a run against another.
+export function pageKey(url) {
+  try {
+    const { pathname, search } = new URL(url);
+    return `${pathname}${search}`;
+  } catch {
+    return url;
+  }
+}
+
+export function collectEntries(pages) {
+  return pages.flatMap(({ url, results }) => results.violations.flatMap(violation => (
+    violation.nodes.map(node => ({
+      fingerprint: fingerprintNode(violation.id, node),
+      page: pageKey(url || results.url),
+      url: url || results.url,
+      ruleId: violation.id,
+      impact: violation.impact,
+      help: violation.help,
+      target: targetOf(node),
+      html: node.html
+    }))
+  )));
+}
+
+export function createBaseline(pages) {
+  return {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    entries: collectEntries(pages)
+  };
+}
+
+export async function saveBaseline(file, pages) {
+  const baseline = createBaseline(pages);
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(baseline, null, 2));
+  console.log(`📌 Baseline saved: ${file} (${baseline.entries.length} violation node(s))`);
+  return baseline;
+}
+
+export async function loadBaseline(file) {
+  let baseline;
+  try {
+    baseline = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read baseline file ${file}: ${error.message}`);
+  }
+
+  if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.entries)) {
+    throw new Error(`${file} is not a baseline file (expected version ${BASELINE_VERSION} with an entries array)`);
+  }
+
+  return baseline;
+}
+
+function groupByKey(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = `${entry.page}|${entry.fingerprint}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return groups;
+}
+
+export function diffAgainstBaseline(baseline, pages) {
+  const previous = groupByKey(baseline.entries);
+  const current = groupByKey(collectEntries(pages));
+  const diff = { baselineCreatedAt: baseline.createdAt, new: [], fixed: [], unchanged: [] };
+
+  for (const [key, entries] of current) {
+    const matched = previous.get(key) || [];
+    diff.unchanged.push(...entries.slice(0, matched.length));
+    diff.new.push(...entries.slice(matched.length));
+  }
+
+  // Only pages present in this run can have fixed violations, so a partial
+  // run does not report everything else in the baseline as fixed.
+  const auditedPages = new Set(pages.map(({ url, results }) => pageKey(url || results.url)));
+  for (const [key, entries] of previous) {
+    if (!auditedPages.has(entries[0].page)) continue;
+    const remaining = (current.get(key) || []).length;
+    diff.fixed.push(...entries.slice(remaining));
+  }
+
+  return diff;
+}
+
+export function summarizeDiff(diff) {
+  const newByImpact = Object.fromEntries(IMPACT_LEVELS.map(impact => [
+    impact,
+    diff.new.filter(entry => entry.impact === impact).length
+  ]));
+
+  return {
+    baselineCreatedAt: diff.baselineCreatedAt,
+    new: diff.new.length,
+    fixed: diff.fixed.length,
+    unchanged: diff.unchanged.length,
+    newByImpact
+  };
+}
+
+export function filterDiff(diff, url) {
+  const page = pageKey(url);
+  const onPage = entry => entry.page === page;
+  return {
+    baselineCreatedAt: diff.baselineCreatedAt,
+    new: diff.new.filter(onPage),
+    fixed: diff.fixed.filter(onPage),
+    unchanged: diff.unchanged.filter(onPage)
+  };
+}
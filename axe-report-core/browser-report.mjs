@@ -0,0 +1,286 @@
+import fs from "fs/promises";
+import path from "path";
+import { writeReports } from "./reports.mjs";
+import { REPORT_STYLES } from "./html-styles.mjs";
+import { printDiffSummary, printTimings } from "./console-summary.mjs";
+import { renderDiffSection } from "./html-report.mjs";
+import { escapeHtml, safeUrl, impactClass } from "./html-escape.mjs";
+import { generateSiteSummary } from "./site-report.mjs";
+import { pageKey, loadBaseline, saveBaseline, diffAgainstBaseline, filterDiff, summarizeDiff } from "./baseline.mjs";
+import { writeJUnitReport } from "./junit.mjs";
+import { writeSarifReport } from "./sarif.mjs";
+import { resolveReviewDecisions, applyReviewDecisions } from "./review.mjs";
+import { compareAudits } from "./comparison.mjs";
+import { collectErrors, formatFailureCounts, renderErrorsSection } from "./failures.mjs";
+
+// Every browser audits the same URL, so baselines key them by page and browser.
+function browserKey(run) {
+  return `${pageKey(run.results.url)}@${run.name}`;
+}
+
+// A violation every engine reports is almost always in the markup; one only
+// some engines report points at rendering (contrast of anti-aliased text,
+// scrollable regions) or at how the engine exposes the page to axe.
+export function compareBrowsers(runs) {
+  const { names, rules, elements } = compareAudits(runs);
+  const missingIn = foundIn => names.filter(name => !foundIn.includes(name));
+
+  return {
+    browsers: names,
+    rules: rules.map(({ foundIn, ...rule }) => ({
+      ...rule,
+      browsers: foundIn,
+      common: foundIn.length === names.length
+    })),
+    commonElements: elements.filter(element => element.foundIn.length === names.length).length,
+    engineSpecific: elements
+      .filter(element => element.foundIn.length < names.length)
+      .map(({ foundIn, ...element }) => ({ ...element, browsers: foundIn, missingIn: missingIn(foundIn) }))
+  };
+}
+
+export function generateBrowserSummary(url, runs, comparison) {
+  const { pagesAudited, pagesFailed, ...totals } = generateSiteSummary(runs);
+  return {
+    ...totals,
+    url,
+    browsers: pagesAudited,
+    browsersFailed: pagesFailed,
+    commonRules: comparison.rules.filter(rule => rule.common).length,
+    engineSpecificRules: comparison.rules.filter(rule => !rule.common).length,
+    commonElements: comparison.commonElements,
+    engineSpecificElements: comparison.engineSpecific.length
+  };
+}
+
+function renderMatrix(comparison) {
+  if (comparison.rules.length === 0) return "";
+
+  return `
+        <div class="violations-section">
+            <h2>Rule × Browser</h2>
+            <p class="violation-description">Failing elements per rule and browser. Rules marked "All engines" fail in every browser and usually come from the markup; the others depend on the engine.</p>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Rule</th><th>Impact</th>${comparison.browsers.map(name => `<th>${escapeHtml(name)}</th>`).join("")}<th>Found in</th></tr>
+                </thead>
+                <tbody>
+                    ${comparison.rules.map(rule => `
+                    <tr>
+                        <td><a href="${safeUrl(rule.helpUrl)}" target="_blank">${escapeHtml(rule.id)}</a><br><small>${escapeHtml(rule.help)}</small></td>
+                        <td><span class="violation-impact ${impactClass(rule.impact)}">${escapeHtml(rule.impact)}</span></td>
+                        ${comparison.browsers.map(name => `<td${rule.counts[name] > 0 ? ' class="violations"' : ""}>${rule.counts[name]}</td>`).join("")}
+                        <td>${rule.common ? "All engines" : escapeHtml(rule.browsers.join(", "))}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>
+        ${comparison.engineSpecific.length > 0 ? `
+        <div class="violations-section">
+            <h2>Engine-Specific Elements (${comparison.engineSpecific.length})</h2>
+            <p class="violation-description">These elements fail in some browsers and pass, or are not reported, in the others.</p>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Rule</th><th>Impact</th><th>Element</th><th>Fails in</th><th>Passes in</th></tr>
+                </thead>
+                <tbody>
+                    ${comparison.engineSpecific.map(element => `
+                    <tr>
+                        <td><a href="${safeUrl(element.helpUrl)}" target="_blank">${escapeHtml(element.ruleId)}</a></td>
+                        <td><span class="violation-impact ${impactClass(element.impact)}">${escapeHtml(element.impact)}</span></td>
+                        <td><code>${escapeHtml(element.target)}</code></td>
+                        <td>${escapeHtml(element.browsers.join(", "))}</td>
+                        <td>${escapeHtml(element.missingIn.join(", "))}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>` : ""}`;
+}
+
+function renderBrowsersHTML(summary, entries, comparison, diff, errors) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Cross-Browser Accessibility Report - ${escapeHtml(summary.url)}</title>
+    <style>
+${REPORT_STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>Cross-Browser Accessibility Report</h1>
+            <div class="header-info">
+                <p>${escapeHtml(summary.url)}</p>
+                <p>${escapeHtml(new Date(summary.timestamp).toLocaleString())}</p>
+            </div>
+        </header>
+
+        <div class="summary">
+            <div class="stat-card">
+                <div class="stat-number passes">${summary.browsers}</div>
+                <div class="stat-label">Browsers</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number violations">${summary.commonElements}</div>
+                <div class="stat-label">Elements Failing Everywhere</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number incomplete">${summary.engineSpecificElements}</div>
+                <div class="stat-label">Engine-Specific Elements</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number inapplicable">${summary.browsersFailed}</div>
+                <div class="stat-label">Browsers Failed</div>
+            </div>
+        </div>
+
+${renderDiffSection(diff, { showPage: true })}
+${renderErrorsSection(errors, "Browser")}
+${renderMatrix(comparison)}
+
+        <div class="violations-section">
+            <h2>Browsers</h2>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Browser</th><th>Violations</th><th>Critical</th><th>Serious</th><th>Incomplete</th><th>Report</th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => entry.summary ? `
+                    <tr>
+                        <td>${escapeHtml(entry.name)}</td>
+                        <td>${entry.summary.violations}</td>
+                        <td>${entry.summary.violationsByImpact.critical}</td>
+                        <td>${entry.summary.violationsByImpact.serious}</td>
+                        <td>${entry.summary.incomplete}</td>
+                        <td><a href="${safeUrl(entry.reportPath)}">Details →</a></td>
+                    </tr>` : `
+                    <tr>
+                        <td>${escapeHtml(entry.name)}</td>
+                        <td colspan="5" class="violations">Failed: ${escapeHtml(entry.error)}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>
+
+        <footer>
+            <p>Generated with axe-core</p>
+        </footer>
+    </div>
+</body>
+</html>`;
+}
+
+// Writes a full report per browser under browsers/ and a combined
+// report.json and report.html with the rule × browser matrix. runs are
+// { name, reportDir, results } or { name, error, failure }.
+export async function writeBrowserReport(reportDir, url, runs, meta = {}) {
+  const { baseline, saveBaseline: baselineFile, junit, sarif, reviews, ...browserMeta } = meta;
+  const audited = runs.filter(run => run.results);
+  const review = await resolveReviewDecisions(reviews);
+  const reviewed = audited.reduce((sum, run) => sum + applyReviewDecisions(run.results, review), 0);
+  if (reviewed > 0) {
+    console.log(`📝 Applied ${reviewed} review decision(s) to incomplete results`);
+  }
+  const pages = audited.map(run => ({ url: browserKey(run), results: run.results }));
+  const diff = baseline ? diffAgainstBaseline(await loadBaseline(baseline), pages) : null;
+  const entries = [];
+
+  for (const run of runs) {
+    if (run.error) {
+      entries.push({ name: run.name, error: run.error, failure: run.failure });
+      continue;
+    }
+
+    const report = await writeReports(run.reportDir, run.results, {
+      ...browserMeta,
+      browser: run.name,
+      reviews: review,
+      diff: diff && filterDiff(diff, browserKey(run))
+    });
+    entries.push({
+      name: run.name,
+      url: run.results.url,
+      summary: report.summary,
+      results: run.results,
+      reportPath: path.relative(reportDir, path.join(run.reportDir, "report.html")).split(path.sep).join("/")
+    });
+  }
+
+  const comparison = compareBrowsers(entries);
+  const summary = generateBrowserSummary(url, entries, comparison);
+  if (diff) {
+    summary.diff = summarizeDiff(diff);
+  }
+
+  const errors = collectErrors(entries, entry => entry.name);
+  const report = {
+    summary,
+    browsers: entries.map(({ results, ...entry }) => entry),
+    comparison,
+    ...(errors.length > 0 ? { errors } : {}),
+    ...(diff ? { diff } : {})
+  };
+
+  const jsonPath = path.join(reportDir, "report.json");
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  console.log(`\n📄 Cross-browser JSON report saved: ${jsonPath}`);
+
+  const htmlPath = path.join(reportDir, "report.html");
+  await fs.writeFile(htmlPath, renderBrowsersHTML(summary, entries, comparison, diff, errors));
+  console.log(`🌐 Cross-browser HTML report saved: ${htmlPath}`);
+
+  if (baselineFile) {
+    await saveBaseline(baselineFile, pages);
+  }
+
+  const suites = entries.map(entry => ({ url, browser: entry.name, results: entry.results, error: entry.error, failure: entry.failure }));
+  if (junit) {
+    await writeJUnitReport(junit, suites);
+  }
+  if (sarif) {
+    await writeSarifReport(sarif, suites.filter(suite => suite.results));
+  }
+
+  return report;
+}
+
+export function printBrowserSummary(summary, comparison, browsers = []) {
+  console.log("\n" + "=".repeat(60));
+  console.log("📊 CROSS-BROWSER ACCESSIBILITY SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`🔗 URL: ${summary.url}`);
+  if (summary.browsersFailed > 0) {
+    console.log(`💥 Browsers Failed: ${formatFailureCounts(summary.browsersFailed, summary.failuresByCategory)}`);
+  }
+  for (const browser of browsers) {
+    console.log(browser.summary
+      ? `✅ ${browser.name}: ${browser.summary.violations} violations`
+      : `❌ ${browser.name}: Failed - ${browser.error}`);
+  }
+  console.log("-".repeat(60));
+  console.log(`🧱 Elements failing in every browser: ${summary.commonElements}`);
+  console.log(`🔀 Engine-specific elements: ${summary.engineSpecificElements}`);
+
+  if (comparison.rules.length > 0) {
+    console.log("-".repeat(60));
+    console.log(`📋 Violations by Rule (${comparison.browsers.join(" / ")}):`);
+    comparison.rules.forEach(rule => {
+      const counts = comparison.browsers.map(name => rule.counts[name]).join(" / ");
+      console.log(`   ${rule.id}: ${counts}${rule.common ? "" : ` (only ${rule.browsers.join(", ")})`}`);
+    });
+  }
+
+  if (comparison.engineSpecific.length > 0) {
+    console.log("-".repeat(60));
+    comparison.engineSpecific.slice(0, 10).forEach(element => {
+      console.log(`   [${element.impact}] ${element.ruleId} in ${element.browsers.join(", ")}, not ${element.missingIn.join(", ")}: ${element.target}`);
+    });
+  }
+
+  printDiffSummary(summary.diff);
+  printTimings(summary.timings);
+
+  console.log("=".repeat(60));
+}
@@ -0,0 +1,225 @@
+import { IMPACT_LEVELS } from "./summary.mjs";
+import { parseFailOn, loadBudget } from "./gate.mjs";
+import { parseHeaderOption } from "./auth.mjs";
+import { parseViewports } from "./viewports.mjs";
+import { UsageError } from "./args.mjs";
+import { WAIT_UNTIL, buildAxeOptions, buildAxeContext, loadConfig, configToOptions, mergeOptions } from "./config.mjs";
+import { parseContextSelector } from "./context.mjs";
+
+// Option groups shared by the runner CLIs and the a11y CLI, in the format
+// parseCommandLine() and renderHelp() take.
+
+export const HELP_OPTION = { name: "help", alias: "h", description: "Show this help message" };
+
+export const CONFIG_OPTION = {
+  name: "config",
+  alias: "c",
+  value: "file",
+  description: "Config file (default: the nearest a11y.config.mjs, .js or .json)"
+};
+
+export function parseViewport(value) {
+  const match = /^(\d+)x(\d+)$/.exec(value);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(`expected WIDTHxHEIGHT, e.g. 1280x800, got "${value}"`);
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+function parseList(value) {
+  return value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+// Checked here, turned into an axe context by resolveRunOptions()
+function checkSelector(value) {
+  parseContextSelector(value);
+  return value;
+}
+
+// "serious" or "critical,serious", as opposed to a URL or file after the flag
+function isImpactList(value) {
+  const levels = value.split(",").map(level => level.trim().toLowerCase());
+  return levels.every(level => IMPACT_LEVELS.includes(level));
+}
+
+export const PAGE_OPTIONS = [
+  { name: "viewport", value: "WxH", parse: parseViewport, description: "Viewport size, e.g. 1280x800" },
+  { name: "timeout", value: "ms", type: "integer", description: "Navigation timeout in milliseconds (default: 30000)" },
+  { name: "wait-until", value: "event", choices: WAIT_UNTIL, description: "Navigation event to wait for: load, domcontentloaded or networkidle (default: networkidle)" },
+  { name: "retries", value: "n", type: "integer", description: "Retry navigation up to n times after a connection error, timeout or HTTP 429/5xx (default: 0)" },
+  { name: "retry-delay", value: "ms", type: "integer", description: "Wait before the first retry, doubled for each further one (default: 1000)" },
+  {
+    name: "tags",
+    value: "tags",
+    key: "axeOptions",
+    parse: value => buildAxeOptions({ tags: parseList(value) }),
+    description: "Only run rules with these comma-separated tags, e.g. wcag2a,wcag2aa"
+  },
+  {
+    name: "include",
+    value: "selector",
+    repeatable: true,
+    parse: checkSelector,
+    description: "Only audit this part of the page; >> steps into an iframe and >>> into a shadow root, e.g. main or \"iframe#checkout >> form\""
+  },
+  {
+    name: "exclude",
+    value: "selector",
+    repeatable: true,
+    parse: checkSelector,
+    description: "Leave this part of the page out, e.g. \"iframe.ad\" or \"chat-widget >>> .launcher\""
+  }
+];
+
+export const VIEWPORT_OPTIONS = [
+  {
+    name: "viewports",
+    value: "list",
+    parse: parseViewports,
+    description: "Audit at each viewport and compare them: mobile, tablet, desktop, WxH or a device name, e.g. \"iPhone 13\""
+  }
+];
+
+export const CONCURRENCY_OPTION = {
+  name: "concurrency",
+  value: "n",
+  type: "integer",
+  parse: value => {
+    if (value < 1) throw new Error(`expected at least 1, got ${value}`);
+    return value;
+  },
+  description: "Audit up to n pages, browsers or viewports at the same time (default: 1)"
+};
+
+export const PLUGINS_OPTION = {
+  name: "plugins",
+  value: "dir",
+  repeatable: true,
+  description: "Add the custom rules and checks of the plugin modules in this directory or file"
+};
+
+export const CRAWL_OPTIONS = [
+  { name: "sitemap", value: "file|url", description: "Audit the pages listed in a sitemap.xml (enables crawl mode)" },
+  { name: "url-list", value: "file", description: "Audit the URLs listed one per line in a file (enables crawl mode)" },
+  { name: "max-depth", value: "n", type: "integer", description: "Maximum link depth to follow when crawling (default: 2)" },
+  { name: "max-pages", value: "n", type: "integer", description: "Maximum number of pages to audit when crawling (default: 50)" }
+];
+
+export const STATIC_OPTIONS = [
+  { name: "dir", value: "dir", description: "Serve a local build on a free port and audit every HTML page in it, e.g. ./dist" },
+  { name: "routes", value: "file", description: "With --dir, audit only the paths listed one per line in a file, e.g. /pricing" }
+];
+
+export const SCREENSHOT_OPTIONS = [
+  {
+    name: "no-element-screenshots",
+    key: "elementScreenshots",
+    set: false,
+    description: "Skip the per-element screenshots and the annotated page screenshot"
+  },
+  {
+    name: "max-element-screenshots",
+    value: "n",
+    type: "integer",
+    description: "Maximum violating elements to capture per page (default: 50)"
+  }
+];
+
+export const GATE_OPTIONS = [
+  {
+    name: "fail-on",
+    value: "levels",
+    parse: parseFailOn,
+    description: "Exit with code 2 when violations of these impacts are found, e.g. critical,serious"
+  },
+  {
+    name: "budget",
+    value: "file",
+    description: "JSON budget of allowed counts per impact or rule id, e.g. { \"color-contrast\": 5, \"serious\": 0 }"
+  },
+  { name: "baseline", value: "file", description: "Classify violations as new, fixed or unchanged against a saved baseline" },
+  { name: "save-baseline", value: "file", description: "Save this run's violations as a baseline" },
+  {
+    name: "fail-on-new",
+    value: "levels",
+    optional: true,
+    parse: parseFailOn,
+    accepts: isImpactList,
+    fallback: () => [...IMPACT_LEVELS],
+    description: "Exit with code 5 when new violations (optionally of these impacts) are found"
+  }
+];
+
+export const OUTPUT_OPTIONS = [
+  { name: "junit", value: "file", description: "Write a JUnit XML report (one testsuite per page and browser)" },
+  { name: "sarif", value: "file", description: "Write a SARIF 2.1.0 log for code-scanning tools" },
+  { name: "reviews", value: "file", description: "Apply pass/fail/N/A decisions exported from a report's Needs Review section" }
+];
+
+export const AUTH_OPTIONS = [
+  {
+    name: "storage-state",
+    value: "file",
+    key: "auth.storageState",
+    description: "Start from a saved Playwright storage state (cookies and localStorage)"
+  },
+  { name: "cookies", value: "file", key: "auth.cookies", description: "Load cookies from a JSON array before navigating" },
+  {
+    name: "header",
+    value: "Name=ENV",
+    key: "auth.headers",
+    repeatable: true,
+    parse: parseHeaderOption,
+    description: "Send a header whose value is read from the ENV environment variable"
+  },
+  {
+    name: "basic-auth",
+    key: "auth.basicAuth",
+    description: "Use HTTP basic auth with A11Y_USERNAME and A11Y_PASSWORD from the environment"
+  },
+  {
+    name: "login",
+    value: "module",
+    key: "auth.login",
+    description: "Run a login module's default export with { page, url, credentials } before auditing"
+  }
+];
+
+// Layers defaults, the config file (flags.config or the nearest one) and the
+// given flags, then loads what the flags and config only name by path.
+export async function resolveRunOptions(defaults, { config, help, ...flags } = {}) {
+  const options = mergeOptions(defaults, await configToOptions(await loadConfig(config)), flags);
+
+  if (typeof options.budget === "string") {
+    options.budget = await loadBudget(options.budget);
+  }
+
+  // --include and --exclude replace the lists from the config file
+  if (options.include || options.exclude) {
+    options.context = { ...options.context, ...buildAxeContext({ include: options.include, exclude: options.exclude }) };
+    delete options.include;
+    delete options.exclude;
+  }
+
+  if (options.failOnNew?.length > 0 && !options.baseline) {
+    throw new UsageError("--fail-on-new requires a baseline, from --baseline <file> or the config file");
+  }
+
+  // Responsive audits compare one page across viewports
+  if (options.viewports && (options.crawl || options.sitemap || options.urlList || options.flow || options.allBrowsers)) {
+    throw new UsageError("--viewports audits a single page; it cannot be combined with --crawl, --sitemap, --url-list, --flow or --all-browsers");
+  }
+
+  // A local build is audited page by page from its files or route list
+  if (options.routes && !options.dir) {
+    throw new UsageError("--routes lists paths within --dir; add --dir <dir>");
+  }
+  if (options.dir && (options.crawl || options.sitemap || options.urlList || options.flow || options.viewports || options.allBrowsers)) {
+    throw new UsageError("--dir audits the pages of a local build; it cannot be combined with --crawl, --sitemap, --url-list, --flow, --viewports or --all-browsers");
+  }
+  if (options.storybook && (options.dir || options.crawl || options.sitemap || options.urlList || options.flow || options.viewports || options.allBrowsers)) {
+    throw new UsageError("--storybook audits the stories of a Storybook; it cannot be combined with --dir, --crawl, --sitemap, --url-list, --flow, --viewports or --all-browsers");
+  }
+
+  return options;
+}
@@ -0,0 +1,52 @@
+import { targetOf } from "./baseline.mjs";
+
+// Lines up several audits of the same page, e.g. one per viewport or per
+// browser. audits are { name, results } (entries with an error are skipped).
+// Violating elements are matched by rule and selector; the markup is left
+// out because the same element often serializes differently between runs
+// (inline styles, aria-expanded on a collapsed menu, attribute order).
+export function compareAudits(audits) {
+  const audited = audits.filter(audit => audit.results);
+  const names = audited.map(audit => audit.name);
+  const elements = new Map();
+
+  for (const audit of audited) {
+    for (const violation of audit.results.violations) {
+      for (const node of violation.nodes) {
+        const target = targetOf(node);
+        const key = `${violation.id}\n${target}`;
+        const element = elements.get(key) || {
+          ruleId: violation.id,
+          impact: node.impact || violation.impact,
+          help: violation.help,
+          helpUrl: violation.helpUrl,
+          target,
+          foundIn: []
+        };
+        if (!element.foundIn.includes(audit.name)) {
+          element.foundIn.push(audit.name);
+        }
+        elements.set(key, element);
+      }
+    }
+  }
+
+  const rules = new Map();
+  for (const element of elements.values()) {
+    const rule = rules.get(element.ruleId) || {
+      id: element.ruleId,
+      impact: element.impact,
+      help: element.help,
+      helpUrl: element.helpUrl,
+      counts: Object.fromEntries(names.map(name => [name, 0]))
+    };
+    element.foundIn.forEach(name => rule.counts[name]++);
+    rules.set(element.ruleId, rule);
+  }
+
+  return {
+    names,
+    rules: [...rules.values()].map(rule => ({ ...rule, foundIn: names.filter(name => rule.counts[name] > 0) })),
+    elements: [...elements.values()]
+  };
+}
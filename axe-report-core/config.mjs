@@ -0,0 +1,468 @@
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { IMPACT_LEVELS } from "./summary.mjs";
+import { parseFailOn, validateBudget, loadBudget } from "./gate.mjs";
+import { parseViewports } from "./viewports.mjs";
+import { parseContextSelector } from "./context.mjs";
+import { UsageError } from "./args.mjs";
+
+export const CONFIG_FILES = ["a11y.config.mjs", "a11y.config.js", "a11y.config.json"];
+
+export const WAIT_UNTIL = ["load", "domcontentloaded", "networkidle"];
+
+export const BROWSERS = ["chromium", "firefox", "webkit"];
+
+const stringList = { type: "array", items: { type: "string" } };
+const impactList = { type: ["array", "string"], items: { type: "string", enum: IMPACT_LEVELS } };
+const tagList = { type: ["array", "string"], items: { type: "string" } };
+const viewport = {
+  type: "object",
+  additionalProperties: false,
+  required: ["width", "height"],
+  properties: {
+    width: { type: "integer", minimum: 1 },
+    height: { type: "integer", minimum: 1 }
+  }
+};
+// Presets, WIDTHxHEIGHT and device names as strings, or a size with its
+// emulation settings.
+const viewportList = {
+  type: ["array", "string"],
+  items: {
+    type: ["string", "object"],
+    additionalProperties: false,
+    required: ["width", "height"],
+    properties: {
+      ...viewport.properties,
+      name: { type: "string" },
+      deviceScaleFactor: { type: "number", minimum: 0 },
+      isMobile: { type: "boolean" },
+      hasTouch: { type: "boolean" },
+      userAgent: { type: "string" }
+    }
+  }
+};
+const rules = {
+  type: "object",
+  additionalProperties: {
+    type: "object",
+    additionalProperties: false,
+    properties: { enabled: { type: "boolean" } }
+  }
+};
+
+// Settings that can differ per URL, at the top level and in overrides[].
+const pageSettings = {
+  tags: tagList,
+  rules,
+  axeOptions: { type: "object" },
+  include: stringList,
+  exclude: stringList,
+  timeout: { type: "integer", minimum: 0 },
+  waitUntil: { type: "string", enum: WAIT_UNTIL },
+  retries: { type: "integer", minimum: 0 },
+  retryDelay: { type: "integer", minimum: 0 }
+};
+
+export const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    $schema: { type: "string" },
+    driver: { type: "string", enum: ["playwright", "puppeteer", "webdriverio", "jsdom"] },
+    url: { type: "string" },
+    dir: { type: "string" },
+    routes: { type: "string" },
+    storybook: { type: "string" },
+    plugins: { type: ["array", "string"], items: { type: "string" } },
+    outputDir: { type: "string" },
+    browser: { type: "string", enum: BROWSERS },
+    headless: { type: "boolean" },
+    concurrency: { type: "integer", minimum: 1 },
+    viewport,
+    viewports: viewportList,
+    ...pageSettings,
+    failOn: impactList,
+    failOnNew: impactList,
+    budget: { type: ["object", "string"], additionalProperties: { type: "integer", minimum: 0 } },
+    baseline: { type: "string" },
+    saveBaseline: { type: "string" },
+    junit: { type: "string" },
+    sarif: { type: "string" },
+    reviews: { type: "string" },
+    elementScreenshots: { type: "boolean" },
+    maxElementScreenshots: { type: "integer", minimum: 0 },
+    crawl: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        maxDepth: { type: "integer", minimum: 0 },
+        maxPages: { type: "integer", minimum: 1 },
+        sitemap: { type: "string" },
+        urlList: { type: "string" }
+      }
+    },
+    grid: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        url: { type: "string" },
+        provider: { type: "string", enum: ["saucelabs"] },
+        region: { type: "string" },
+        // W3C capabilities plus an optional "name" for the reports; vendor
+        // keys such as sauce:options pass through
+        capabilities: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["browserName"],
+            properties: {
+              name: { type: "string" },
+              browserName: { type: "string" },
+              browserVersion: { type: "string" },
+              platformName: { type: "string" }
+            }
+          }
+        }
+      }
+    },
+    auth: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        storageState: { type: "string" },
+        cookies: { type: "string" },
+        headers: { type: "object", additionalProperties: { type: "string" } },
+        basicAuth: { type: "boolean" },
+        login: { type: "string" }
+      }
+    },
+    overrides: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["match"],
+        properties: {
+          match: { type: ["string", "array"], items: { type: "string" } },
+          ...pageSettings
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function label(at) {
+  return at ? `"${at}"` : "the config";
+}
+
+export function validateAgainstSchema(value, schema, at = "", errors = []) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push(`${label(at)} must be ${types.join(" or ")}, got ${typeOf(value)} ${JSON.stringify(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label(at)} must be one of ${schema.enum.join(", ")}, got ${JSON.stringify(value)}`);
+  }
+
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    errors.push(`${label(at)} must be at least ${schema.minimum}, got ${value}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${at}[${index}]`, errors));
+  } else if (typeof value === "string" && schema.items && types.includes("array")) {
+    // "critical,serious" and "wcag2a,wcag2aa" are accepted wherever a list
+    // of impacts or tags is
+    value.split(",").map(item => item.trim()).filter(Boolean)
+      .forEach((item, index) => validateAgainstSchema(item, schema.items, `${at}[${index}]`, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${label(at)} is missing "${key}"`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = at ? `${at}.${key}` : key;
+      if (properties[key]) {
+        validateAgainstSchema(child, properties[key], childAt, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`Unknown option "${childAt}" (expected one of ${Object.keys(properties).join(", ")})`);
+      } else if (typeof schema.additionalProperties === "object") {
+        validateAgainstSchema(child, schema.additionalProperties, childAt, errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+export function validateConfig(config, source = "config") {
+  const errors = validateAgainstSchema(config, CONFIG_SCHEMA);
+  if (errors.length > 0) {
+    throw new UsageError(`Invalid ${source}:\n${errors.map(error => `  - ${error}`).join("\n")}`);
+  }
+  return config;
+}
+
+// Looks for a config file in startDir and each of its parents.
+export function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    const file = CONFIG_FILES.map(name => path.join(dir, name)).find(existsSync);
+    if (file) return file;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// File paths in the config are relative to the config file.
+const PATH_KEYS = ["dir", "routes", "storybook", "plugins", "outputDir", "budget", "baseline", "saveBaseline", "junit", "sarif", "reviews"];
+const NESTED_PATH_KEYS = {
+  crawl: ["sitemap", "urlList"],
+  auth: ["storageState", "cookies", "login"]
+};
+
+function resolvePaths(config, baseDir) {
+  const resolve = value => {
+    if (Array.isArray(value)) return value.map(resolve);
+    return typeof value === "string" && !/^[a-z][a-z0-9+.-]*:/i.test(value)
+      ? path.resolve(baseDir, value)
+      : value;
+  };
+  const resolved = { ...config };
+
+  for (const key of PATH_KEYS) {
+    if (resolved[key] !== undefined) resolved[key] = resolve(resolved[key]);
+  }
+  for (const [section, keys] of Object.entries(NESTED_PATH_KEYS)) {
+    if (!resolved[section]) continue;
+    resolved[section] = { ...resolved[section] };
+    for (const key of keys) {
+      if (resolved[section][key] !== undefined) resolved[section][key] = resolve(resolved[section][key]);
+    }
+  }
+
+  return resolved;
+}
+
+// Loads the given config file, or the nearest a11y.config.* when file is not
+// set. Resolves to {} when there is none.
+export async function loadConfig(file, { cwd = process.cwd() } = {}) {
+  const configPath = file ? path.resolve(cwd, file) : findConfigFile(cwd);
+  if (!configPath) return {};
+
+  let config;
+  try {
+    config = /\.json$/i.test(configPath)
+      ? JSON.parse(await fs.readFile(configPath, "utf8"))
+      : (await import(pathToFileURL(configPath).href)).default;
+  } catch (error) {
+    throw new UsageError(`Could not read config file ${configPath}: ${error.message}`);
+  }
+
+  const relative = path.relative(cwd, configPath);
+  validateConfig(config, relative && !relative.startsWith("..") ? relative : configPath);
+  console.log(`⚙️  Using config ${configPath}`);
+
+  return resolvePaths(config, path.dirname(configPath));
+}
+
+function impacts(value) {
+  return Array.isArray(value) ? parseFailOn(value.join(",")) : parseFailOn(value);
+}
+
+function tagValues(value) {
+  return Array.isArray(value) ? value : value.split(",").map(tag => tag.trim()).filter(Boolean);
+}
+
+// Builds axe.run() options from tags (a list or a comma-separated string) and
+// rules, unless axeOptions is given.
+export function buildAxeOptions({ axeOptions, tags, rules } = {}) {
+  if (axeOptions) return axeOptions;
+  if (!tags && !rules) return undefined;
+  return {
+    ...(tags ? { runOnly: { type: "tag", values: tagValues(tags) } } : {}),
+    ...(rules ? { rules } : {})
+  };
+}
+
+// An axe.run() context; null means the whole document. Selectors can reach
+// into iframes and shadow roots (see parseContextSelector).
+export function buildAxeContext({ include, exclude } = {}) {
+  if (!include?.length && !exclude?.length) return null;
+  return {
+    ...(include?.length ? { include: include.map(parseContextSelector) } : {}),
+    ...(exclude?.length ? { exclude: exclude.map(parseContextSelector) } : {})
+  };
+}
+
+function configViewports(value) {
+  try {
+    return parseViewports(value);
+  } catch (error) {
+    throw new UsageError(`Invalid config "viewports": ${error.message}`);
+  }
+}
+
+// Bad selectors are reported up front, not when the first page is audited
+function checkConfigSelectors(config, at = "") {
+  for (const key of ["include", "exclude"]) {
+    (config[key] || []).forEach((value, index) => {
+      try {
+        parseContextSelector(value);
+      } catch (error) {
+        throw new UsageError(`Invalid config "${at}${key}[${index}]": ${error.message}`);
+      }
+    });
+  }
+}
+
+// Maps a loaded config to the options the runners and CLIs take.
+export async function configToOptions(config = {}) {
+  checkConfigSelectors(config);
+  (config.overrides || []).forEach((override, index) => checkConfigSelectors(override, `overrides[${index}].`));
+
+  const options = {
+    driver: config.driver,
+    url: config.url,
+    dir: config.dir,
+    routes: config.routes,
+    storybook: config.storybook,
+    plugins: config.plugins && [].concat(config.plugins),
+    outputDir: config.outputDir,
+    browser: config.browser,
+    headless: config.headless,
+    concurrency: config.concurrency,
+    viewport: config.viewport,
+    viewports: config.viewports && configViewports(config.viewports),
+    timeout: config.timeout,
+    waitUntil: config.waitUntil,
+    retries: config.retries,
+    retryDelay: config.retryDelay,
+    axeOptions: buildAxeOptions(config),
+    context: buildAxeContext(config) || undefined,
+    overrides: config.overrides,
+    failOn: config.failOn && impacts(config.failOn),
+    failOnNew: config.failOnNew && impacts(config.failOnNew),
+    budget: typeof config.budget === "string"
+      ? await loadBudget(config.budget)
+      : config.budget && validateBudget(config.budget, "Config budget"),
+    baseline: config.baseline,
+    saveBaseline: config.saveBaseline,
+    junit: config.junit,
+    sarif: config.sarif,
+    reviews: config.reviews,
+    elementScreenshots: config.elementScreenshots,
+    maxElementScreenshots: config.maxElementScreenshots,
+    maxDepth: config.crawl?.maxDepth,
+    maxPages: config.crawl?.maxPages,
+    sitemap: config.crawl?.sitemap,
+    urlList: config.crawl?.urlList,
+    grid: config.grid,
+    auth: config.auth
+  };
+
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+// Later layers win; undefined values never override, and auth and grid are
+// merged per key so a CLI flag does not drop the rest of the configured ones.
+export function mergeOptions(...layers) {
+  const merged = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value === undefined) continue;
+      if (key === "auth") {
+        merged.auth = { ...merged.auth, ...value, headers: { ...merged.auth?.headers, ...value.headers } };
+      } else if (key === "grid") {
+        merged.grid = { ...merged.grid, ...value };
+      } else {
+        merged[key] = value;
+      }
+    }
+  }
+  return merged;
+}
+
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*\*/g, "\u0000")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]")
+    .replace(/\u0000/g, ".*");
+  return new RegExp(`^${pattern}$`);
+}
+
+// match is a glob (or list of globs) on the URL path, e.g. "/admin/**";
+// globs starting with a scheme match the whole URL instead.
+export function matchesUrl(match, url) {
+  let pathname = url;
+  try {
+    ({ pathname } = new URL(url));
+  } catch {
+    // not a URL, match the string as given
+  }
+
+  return [].concat(match).some(glob => (
+    /^[a-z][a-z0-9+.-]*:/i.test(glob)
+      ? globToRegExp(glob).test(url)
+      : globToRegExp(glob).test(pathname)
+  ));
+}
+
+// An override's tags and rules apply on top of the current axe options; its
+// rules are merged per rule id, so rules turned off at the top level stay off
+// unless the override names them. An override's axeOptions replace them.
+function overrideAxeOptions(current = {}, override) {
+  const axeOptions = buildAxeOptions(override);
+  if (!axeOptions || override.axeOptions) return axeOptions;
+  return {
+    ...current,
+    ...axeOptions,
+    ...(axeOptions.rules ? { rules: { ...current.rules, ...axeOptions.rules } } : {})
+  };
+}
+
+// The axe options, context, timeout, waitUntil and retries for one URL: the runner's
+// own settings with every matching override applied in order.
+export function settingsForUrl(base, overrides = [], url) {
+  let settings = { ...base };
+
+  for (const override of overrides.filter(entry => matchesUrl(entry.match, url))) {
+    const axeOptions = overrideAxeOptions(settings.axeOptions, override);
+    const context = buildAxeContext(override);
+    settings = {
+      ...settings,
+      ...(axeOptions ? { axeOptions } : {}),
+      ...(context ? { context } : {}),
+      ...(override.timeout !== undefined ? { timeout: override.timeout } : {}),
+      ...(override.waitUntil ? { waitUntil: override.waitUntil } : {}),
+      ...(override.retries !== undefined ? { retries: override.retries } : {}),
+      ...(override.retryDelay !== undefined ? { retryDelay: override.retryDelay } : {})
+    };
+  }
+
+  return settings;
+}
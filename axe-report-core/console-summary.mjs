@@ -0,0 +1,76 @@
+import { formatTimings } from "./timing.mjs";
+
+export function printConsoleSummary(summary) {
+  console.log("\n" + "=".repeat(60));
+  console.log("📊 ACCESSIBILITY AUDIT SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`🔗 URL: ${summary.url}`);
+  if (summary.browser) {
+    console.log(`🖥️  Browser: ${summary.browser}`);
+  }
+  console.log(`📅 Tested: ${new Date(summary.timestamp).toLocaleString()}`);
+  console.log(`📦 Total Elements Tested: ${summary.totalElements}`);
+  console.log("-".repeat(60));
+
+  console.log(`✅ Passed: ${summary.passes}`);
+  console.log(`❌ Violations: ${summary.violations}`);
+  console.log(`⚠️  Incomplete: ${summary.incomplete}`);
+  console.log(`➖ Not Applicable: ${summary.inapplicable}`);
+  if (summary.unsupported) {
+    console.log(`🚫 Not Checked: ${summary.unsupported} (unsupported by this driver)`);
+  }
+
+  if (summary.violations > 0) {
+    console.log("-".repeat(60));
+    console.log("🎯 Violations by Impact:");
+    console.log(`   🔴 Critical: ${summary.violationsByImpact.critical}`);
+    console.log(`   🟠 Serious: ${summary.violationsByImpact.serious}`);
+    console.log(`   🟡 Moderate: ${summary.violationsByImpact.moderate}`);
+    console.log(`   🔵 Minor: ${summary.violationsByImpact.minor}`);
+  }
+
+  printDiffSummary(summary.diff);
+  printTimings(summary.timings);
+
+  console.log("=".repeat(60));
+}
+
+// Phase times are summed over every audit, so with --concurrency they can
+// add up to more than the run took
+export function printTimings(timings) {
+  if (!timings) return;
+
+  console.log("-".repeat(60));
+  console.log(`⏱️  Timing: ${formatTimings(timings)}`);
+}
+
+export function printDiffSummary(diff) {
+  if (!diff) return;
+
+  console.log("-".repeat(60));
+  console.log(`📌 Since baseline (${new Date(diff.baselineCreatedAt).toLocaleString()}):`);
+  console.log(`   🆕 New: ${diff.new}`);
+  console.log(`   ✅ Fixed: ${diff.fixed}`);
+  console.log(`   ➖ Unchanged: ${diff.unchanged}`);
+}
+
+export function printViolationDetails(violations) {
+  if (violations.length === 0) {
+    console.log("\n✅ No accessibility violations found!");
+    return;
+  }
+
+  console.log("\n=== Violations Summary ===");
+  violations.forEach((violation, index) => {
+    console.log(`\n${index + 1}. ${violation.description}`);
+    console.log(`   ID: ${violation.id}`);
+    console.log(`   Impact: ${violation.impact}`);
+    console.log(`   Help: ${violation.help}`);
+    console.log(`   Help URL: ${violation.helpUrl}`);
+    console.log(`   Affected elements: ${violation.nodes.length}`);
+
+    if (violation.nodes.length > 0 && violation.nodes[0].html) {
+      console.log(`   Example: ${violation.nodes[0].html.substring(0, 100)}...`);
+    }
+  });
+}
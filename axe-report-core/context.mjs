@@ -0,0 +1,73 @@
+// Include and exclude selectors. ">>" steps into an iframe and ">>>" into an
+// open shadow root, e.g. "iframe#checkout >> payment-form >>> input"; the
+// targets in the reports are written the same way.
+export const FRAME_SEPARATOR = ">>";
+export const SHADOW_SEPARATOR = ">>>";
+
+// Turns one selector into the form axe.run() takes: a plain CSS selector,
+// { fromShadowDom } or { fromFrames }.
+export function parseContextSelector(value) {
+  const parts = String(value).split(/\s*(>>>|>>)\s*/);
+  const frames = [[]];
+
+  for (let i = 0; i < parts.length; i++) {
+    if (i % 2 === 1) {
+      if (parts[i] === FRAME_SEPARATOR) frames.push([]);
+      continue;
+    }
+    const selector = parts[i].trim();
+    if (!selector) {
+      throw new Error(`Invalid selector "${value}": expected a CSS selector before and after each ${FRAME_SEPARATOR} and ${SHADOW_SEPARATOR}`);
+    }
+    frames[frames.length - 1].push(selector);
+  }
+
+  const steps = frames.map(shadow => (shadow.length === 1 ? shadow[0] : { fromShadowDom: shadow }));
+  return steps.length === 1 ? steps[0] : { fromFrames: steps };
+}
+
+// The inverse of parseContextSelector, for logs and reports. Also takes the
+// older [frame, ..., selector] arrays.
+export function formatContextSelector(selector) {
+  if (typeof selector === "string") return selector;
+  if (Array.isArray(selector)) return formatTarget(selector);
+  if (selector?.fromFrames) return selector.fromFrames.map(formatContextSelector).join(` ${FRAME_SEPARATOR} `);
+  if (selector?.fromShadowDom) return selector.fromShadowDom.join(` ${SHADOW_SEPARATOR} `);
+  return String(selector);
+}
+
+// An axe target lists the selectors of any enclosing iframes first and the
+// element last; each part may itself be a list of selectors descending
+// through shadow roots.
+export function formatTarget(target = []) {
+  return target
+    .map(step => [].concat(step).join(` ${SHADOW_SEPARATOR} `))
+    .join(` ${FRAME_SEPARATOR} `);
+}
+
+// The iframe and the shadow host a node sits in, each as a selector path;
+// null for a node in the light DOM of the top document.
+export function nodeLocation(target = []) {
+  const frame = target.length > 1 ? formatTarget(target.slice(0, -1)) : null;
+  const shadow = [].concat(target[target.length - 1] ?? []);
+  const shadowHost = shadow.length > 1 ? shadow.slice(0, -1).join(` ${SHADOW_SEPARATOR} `) : null;
+  return frame || shadowHost ? { frame, shadowHost } : null;
+}
+
+// Adds node.location to every node inside an iframe or a shadow root.
+// Returns the number of nodes annotated.
+export function annotateNodeLocations(results) {
+  let count = 0;
+  for (const group of ["violations", "incomplete", "passes"]) {
+    for (const rule of results[group] || []) {
+      for (const node of rule.nodes) {
+        const location = nodeLocation(node.target);
+        if (location) {
+          node.location = location;
+          count++;
+        }
+      }
+    }
+  }
+  return count;
+}
@@ -0,0 +1,156 @@
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { runPool } from "./pool.mjs";
+import { describeFailure, formatFailure } from "./failures.mjs";
+import { redactUrl, redactUrls } from "./auth.mjs";
+
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|png|jpe?g|gif|svg|webp|ico|css|js|mjs|json|xml|txt|mp3|mp4|webm|woff2?|ttf)$/i;
+
+export function toUrl(target, base) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target)) return new URL(target).href;
+  if (base) return new URL(target, base).href;
+  return pathToFileURL(path.resolve(target)).href;
+}
+
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = "";
+  return parsed.href;
+}
+
+// file: URLs have no origin, so a local site is scoped to the start page's directory
+export function scopeOf(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol === "file:") {
+    return new URL(".", parsed).href;
+  }
+  return parsed.origin;
+}
+
+function inScope(url, scopes) {
+  const parsed = new URL(url);
+  if (parsed.protocol === "file:") {
+    return scopes.some(scope => parsed.href.startsWith(scope));
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return false;
+  return scopes.includes(parsed.origin);
+}
+
+async function readSource(source) {
+  if (/^https?:/i.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${source}: HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+  return fs.readFile(source.startsWith("file:") ? new URL(source) : source, "utf8");
+}
+
+export async function loadSitemap(source) {
+  const sitemapUrl = toUrl(source);
+  const xml = await readSource(existsSync(source) ? source : sitemapUrl);
+  const locations = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)]
+    .map(match => toUrl(match[1].replace(/&amp;/g, "&"), sitemapUrl));
+
+  if (/<sitemapindex[\s>]/i.test(xml)) {
+    const nested = await Promise.all(locations.map(loadSitemap));
+    return nested.flat();
+  }
+
+  return locations;
+}
+
+export async function loadUrlList(file) {
+  const listUrl = toUrl(file);
+  const content = await readSource(existsSync(file) ? file : listUrl);
+
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#"))
+    .map(line => toUrl(line, listUrl));
+}
+
+export function pageDirName(index, url) {
+  const { hostname, pathname } = new URL(url);
+  const slug = `${hostname}${pathname}`
+    .replace(/[^a-z0-9]+/gi, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "page";
+  return `${String(index + 1).padStart(3, "0")}-${slug}`;
+}
+
+export async function collectSeeds({ startUrl, urls = [], sitemap, urlList }) {
+  const seeds = [];
+  if (startUrl) seeds.push(toUrl(startUrl));
+  seeds.push(...urls.map(url => toUrl(url)));
+  if (sitemap) seeds.push(...await loadSitemap(sitemap));
+  if (urlList) seeds.push(...await loadUrlList(urlList));
+  return [...new Set(seeds.map(normalizeUrl))];
+}
+
+// Breadth-first crawl. Everything queued is audited as one batch, up to
+// `concurrency` pages at a time, and the links found are queued in page
+// order, so the crawl visits the same pages in the same order whatever the
+// concurrency. auditPage gets each URL as given, credentials included; the
+// pages returned, failures and the console only ever see it redacted.
+export async function crawlSite({ startUrl, urls, sitemap, urlList, maxDepth = 2, maxPages = 50, concurrency = 1, reportDir, auditPage }) {
+  const seeds = await collectSeeds({ startUrl, urls, sitemap, urlList });
+  if (seeds.length === 0) {
+    throw new Error("Crawl needs a start URL, a list of URLs, a sitemap or a URL list");
+  }
+
+  const scopes = [...new Set(seeds.map(scopeOf))];
+  const queue = seeds.map(url => ({ url, depth: 0 }));
+  const seen = new Set(seeds);
+  const pages = [];
+
+  console.log(`\n🕸️  Crawling ${seeds.length} seed URL(s), max depth ${maxDepth}, max pages ${maxPages}${concurrency > 1 ? `, ${concurrency} at a time` : ""}`);
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const first = pages.length;
+    const batch = queue.splice(0, maxPages - first);
+
+    const audited = await runPool(batch, async ({ url, depth }, offset) => {
+      const pageDir = path.join(reportDir, "pages", pageDirName(first + offset, url));
+      const shown = redactUrl(url);
+      await fs.mkdir(pageDir, { recursive: true });
+
+      // How many pages the crawl will find is unknown until it ends, so the
+      // counter runs up to the page limit
+      console.log(`\n📄 [${first + offset + 1}/${maxPages}] ${shown} (depth ${depth})`);
+
+      try {
+        const { results, links = [] } = await auditPage(url, pageDir);
+        return { page: { url: shown, depth, reportDir: pageDir, results }, links };
+      } catch (error) {
+        const described = describeFailure(error);
+        const failure = { ...described, message: redactUrls(described.message) };
+        console.error(`❌ Failed to audit ${shown}: ${formatFailure(failure)}`);
+        return { page: { url: shown, depth, reportDir: pageDir, error: failure.message, failure }, links: [] };
+      }
+    }, { concurrency });
+
+    for (const { page, links } of audited) {
+      pages.push(page);
+      if (page.depth >= maxDepth) continue;
+
+      for (const link of links) {
+        let next;
+        try {
+          next = normalizeUrl(link);
+        } catch {
+          continue;
+        }
+        if (seen.has(next) || !inScope(next, scopes) || SKIPPED_EXTENSIONS.test(new URL(next).pathname)) continue;
+        seen.add(next);
+        queue.push({ url: next, depth: page.depth + 1 });
+      }
+    }
+  }
+
+  return pages;
+}
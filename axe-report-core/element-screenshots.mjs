@@ -0,0 +1,143 @@
+import fs from "fs/promises";
+import path from "path";
+
+const HIGHLIGHT_CONTAINER_ID = "axe-report-highlights";
+const CLIP_PADDING = 8;
+
+export const IMPACT_COLORS = {
+  critical: "#dc2626",
+  serious: "#ea580c",
+  moderate: "#d97706",
+  minor: "#2563eb"
+};
+
+// Runs in the page. An axe target lists the selectors of any enclosing
+// iframes first and the element last; each part may itself be a list of
+// selectors descending through shadow roots. Boxes are in document
+// coordinates, null when the element has no size or sits in a frame we
+// cannot reach (cross-origin).
+export function measureTargets(targets) {
+  const doc = document.documentElement;
+  const size = {
+    width: Math.max(doc.scrollWidth, doc.clientWidth),
+    height: Math.max(doc.scrollHeight, doc.clientHeight)
+  };
+
+  const measure = (target) => {
+    let root = document;
+    let offsetX = window.scrollX;
+    let offsetY = window.scrollY;
+
+    for (let i = 0; i < target.length; i++) {
+      const selectors = Array.isArray(target[i]) ? target[i] : [target[i]];
+      let scope = root;
+      let element = null;
+      for (const selector of selectors) {
+        element = scope.querySelector(selector);
+        if (!element) return null;
+        scope = element.shadowRoot || element;
+      }
+
+      const rect = element.getBoundingClientRect();
+      if (i < target.length - 1) {
+        offsetX += rect.left + element.clientLeft;
+        offsetY += rect.top + element.clientTop;
+        try {
+          root = element.contentDocument;
+        } catch {
+          return null;
+        }
+        if (!root) return null;
+        continue;
+      }
+
+      if (rect.width === 0 || rect.height === 0) return null;
+      return { x: rect.left + offsetX, y: rect.top + offsetY, width: rect.width, height: rect.height };
+    }
+    return null;
+  };
+
+  return { size, boxes: targets.map(measure) };
+}
+
+// Runs in the page: outlines each box and labels it with its number.
+export function drawHighlights({ containerId, highlights }) {
+  const container = document.createElement("div");
+  container.id = containerId;
+  container.style.cssText = "position:absolute;top:0;left:0;width:0;height:0;pointer-events:none;z-index:2147483647;";
+
+  for (const { x, y, width, height, label, color } of highlights) {
+    const box = document.createElement("div");
+    box.style.cssText = `position:absolute;left:${x - 3}px;top:${y - 3}px;width:${width + 6}px;height:${height + 6}px;` +
+      `box-sizing:border-box;border:3px solid ${color};background:${color}22;`;
+
+    const tag = document.createElement("span");
+    tag.textContent = label;
+    tag.style.cssText = `position:absolute;left:-3px;top:-22px;padding:1px 6px;background:${color};color:#fff;` +
+      "font:bold 12px/18px sans-serif;border-radius:3px;";
+
+    box.appendChild(tag);
+    container.appendChild(box);
+  }
+
+  document.documentElement.appendChild(container);
+}
+
+export function clearHighlights(containerId) {
+  document.getElementById(containerId)?.remove();
+}
+
+function clipFor(box, size) {
+  const x = Math.max(0, Math.floor(box.x - CLIP_PADDING));
+  const y = Math.max(0, Math.floor(box.y - CLIP_PADDING - 22));
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.min(size.width, Math.ceil(box.x + box.width + CLIP_PADDING)) - x),
+    height: Math.max(1, Math.min(size.height, Math.ceil(box.y + box.height + CLIP_PADDING)) - y)
+  };
+}
+
+// The runner supplies evaluate(fn, arg), which runs fn in the page, and
+// screenshot({ path, clip }), which captures the full page or a clip of it
+// in document coordinates. Screenshot paths are stored on each node as
+// node.screenshot, relative to reportDir.
+export async function captureElementScreenshots(results, { reportDir, maxScreenshots = 50, evaluate, screenshot }) {
+  const entries = results.violations
+    .flatMap(violation => violation.nodes.map(node => ({ violation, node })))
+    .slice(0, maxScreenshots);
+  if (entries.length === 0) return null;
+
+  const { size, boxes } = await evaluate(measureTargets, entries.map(({ node }) => node.target));
+  const elementsDir = path.join(reportDir, "elements");
+  await fs.mkdir(elementsDir, { recursive: true });
+
+  const highlights = entries
+    .map(({ violation, node }, index) => boxes[index] && {
+      ...boxes[index],
+      label: String(index + 1),
+      color: IMPACT_COLORS[node.impact || violation.impact] || IMPACT_COLORS.minor
+    })
+    .filter(Boolean);
+
+  await evaluate(drawHighlights, { containerId: HIGHLIGHT_CONTAINER_ID, highlights });
+
+  let captured = 0;
+  try {
+    await screenshot({ path: path.join(reportDir, "annotated.png") });
+
+    for (const [index, { violation, node }] of entries.entries()) {
+      if (!boxes[index]) continue;
+      const file = `${String(index + 1).padStart(2, "0")}-${violation.id}.png`;
+      await screenshot({ path: path.join(elementsDir, file), clip: clipFor(boxes[index], size) });
+      node.screenshot = `elements/${file}`;
+      captured++;
+    }
+  } finally {
+    await evaluate(clearHighlights, HIGHLIGHT_CONTAINER_ID);
+  }
+
+  const skipped = entries.length - captured;
+  console.log(`🖼️  ${captured} element screenshot(s) saved${skipped > 0 ? `, ${skipped} skipped (hidden or in a cross-origin frame)` : ""}`);
+  return "annotated.png";
+}
@@ -0,0 +1,167 @@
+import { escapeHtml } from "./html-escape.mjs";
+import { formatDuration } from "./timing.mjs";
+
+export const FAILURE_CATEGORIES = {
+  network: "DNS/connection",
+  http: "HTTP error",
+  timeout: "Timeout",
+  csp: "Blocked by CSP",
+  axe: "axe-core error",
+  story: "Story error",
+  unknown: "Other"
+};
+
+// Runners throw an AuditError for the failures they detect themselves, such
+// as an HTTP error status or axe-core missing after injection.
+export class AuditError extends Error {
+  constructor(message, { category = "unknown", status, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "AuditError";
+    this.category = category;
+    if (status) {
+      this.status = status;
+    }
+  }
+}
+
+// Chromium, Firefox, WebKit and Node each word these differently
+const NETWORK_ERRORS = /ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED|ERR_CONNECTION_|ERR_ADDRESS_UNREACHABLE|ERR_INTERNET_DISCONNECTED|ERR_CERT_|ERR_SSL_|NS_ERROR_UNKNOWN_HOST|NS_ERROR_CONNECTION_REFUSED|NS_ERROR_NET_|SSL_ERROR_|ENOTFOUND|ECONNREFUSED|ECONNRESET|EAI_AGAIN|Could not connect|Unable to connect|Could not resolve host|hostname could not be found/i;
+const CSP_ERRORS = /Content[- ]Security[- ]Policy|Refused to (evaluate|execute|load)|unsafe-eval|EvalError/i;
+const TIMEOUT_ERRORS = /Timeout \d+ ?ms exceeded|timed out|TimeoutError/i;
+
+export function classifyError(error) {
+  if (error?.category) return error.category;
+
+  const message = `${error?.name || ""} ${error?.message || error || ""}`;
+  if (NETWORK_ERRORS.test(message)) return "network";
+  if (CSP_ERRORS.test(message)) return "csp";
+  if (TIMEOUT_ERRORS.test(message)) return "timeout";
+  return "unknown";
+}
+
+// Gives any error from an audit a category, keeping the original as the cause
+export function toAuditError(error) {
+  if (error instanceof AuditError) return error;
+
+  const wrapped = new AuditError(String(error?.message || error).split("\n")[0], { category: classifyError(error), cause: error });
+  if (error?.attempts) {
+    wrapped.attempts = error.attempts;
+  }
+  return wrapped;
+}
+
+// What the reports record about a failed page, viewport or browser
+export function describeFailure(error) {
+  const category = classifyError(error);
+  return {
+    category,
+    label: FAILURE_CATEGORIES[category],
+    message: String(error?.message || error).split("\n")[0],
+    ...(error?.status ? { status: error.status } : {}),
+    ...(error?.attempts ? { attempts: error.attempts } : {})
+  };
+}
+
+export function formatFailure(failure) {
+  const attempts = failure.attempts > 1 ? ` (after ${failure.attempts} attempts)` : "";
+  return `[${failure.label}] ${failure.message}${attempts}`;
+}
+
+// A refused connection, a timeout or a 429/5xx may go away on its own; a
+// missing host, a 404, a CSP block or an axe-core error will not
+export function isRetryable(error) {
+  const category = classifyError(error);
+  if (category === "http") return error.status === 429 || error.status >= 500;
+  if (category === "network") return !/NAME_NOT_RESOLVED|UNKNOWN_HOST|ENOTFOUND|hostname could not be found|Could not resolve host/i.test(error.message);
+  return category === "timeout";
+}
+
+// Runs fn(attempt) and retries it up to `retries` times with exponential
+// backoff: retryDelay, then twice that, and so on. The error that is finally
+// thrown carries the number of attempts.
+export async function withRetries(fn, { retries = 0, retryDelay = 1000, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = retryDelay * 2 ** (attempt - 1);
+      onRetry?.(error, attempt, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// An HTTP error status fails the audit instead of auditing the error page;
+// connection errors, timeouts and 429/5xx responses are retried. goto()
+// resolves to a Playwright or Puppeteer response, a fetch() response, or
+// nothing where the driver does not expose one; the response is returned.
+export async function navigateWithRetries(goto, { retries = 0, retryDelay = 1000 } = {}) {
+  return withRetries(async () => {
+    const response = await goto();
+    // fetch() has properties where the browser drivers have methods
+    const status = typeof response?.status === "function" ? response.status() : response?.status;
+    if (status >= 400) {
+      const statusText = typeof response.statusText === "function" ? response.statusText() : response.statusText;
+      throw new AuditError(`HTTP ${status} ${statusText}`.trim(), { category: "http", status });
+    }
+    return response;
+  }, {
+    retries,
+    retryDelay,
+    onRetry: (error, attempt, delay) => {
+      console.log(`⏳ ${formatFailure(describeFailure(error))}, retrying in ${formatDuration(delay)} (${attempt}/${retries})`);
+    }
+  });
+}
+
+// Entries are pages, viewports or browsers; target(entry) names the failed one
+export function collectErrors(entries, target) {
+  return entries
+    .filter(entry => entry.error)
+    .map(entry => ({ target: target(entry), ...(entry.failure || describeFailure(entry.error)) }));
+}
+
+export function countFailures(entries) {
+  const counts = {};
+  for (const entry of entries.filter(entry => entry.error)) {
+    const { category } = entry.failure || describeFailure(entry.error);
+    counts[category] = (counts[category] || 0) + 1;
+  }
+  return counts;
+}
+
+// "2 (Timeout 1, HTTP error 1)" for the console summaries
+export function formatFailureCounts(count, failuresByCategory = {}) {
+  const categories = Object.entries(failuresByCategory)
+    .map(([category, n]) => `${FAILURE_CATEGORIES[category] || category} ${n}`);
+  return categories.length > 0 ? `${count} (${categories.join(", ")})` : String(count);
+}
+
+export function renderErrorsSection(errors, heading = "Target") {
+  if (errors.length === 0) return "";
+
+  return `
+        <div class="violations-section">
+            <h2>Errors (${errors.length})</h2>
+            <p class="violation-description">These could not be audited; the rest of the run went on without them.</p>
+            <table class="report-table">
+                <thead>
+                    <tr><th>${escapeHtml(heading)}</th><th>Category</th><th>Error</th><th>Attempts</th></tr>
+                </thead>
+                <tbody>
+                    ${errors.map(error => `
+                    <tr>
+                        <td>${escapeHtml(error.target)}</td>
+                        <td class="violations">${escapeHtml(error.label)}${error.status ? ` (${error.status})` : ""}</td>
+                        <td><code>${escapeHtml(error.message)}</code></td>
+                        <td>${error.attempts || 1}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>`;
+}
@@ -0,0 +1,213 @@
+import fs from "fs/promises";
+import path from "path";
+import { writeReports } from "./reports.mjs";
+import { REPORT_STYLES } from "./html-styles.mjs";
+import { printDiffSummary, printTimings } from "./console-summary.mjs";
+import { renderDiffSection } from "./html-report.mjs";
+import { escapeHtml, safeUrl, impactClass } from "./html-escape.mjs";
+import { generateSiteSummary } from "./site-report.mjs";
+import { pageKey, loadBaseline, saveBaseline, diffAgainstBaseline, filterDiff, summarizeDiff } from "./baseline.mjs";
+import { writeJUnitReport } from "./junit.mjs";
+import { writeSarifReport } from "./sarif.mjs";
+import { resolveReviewDecisions, applyReviewDecisions } from "./review.mjs";
+
+// Checkpoints often share a URL, so baselines key them by page and name.
+function checkpointKey(checkpoint) {
+  return `${pageKey(checkpoint.url)}#${checkpoint.name}`;
+}
+
+export function generateFlowSummary(flow, checkpoints, error) {
+  const { pagesAudited, pagesFailed, ...totals } = generateSiteSummary(checkpoints);
+  return {
+    ...totals,
+    flow: flow.name,
+    checkpoints: pagesAudited,
+    failedStep: error
+  };
+}
+
+function renderCheckpoint(checkpoint) {
+  const { summary, results } = checkpoint;
+
+  return `
+        <div class="violations-section">
+            <h2>${escapeHtml(checkpoint.name)}</h2>
+            <p class="violation-description">Step ${checkpoint.step} · ${escapeHtml(checkpoint.url)}</p>
+            <p>
+                <span class="passes">Passed: ${summary.passes}</span> ·
+                <span class="violations">Violations: ${summary.violations}</span> ·
+                <span class="incomplete">Incomplete: ${summary.incomplete}</span>
+            </p>
+            ${results.violations.length > 0 ? `
+            <table class="report-table">
+                <thead>
+                    <tr><th>Rule</th><th>Impact</th><th>Elements</th></tr>
+                </thead>
+                <tbody>
+                    ${results.violations.map(violation => `
+                    <tr>
+                        <td><a href="${safeUrl(violation.helpUrl)}" target="_blank">${escapeHtml(violation.id)}</a><br><small>${escapeHtml(violation.help)}</small></td>
+                        <td><span class="violation-impact ${impactClass(violation.impact)}">${escapeHtml(violation.impact)}</span></td>
+                        <td>${violation.nodes.length}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>` : `
+            <p class="passes">✅ No violations at this checkpoint</p>`}
+            <p><a href="${safeUrl(checkpoint.reportPath)}" class="help-link">Full checkpoint report →</a></p>
+        </div>`;
+}
+
+function renderFlowHTML(summary, checkpoints, diff) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Flow Accessibility Report - ${escapeHtml(summary.flow)}</title>
+    <style>
+${REPORT_STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>Flow Accessibility Report</h1>
+            <div class="header-info">
+                <p>${escapeHtml(summary.flow)}</p>
+                <p>${escapeHtml(new Date(summary.timestamp).toLocaleString())}</p>
+            </div>
+        </header>
+
+        <div class="summary">
+            <div class="stat-card">
+                <div class="stat-number passes">${summary.checkpoints}</div>
+                <div class="stat-label">Checkpoints</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number violations">${summary.violations}</div>
+                <div class="stat-label">Violations</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number incomplete">${summary.incomplete}</div>
+                <div class="stat-label">Incomplete</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number inapplicable">${summary.failedStep ? "Failed" : "Completed"}</div>
+                <div class="stat-label">Flow</div>
+            </div>
+        </div>
+        ${summary.failedStep ? `
+        <div class="impact-summary">
+            <h2 class="violations">Flow stopped at step ${summary.failedStep.step}</h2>
+            <p><code>${escapeHtml(summary.failedStep.description)}</code>: ${escapeHtml(summary.failedStep.message)}</p>
+        </div>` : ""}
+
+${renderDiffSection(diff, { showPage: true })}
+${checkpoints.map(renderCheckpoint).join("")}
+
+        <footer>
+            <p>Generated with axe-core</p>
+        </footer>
+    </div>
+</body>
+</html>`;
+}
+
+// Writes a full report per checkpoint under checkpoints/ and a combined
+// report.json and report.html with one section per checkpoint.
+export async function writeFlowReport(reportDir, { flow, checkpoints, error }, meta = {}) {
+  const { baseline, saveBaseline: baselineFile, junit, sarif, reviews, ...checkpointMeta } = meta;
+  const review = await resolveReviewDecisions(reviews);
+  const reviewed = checkpoints.reduce((sum, checkpoint) => sum + applyReviewDecisions(checkpoint.results, review), 0);
+  if (reviewed > 0) {
+    console.log(`📝 Applied ${reviewed} review decision(s) to incomplete results`);
+  }
+  const pages = checkpoints.map(checkpoint => ({ url: checkpointKey(checkpoint), results: checkpoint.results }));
+  const diff = baseline ? diffAgainstBaseline(await loadBaseline(baseline), pages) : null;
+  const entries = [];
+
+  for (const checkpoint of checkpoints) {
+    const report = await writeReports(checkpoint.reportDir, checkpoint.results, {
+      ...checkpointMeta,
+      reviews: review,
+      diff: diff && filterDiff(diff, checkpointKey(checkpoint))
+    });
+    entries.push({
+      name: checkpoint.name,
+      step: checkpoint.step,
+      url: checkpoint.url,
+      summary: report.summary,
+      results: checkpoint.results,
+      reportPath: path.relative(reportDir, path.join(checkpoint.reportDir, "report.html")).split(path.sep).join("/")
+    });
+  }
+
+  const summary = generateFlowSummary(flow, entries, error);
+  if (diff) {
+    summary.diff = summarizeDiff(diff);
+  }
+
+  const report = {
+    summary,
+    steps: flow.steps.map(({ value, ...step }) => step),
+    checkpoints: entries.map(({ results, ...entry }) => entry),
+    ...(diff ? { diff } : {})
+  };
+
+  const jsonPath = path.join(reportDir, "report.json");
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  console.log(`\n📄 Flow JSON report saved: ${jsonPath}`);
+
+  const htmlPath = path.join(reportDir, "report.html");
+  await fs.writeFile(htmlPath, renderFlowHTML(summary, entries, diff));
+  console.log(`🌐 Flow HTML report saved: ${htmlPath}`);
+
+  if (baselineFile) {
+    await saveBaseline(baselineFile, pages);
+  }
+
+  const suites = entries.map(entry => ({ url: `${entry.url} [${entry.name}]`, browser: meta.browser, results: entry.results }));
+  if (error) {
+    suites.push({ url: `${flow.name} step ${error.step}`, browser: meta.browser, error: `${error.description}: ${error.message}` });
+  }
+
+  if (junit) {
+    await writeJUnitReport(junit, suites);
+  }
+
+  if (sarif) {
+    await writeSarifReport(sarif, entries.map(entry => ({ url: entry.url, browser: meta.browser, results: entry.results })));
+  }
+
+  return report;
+}
+
+export function printFlowSummary(summary) {
+  console.log("\n" + "=".repeat(60));
+  console.log("🎬 FLOW ACCESSIBILITY SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`📜 Flow: ${summary.flow}`);
+  console.log(`📍 Checkpoints Audited: ${summary.checkpoints}`);
+  if (summary.failedStep) {
+    console.log(`💥 Stopped at step ${summary.failedStep.step}: ${summary.failedStep.description} (${summary.failedStep.message})`);
+  }
+  console.log("-".repeat(60));
+  console.log(`❌ Violations: ${summary.violations}`);
+  console.log(`⚠️  Incomplete: ${summary.incomplete}`);
+  console.log(`   🔴 Critical: ${summary.violationsByImpact.critical}`);
+  console.log(`   🟠 Serious: ${summary.violationsByImpact.serious}`);
+  console.log(`   🟡 Moderate: ${summary.violationsByImpact.moderate}`);
+  console.log(`   🔵 Minor: ${summary.violationsByImpact.minor}`);
+
+  if (summary.rules.length > 0) {
+    console.log("-".repeat(60));
+    console.log("📋 Violations by Rule:");
+    summary.rules.forEach(rule => {
+      console.log(`   ${rule.id}: ${rule.pages} checkpoint(s), ${rule.nodes} element(s)`);
+    });
+  }
+
+  printDiffSummary(summary.diff);
+  printTimings(summary.timings);
+
+  console.log("=".repeat(60));
+}
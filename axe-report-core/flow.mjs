@@ -0,0 +1,157 @@
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { toUrl } from "./crawl.mjs";
+import { redactUrl, redactUrls } from "./auth.mjs";
+
+// Required fields per action; fill also accepts valueFromEnv instead of value
+// so passwords can stay out of the flow file.
+const STEP_FIELDS = {
+  goto: ["url"],
+  click: ["selector"],
+  fill: ["selector"],
+  press: ["key"],
+  waitForSelector: ["selector"],
+  audit: ["name"]
+};
+
+export const FLOW_ACTIONS = Object.keys(STEP_FIELDS);
+
+export function validateFlow(flow, source = "flow") {
+  if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+    throw new Error(`${source} must contain a non-empty steps array`);
+  }
+
+  const names = new Set();
+  flow.steps.forEach((step, index) => {
+    const label = `${source} step ${index + 1}`;
+    if (!FLOW_ACTIONS.includes(step?.action)) {
+      throw new Error(`${label} has unknown action ${JSON.stringify(step?.action)} (expected ${FLOW_ACTIONS.join(", ")})`);
+    }
+
+    const missing = STEP_FIELDS[step.action].filter(field => step[field] === undefined);
+    if (step.action === "fill" && step.value === undefined && !step.valueFromEnv) {
+      missing.push("value or valueFromEnv");
+    }
+    if (missing.length > 0) {
+      throw new Error(`${label} (${step.action}) is missing ${missing.join(", ")}`);
+    }
+
+    if (step.action === "audit") {
+      if (names.has(step.name)) {
+        throw new Error(`${label} reuses the checkpoint name "${step.name}"`);
+      }
+      names.add(step.name);
+    }
+  });
+
+  if (names.size === 0) {
+    throw new Error(`${source} has no audit steps, so nothing would be checked`);
+  }
+
+  return flow;
+}
+
+// A flow file is JSON or a module whose default export is the flow. Either
+// can be a { name, url, steps } object or just the steps array; a relative
+// url is resolved against the flow file.
+export async function loadFlow(file) {
+  const flowPath = path.resolve(file);
+  let flow;
+
+  try {
+    flow = /\.json$/i.test(file)
+      ? JSON.parse(await fs.readFile(flowPath, "utf8"))
+      : (await import(pathToFileURL(flowPath).href)).default;
+  } catch (error) {
+    throw new Error(`Could not read flow file ${file}: ${error.message}`);
+  }
+
+  if (Array.isArray(flow)) flow = { steps: flow };
+
+  return validateFlow({
+    ...flow,
+    name: flow.name || path.basename(file).replace(/\.[^.]+$/, ""),
+    url: flow.url ? toUrl(flow.url, pathToFileURL(flowPath).href) : null
+  }, file);
+}
+
+export function checkpointDirName(index, name) {
+  const slug = name
+    .replace(/[^a-z0-9]+/gi, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase()
+    .slice(0, 60) || "checkpoint";
+  return `${String(index + 1).padStart(2, "0")}-${slug}`;
+}
+
+function describeStep(step) {
+  switch (step.action) {
+    case "goto": return `goto ${step.url}`;
+    case "press": return `press ${step.key}${step.selector ? ` in ${step.selector}` : ""}`;
+    case "audit": return `audit "${step.name}"`;
+    default: return `${step.action} ${step.selector}`;
+  }
+}
+
+function resolveStep(step, startUrl) {
+  if (step.action === "goto") {
+    return { ...step, url: toUrl(step.url, startUrl) };
+  }
+  if (step.action === "fill" && step.valueFromEnv) {
+    const value = process.env[step.valueFromEnv];
+    if (value === undefined) {
+      throw new Error(`Environment variable ${step.valueFromEnv} is not set (required to fill ${step.selector})`);
+    }
+    return { ...step, value };
+  }
+  return step;
+}
+
+// Runs the steps in order, opening startUrl first unless the flow starts
+// with a goto. performStep(step) drives the page for every action but
+// audit; auditCheckpoint(name, checkpointDir) resolves to the axe results at
+// that point. A failing step stops the flow, and the checkpoints reached so
+// far are still returned.
+export async function executeFlow({ flow, startUrl = flow.url, reportDir, performStep, auditCheckpoint }) {
+  const { steps } = flow;
+  const checkpoints = [];
+
+  console.log(`\n🎬 Running flow "${flow.name}" (${steps.length} steps)`);
+
+  if (startUrl && steps[0].action !== "goto") {
+    const shown = redactUrl(startUrl);
+    console.log(`🌐 Opening ${shown}`);
+    try {
+      await performStep({ action: "goto", url: startUrl });
+    } catch (error) {
+      const message = redactUrls(error.message);
+      console.error(`❌ Could not open ${shown}:`, message);
+      return { flow, checkpoints, error: { step: 0, action: "goto", description: `goto ${shown}`, message } };
+    }
+  }
+
+  for (const [index, step] of steps.entries()) {
+    console.log(`▶️  [${index + 1}/${steps.length}] ${describeStep(step)}`);
+
+    try {
+      if (step.action === "audit") {
+        const checkpointDir = path.join(reportDir, "checkpoints", checkpointDirName(checkpoints.length, step.name));
+        await fs.mkdir(checkpointDir, { recursive: true });
+        const results = await auditCheckpoint(step.name, checkpointDir);
+        checkpoints.push({ name: step.name, step: index + 1, url: results.url, reportDir: checkpointDir, results });
+      } else {
+        await performStep(resolveStep(step, startUrl));
+      }
+    } catch (error) {
+      console.error(`❌ Flow step ${index + 1} (${describeStep(step)}) failed:`, error.message);
+      return {
+        flow,
+        checkpoints,
+        error: { step: index + 1, action: step.action, description: describeStep(step), message: error.message }
+      };
+    }
+  }
+
+  return { flow, checkpoints, error: null };
+}
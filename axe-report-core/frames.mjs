@@ -0,0 +1,16 @@
+// axe-core only descends into iframes that have it loaded as well, so source
+// is added to every child frame that lacks it. Playwright and Puppeteer pages
+// share the frames(), mainFrame(), evaluate() and addScriptTag() used here. A
+// frame that cannot be reached is left to axe's frame-tested check.
+export async function injectFrames(page, source) {
+  const frames = page.frames().filter(frame => frame !== page.mainFrame());
+  await Promise.all(frames.map(async frame => {
+    try {
+      if (await frame.evaluate(() => typeof window.axe === "undefined")) {
+        await frame.addScriptTag({ content: source });
+      }
+    } catch {
+      // detached, or blocked by the frame's Content-Security-Policy
+    }
+  }));
+}
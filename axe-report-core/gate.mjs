@@ -0,0 +1,143 @@
+import fs from "fs/promises";
+import { IMPACT_LEVELS } from "./summary.mjs";
+
+export const EXIT_CODES = {
+  passed: 0,
+  error: 1,
+  impactThreshold: 2,
+  impactBudget: 3,
+  ruleBudget: 4,
+  newViolations: 5
+};
+
+export function parseFailOn(value) {
+  if (!value) return [];
+
+  const levels = value.split(",").map(level => level.trim().toLowerCase()).filter(Boolean);
+  const unknown = levels.filter(level => !IMPACT_LEVELS.includes(level));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown impact level(s) for --fail-on: ${unknown.join(", ")} (expected ${IMPACT_LEVELS.join(", ")})`);
+  }
+
+  return levels;
+}
+
+export async function loadBudget(file) {
+  let budget;
+  try {
+    budget = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read budget file ${file}: ${error.message}`);
+  }
+
+  return validateBudget(budget, `Budget file ${file}`);
+}
+
+export function validateBudget(budget, source = "Budget") {
+  if (!budget || typeof budget !== "object" || Array.isArray(budget)) {
+    throw new Error(`${source} must contain a JSON object of rule ids or impact levels to counts`);
+  }
+
+  for (const [key, allowed] of Object.entries(budget)) {
+    if (!Number.isInteger(allowed) || allowed < 0) {
+      throw new Error(`${source}: budget for "${key}" must be a non-negative integer, got ${JSON.stringify(allowed)}`);
+    }
+  }
+
+  return budget;
+}
+
+// Impact keys in a budget cap the number of violated rules at that impact,
+// any other key is a rule id and caps the number of affected elements.
+export function evaluateGate(summary, { failOn = [], budget = {}, failOnNew = [] } = {}) {
+  const breaches = [];
+
+  for (const impact of failOn) {
+    const actual = summary.violationsByImpact[impact];
+    if (actual > 0) {
+      breaches.push({
+        type: "impactThreshold",
+        key: impact,
+        actual,
+        allowed: 0,
+        message: `${actual} ${impact} violation(s) found, --fail-on ${impact} allows none`
+      });
+    }
+  }
+
+  for (const [key, allowed] of Object.entries(budget)) {
+    if (IMPACT_LEVELS.includes(key)) {
+      const actual = summary.violationsByImpact[key];
+      if (actual > allowed) {
+        breaches.push({
+          type: "impactBudget",
+          key,
+          actual,
+          allowed,
+          message: `${actual} ${key} violation(s) exceed the budget of ${allowed}`
+        });
+      }
+    } else {
+      const actual = summary.violationsByRule?.[key] || 0;
+      if (actual > allowed) {
+        breaches.push({
+          type: "ruleBudget",
+          key,
+          actual,
+          allowed,
+          message: `${actual} element(s) failing "${key}" exceed the budget of ${allowed}`
+        });
+      }
+    }
+  }
+
+  for (const impact of failOnNew) {
+    const actual = summary.diff?.newByImpact[impact] || 0;
+    if (actual > 0) {
+      breaches.push({
+        type: "newViolations",
+        key: impact,
+        actual,
+        allowed: 0,
+        message: `${actual} new ${impact} violation node(s) since the baseline, --fail-on-new ${impact} allows none`
+      });
+    }
+  }
+
+  const exitCode = breaches.length > 0
+    ? Math.min(...breaches.map(breach => EXIT_CODES[breach.type]))
+    : EXIT_CODES.passed;
+
+  return { passed: breaches.length === 0, exitCode, breaches };
+}
+
+export function worstExitCode(codes) {
+  const failures = codes.filter(code => code !== EXIT_CODES.passed);
+  return failures.length > 0 ? Math.min(...failures) : EXIT_CODES.passed;
+}
+
+export function printGateResult(gate, label = "") {
+  console.log("\n" + "=".repeat(60));
+  console.log(`🚦 ACCESSIBILITY GATE${label ? ` (${label})` : ""}: ${gate.passed ? "PASSED" : "FAILED"}`);
+  console.log("=".repeat(60));
+
+  if (gate.passed) {
+    console.log("✅ No thresholds or budgets breached");
+  } else {
+    gate.breaches.forEach(breach => {
+      console.log(`❌ [${breach.type}] ${breach.message}`);
+    });
+    console.log("-".repeat(60));
+    console.log(`Exit code: ${gate.exitCode}`);
+  }
+
+  console.log("=".repeat(60));
+}
+
+export function applyGate(summary, { failOn = [], budget = {}, failOnNew = [], label } = {}) {
+  if (failOn.length === 0 && Object.keys(budget).length === 0 && failOnNew.length === 0) return EXIT_CODES.passed;
+
+  const gate = evaluateGate(summary, { failOn, budget, failOnNew });
+  printGateResult(gate, label);
+  return gate.exitCode;
+}
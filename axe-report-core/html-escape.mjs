@@ -0,0 +1,32 @@
+import { IMPACT_LEVELS } from "./summary.mjs";
+
+// Everything that comes from axe-core, the audited page or the command line
+// goes through these before it is placed in report HTML, so a hostile page
+// cannot inject markup or script into our reports.
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Only http(s), file and relative links survive; javascript:, data: and anything
+// else become "#". The result is already escaped for an attribute.
+export function safeUrl(value) {
+  // Browsers drop tabs, newlines and other control characters while parsing
+  // a URL, so "java\nscript:" has to be caught as "javascript:"
+  const url = String(value ?? "").replace(/[\u0000-\u001F\u007F]/g, "").trim();
+  if (!url) return "#";
+
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i)?.[1].toLowerCase();
+  if (scheme && !["http", "https", "file"].includes(scheme)) return "#";
+
+  return escapeHtml(url);
+}
+
+// Impacts end up in class names, so anything unexpected is dropped.
+export function impactClass(impact) {
+  return IMPACT_LEVELS.includes(impact) ? impact : "";
+}
@@ -0,0 +1,425 @@
+import fs from "fs/promises";
+import path from "path";
+import { generateSummary } from "./summary.mjs";
+import { REPORT_STYLES } from "./html-styles.mjs";
+import { escapeHtml, safeUrl, impactClass } from "./html-escape.mjs";
+import { reviewEntry } from "./review.mjs";
+import { describeViewport } from "./viewports.mjs";
+import { formatTimings } from "./timing.mjs";
+import { formatTarget, nodeLocation } from "./context.mjs";
+
+export function hostnameOf(url) {
+  try {
+    return new URL(url).hostname || url;
+  } catch {
+    return url;
+  }
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+export function renderDiffSection(diff, { showPage = false } = {}) {
+  if (!diff) return "";
+
+  const rows = [
+    ...diff.new.map(entry => ({ status: "new", entry })),
+    ...diff.fixed.map(entry => ({ status: "fixed", entry }))
+  ];
+
+  return `
+        <div class="violations-section diff-section">
+            <h2>Changes Since Baseline</h2>
+            <p class="violation-description">Compared with the baseline from ${escapeHtml(new Date(diff.baselineCreatedAt).toLocaleString())}</p>
+            <div class="impact-grid">
+                <div class="impact-item diff-new">New: ${diff.new.length}</div>
+                <div class="impact-item diff-fixed">Fixed: ${diff.fixed.length}</div>
+                <div class="impact-item diff-unchanged">Unchanged: ${diff.unchanged.length}</div>
+            </div>
+            ${rows.length > 0 ? `
+            <table class="report-table">
+                <thead>
+                    <tr><th>Status</th><th>Rule</th><th>Impact</th><th>Element</th>${showPage ? "<th>Page</th>" : ""}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(({ status, entry }) => `
+                    <tr>
+                        <td><span class="diff-status diff-${status}">${status}</span></td>
+                        <td>${escapeHtml(entry.ruleId)}</td>
+                        <td><span class="violation-impact ${impactClass(entry.impact)}">${escapeHtml(entry.impact)}</span></td>
+                        <td><code>${escapeHtml(entry.target)}</code></td>${showPage ? `
+                        <td>${escapeHtml(entry.page)}</td>` : ""}
+                    </tr>`).join("")}
+                </tbody>
+            </table>` : ""}
+        </div>`;
+}
+
+function renderTarget(target = []) {
+  return escapeHtml(formatTarget(target));
+}
+
+function renderLocation(target) {
+  const location = nodeLocation(target);
+  if (!location) return "";
+
+  return `
+                                    <div class="node-location">${[
+    location.frame && `In iframe <code>${escapeHtml(location.frame)}</code>`,
+    location.shadowHost && `In the shadow root of <code>${escapeHtml(location.shadowHost)}</code>`
+  ].filter(Boolean).join(" · ")}</div>`;
+}
+
+function renderChecks(label, checks = []) {
+  if (checks.length === 0) return "";
+
+  return `
+                                    <div class="node-checks">
+                                        <strong>${label}</strong>
+                                        <ul>
+                                            ${checks.map(check => `
+                                            <li>
+                                                ${escapeHtml(check.message)}
+                                                ${check.relatedNodes?.length > 0 ? `
+                                                <div class="related-nodes">Related: ${check.relatedNodes.map(related => `<code>${renderTarget(related.target)}</code>`).join(", ")}</div>` : ""}
+                                            </li>`).join("")}
+                                        </ul>
+                                    </div>`;
+}
+
+export function renderNode(node) {
+  // failureSummary repeats the check messages, so it is only a fallback
+  const hasChecks = [node.any, node.all, node.none].some(checks => checks?.length > 0);
+
+  return `
+                                <details class="node-details">
+                                    <summary>
+                                        <code>${renderTarget(node.target)}</code>${node.review ? `
+                                        <span class="review-badge review-${escapeHtml(node.review.decision)}">Reviewed: ${escapeHtml(node.review.decision)}</span>` : ""}${node.screenshot ? `
+                                        <a href="${safeUrl(node.screenshot)}" target="_blank" class="element-shot">📷 Screenshot</a>` : ""}
+                                    </summary>${renderLocation(node.target)}
+                                    ${node.html ? `<pre class="node-html"><code>${escapeHtml(node.html)}</code></pre>` : ""}
+                                    ${!hasChecks && node.failureSummary ? `<pre class="node-summary">${escapeHtml(node.failureSummary)}</pre>` : ""}
+                                    ${renderChecks("Fix any of the following:", node.any)}
+                                    ${renderChecks("Fix all of the following:", node.all)}
+                                    ${renderChecks("Fix all of the following (must not be present):", node.none)}
+                                </details>`;
+}
+
+function renderViolations(results, summary) {
+  if (summary.violations === 0) {
+    return `
+        <div class="impact-summary">
+            <h2 style="color: #10b981; text-align: center;">✅ No accessibility violations found!</h2>
+        </div>`;
+  }
+
+  return `
+        <div class="impact-summary">
+            <h2>Violations by Impact Level</h2>
+            <div class="impact-grid">
+                <div class="impact-item critical">
+                    Critical: ${summary.violationsByImpact.critical}
+                </div>
+                <div class="impact-item serious">
+                    Serious: ${summary.violationsByImpact.serious}
+                </div>
+                <div class="impact-item moderate">
+                    Moderate: ${summary.violationsByImpact.moderate}
+                </div>
+                <div class="impact-item minor">
+                    Minor: ${summary.violationsByImpact.minor}
+                </div>
+            </div>
+        </div>
+
+        <div class="violations-section">
+            <h2>Violation Details</h2>
+            ${results.violations.map(violation => `
+                <div class="violation">
+                    <div class="violation-header">
+                        <div class="violation-title">${escapeHtml(violation.help)}</div>
+                        <span class="violation-impact ${impactClass(violation.impact)}">${escapeHtml(violation.impact)}</span>
+                    </div>
+                    <div class="violation-description">
+                        ${escapeHtml(violation.description)}
+                    </div>
+                    <div class="violation-details">
+                        <strong>Rule ID:</strong> ${escapeHtml(violation.id)}<br>
+                        <strong>WCAG:</strong> ${escapeHtml(violation.tags.join(", "))}<br>${pluginOf(results, violation.id) ? `
+                        <strong>Custom Rule:</strong> ${escapeHtml(pluginOf(results, violation.id).name)} plugin<br>` : ""}
+                        <strong>Elements Affected:</strong> ${violation.nodes.length}
+                        ${violation.nodes.length > 0 ? `
+                            <div class="affected-elements">
+                                ${violation.nodes.map(renderNode).join("")}
+                            </div>
+                        ` : ""}
+                        <a href="${safeUrl(violation.helpUrl)}" target="_blank" class="help-link">
+                            Learn more about this issue →
+                        </a>
+                    </div>
+                </div>
+            `).join("")}
+        </div>`;
+}
+
+// Decisions are made in the browser and exported as a review file that merges
+// the decisions this report was built with and the new ones.
+const REVIEW_SCRIPT = `
+(() => {
+  const existing = JSON.parse(document.getElementById("review-existing").textContent);
+  const status = document.getElementById("review-status");
+  const decided = () => Array.from(document.querySelectorAll(".review-node"), node => {
+    const choice = node.querySelector("input:checked");
+    return choice && choice.value ? {
+      fingerprint: node.dataset.fingerprint,
+      page: node.dataset.page,
+      ruleId: node.dataset.rule,
+      target: node.dataset.target,
+      decision: choice.value,
+      decidedAt: new Date().toISOString()
+    } : null;
+  }).filter(Boolean);
+
+  document.addEventListener("change", () => {
+    status.textContent = decided().length + " decided";
+  });
+
+  document.getElementById("export-review").addEventListener("click", () => {
+    const decisions = new Map(existing.map(entry => [entry.page + "|" + entry.fingerprint, entry]));
+    decided().forEach(entry => decisions.set(entry.page + "|" + entry.fingerprint, entry));
+    const review = { version: 1, exportedAt: new Date().toISOString(), decisions: Array.from(decisions.values()) };
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(review, null, 2)], { type: "application/json" }));
+    link.download = "a11y-review.json";
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+})();
+`;
+
+function renderReviewChoice(name) {
+  return `
+                                <fieldset class="review-choice">
+                                    <legend>Decision</legend>
+                                    ${[["pass", "Pass"], ["fail", "Fail"], ["na", "N/A"], ["", "Undecided"]].map(([value, label]) => `
+                                    <label><input type="radio" name="${name}" value="${value}"${value ? "" : " checked"}> ${label}</label>`).join("")}
+                                </fieldset>`;
+}
+
+function renderReviewSection(results, meta) {
+  if (results.incomplete.length === 0) return "";
+
+  const total = results.incomplete.reduce((sum, rule) => sum + rule.nodes.length, 0);
+  // "<" is escaped so the embedded JSON cannot close its script element
+  const existing = JSON.stringify(meta.reviews?.decisions || []).replace(/</g, "\\u003c");
+  let index = 0;
+
+  return `
+        <div class="violations-section review-section">
+            <h2>Needs Review</h2>
+            <p class="violation-description">axe-core could not decide ${total} element(s) automatically. Mark each one, export the decisions and pass the file with <code>--reviews</code> on later runs to apply them to the same elements.</p>
+            ${results.incomplete.map(rule => `
+                <div class="violation review-rule">
+                    <div class="violation-header">
+                        <div class="violation-title">${escapeHtml(rule.help)}</div>
+                        <span class="violation-impact ${impactClass(rule.impact)}">${escapeHtml(rule.impact || "review")}</span>
+                    </div>
+                    <div class="violation-description">
+                        ${escapeHtml(rule.description)}
+                    </div>
+                    <div class="violation-details">
+                        <strong>Rule ID:</strong> ${escapeHtml(rule.id)}<br>
+                        <strong>Elements to Review:</strong> ${rule.nodes.length}
+                        <div class="affected-elements">
+                            ${rule.nodes.map(node => {
+                              const entry = reviewEntry(results.url, rule.id, node);
+                              return `
+                            <div class="review-node" data-fingerprint="${entry.fingerprint}" data-page="${escapeHtml(entry.page)}" data-rule="${escapeHtml(entry.ruleId)}" data-target="${escapeHtml(entry.target)}">
+                                ${renderNode(node)}
+                                ${renderReviewChoice(`review-${index++}`)}
+                            </div>`;
+                            }).join("")}
+                        </div>
+                        <a href="${safeUrl(rule.helpUrl)}" target="_blank" class="help-link">
+                            Learn more about this check →
+                        </a>
+                    </div>
+                </div>
+            `).join("")}
+            <div class="review-actions">
+                <button type="button" id="export-review">Export decisions</button>
+                <span id="review-status"></span>
+            </div>
+            <script type="application/json" id="review-existing">${existing}</script>
+            <script>${REVIEW_SCRIPT}</script>
+        </div>`;
+}
+
+function renderUnsupported(results) {
+  if (!results.unsupported?.length) return "";
+
+  return `
+        <div class="violations-section">
+            <h2>Not Checked (${results.unsupported.length})</h2>
+            <p class="violation-description">These rules cannot be evaluated by this driver; check them in a browser.</p>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Rule</th><th>Reason</th></tr>
+                </thead>
+                <tbody>
+                    ${results.unsupported.map(rule => `
+                    <tr>
+                        <td><a href="${safeUrl(rule.helpUrl)}" target="_blank">${escapeHtml(rule.id)}</a><br><small>${escapeHtml(rule.help)}</small></td>
+                        <td>${escapeHtml(rule.reason)}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>`;
+}
+
+function pluginOf(results, ruleId) {
+  return results.plugins?.find(plugin => plugin.rules.includes(ruleId));
+}
+
+const PLUGIN_OUTCOMES = [
+  ["violations", "Violations"],
+  ["incomplete", "Needs review"],
+  ["passes", "Passed"],
+  ["inapplicable", "Not applicable"]
+];
+
+// Rules from plugins (see plugins.mjs), with their own help text and docs
+function renderPlugins(results) {
+  if (!results.plugins?.length) return "";
+
+  const rows = results.plugins.flatMap(plugin => plugin.rules.map(id => {
+    const [group, label] = PLUGIN_OUTCOMES.find(([key]) => results[key].some(rule => rule.id === id)) || [null, "Not run"];
+    const rule = group && results[group].find(entry => entry.id === id);
+    return { plugin, id, rule, label };
+  }));
+
+  return `
+        <div class="violations-section">
+            <h2>Custom Rules (${rows.length})</h2>
+            <p class="violation-description">Organization rules loaded from ${results.plugins.map(plugin => escapeHtml(plugin.name)).join(", ")}</p>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Rule</th><th>Plugin</th><th>Tags</th><th>Result</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(({ plugin, id, rule, label }) => `
+                    <tr>
+                        <td>${rule?.helpUrl ? `<a href="${safeUrl(rule.helpUrl)}" target="_blank">${escapeHtml(id)}</a>` : escapeHtml(id)}${rule ? `<br><small>${escapeHtml(rule.help)}</small>` : ""}</td>
+                        <td>${escapeHtml(plugin.name)}</td>
+                        <td>${(rule?.tags || []).map(tag => plugin.tags?.[tag]
+                          ? `<abbr title="${escapeHtml(plugin.tags[tag])}">${escapeHtml(tag)}</abbr>`
+                          : escapeHtml(tag)).join(", ")}</td>
+                        <td${label === "Violations" ? ' class="violations"' : ""}>${label === "Violations" ? `${rule.nodes.length} element(s)` : label}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>`;
+}
+
+function renderTestInfo(results, meta) {
+  const rows = [
+    ["Test Engine", `axe-core ${results.testEngine?.version || "unknown"}`],
+    meta.framework && ["Test Framework", meta.framework],
+    meta.browser && ["Browser", meta.browser],
+    meta.viewport && ["Viewport", meta.viewport.name ? describeViewport(meta.viewport) : `${meta.viewport.width} x ${meta.viewport.height}`],
+    ["Rules Applied", meta.axeOptions?.runOnly?.values?.join(", ") || "All"],
+    results.plugins?.length && ["Plugins", results.plugins.map(plugin => plugin.name).join(", ")],
+    results.timings && ["Timing", formatTimings(results.timings)]
+  ].filter(Boolean);
+
+  return `
+        <div class="test-info">
+            <h3>Test Configuration</h3>
+            ${rows.map(([label, value]) => `
+            <div class="test-info-item">
+                <span class="test-info-label">${label}:</span>
+                <span>${escapeHtml(value)}</span>
+            </div>`).join("")}
+        </div>`;
+}
+
+export function renderHTMLReport(results, meta = {}) {
+  const summary = generateSummary(results, meta);
+  const hostname = hostnameOf(summary.url);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Accessibility Report - ${escapeHtml(hostname)}</title>
+    <style>
+${REPORT_STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>Accessibility Report</h1>
+            <div class="header-info">
+                <p>${escapeHtml(hostname)}</p>
+                <p>${escapeHtml(new Date(summary.timestamp).toLocaleString())}</p>
+                ${meta.browser ? `
+                <div class="browser-info">
+                    🖥️ Browser: ${escapeHtml(capitalize(meta.browser))}
+                </div>` : ""}
+            </div>
+        </header>
+
+        <div class="summary">
+            <div class="stat-card">
+                <div class="stat-number passes">${summary.passes}</div>
+                <div class="stat-label">Passed</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number violations">${summary.violations}</div>
+                <div class="stat-label">Violations</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number incomplete">${summary.incomplete}</div>
+                <div class="stat-label">Incomplete</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number inapplicable">${summary.inapplicable}</div>
+                <div class="stat-label">Not Applicable</div>
+            </div>
+        </div>
+${renderDiffSection(meta.diff)}
+${renderViolations(results, summary)}
+${renderReviewSection(results, meta)}
+${renderUnsupported(results)}
+${renderPlugins(results)}
+${renderTestInfo(results, meta)}
+        ${meta.screenshot ? `
+        <div class="screenshot-section">
+            <h2>Page Screenshot</h2>
+            <img src="${safeUrl(meta.screenshot)}" alt="Screenshot of tested page" class="screenshot-img">
+        </div>` : ""}
+        ${meta.annotatedScreenshot && results.violations.some(violation => violation.nodes.some(node => node.screenshot)) ? `
+        <div class="screenshot-section">
+            <h2>Violations Highlighted</h2>
+            <p class="violation-description">Numbered outlines match the element screenshots, coloured by impact</p>
+            <img src="${safeUrl(meta.annotatedScreenshot)}" alt="Page screenshot with violating elements outlined" class="screenshot-img">
+        </div>` : ""}
+
+        <footer>
+            <p>Generated with axe-core ${escapeHtml(results.testEngine?.version || "unknown")}${meta.framework ? ` and ${escapeHtml(meta.framework)}` : ""}</p>
+        </footer>
+    </div>
+</body>
+</html>`;
+}
+
+export async function writeHTMLReport(reportDir, results, meta = {}) {
+  const htmlPath = path.join(reportDir, "report.html");
+
+  await fs.writeFile(htmlPath, renderHTMLReport(results, meta));
+  console.log(`🌐 HTML report saved: ${htmlPath}`);
+  return htmlPath;
+}
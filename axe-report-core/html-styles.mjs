@@ -0,0 +1,300 @@
+export const REPORT_STYLES = `
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background: #f5f5f5;
+        }
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 30px 0;
+            margin-bottom: 30px;
+            border-radius: 10px;
+        }
+        h1 {
+            text-align: center;
+            font-size: 2.5em;
+            margin-bottom: 10px;
+        }
+        .header-info {
+            text-align: center;
+            opacity: 0.9;
+        }
+        .browser-info {
+            text-align: center;
+            margin-top: 10px;
+            font-size: 1.1em;
+        }
+        .summary {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 20px;
+            margin-bottom: 40px;
+        }
+        .stat-card {
+            background: white;
+            padding: 20px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            text-align: center;
+            transition: transform 0.3s;
+        }
+        .stat-card:hover {
+            transform: translateY(-5px);
+        }
+        .stat-number {
+            font-size: 2.5em;
+            font-weight: bold;
+            margin-bottom: 10px;
+        }
+        .stat-label {
+            color: #666;
+            font-size: 0.9em;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+        }
+        .passes { color: #10b981; }
+        .violations { color: #ef4444; }
+        .incomplete { color: #f59e0b; }
+        .inapplicable { color: #6b7280; }
+        .impact-summary {
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            margin-bottom: 40px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .impact-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+            gap: 15px;
+            margin-top: 20px;
+        }
+        .impact-item {
+            padding: 15px;
+            border-radius: 8px;
+            text-align: center;
+            font-weight: bold;
+        }
+        .critical { background: #fee2e2; color: #991b1b; }
+        .serious { background: #fed7aa; color: #c2410c; }
+        .moderate { background: #fef3c7; color: #d97706; }
+        .minor { background: #dbeafe; color: #1e40af; }
+        .violations-section {
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .violation {
+            border-left: 4px solid #ef4444;
+            padding: 20px;
+            margin: 20px 0;
+            background: #fef2f2;
+            border-radius: 0 8px 8px 0;
+        }
+        .violation-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 15px;
+        }
+        .violation-title {
+            font-size: 1.2em;
+            font-weight: bold;
+            color: #1f2937;
+        }
+        .violation-impact {
+            padding: 5px 12px;
+            border-radius: 20px;
+            font-size: 0.85em;
+            font-weight: bold;
+            text-transform: uppercase;
+        }
+        .violation-description {
+            color: #4b5563;
+            margin-bottom: 15px;
+            line-height: 1.6;
+        }
+        .violation-details {
+            margin-top: 15px;
+            padding-top: 15px;
+            border-top: 1px solid #e5e7eb;
+        }
+        .affected-elements {
+            background: white;
+            padding: 10px;
+            border-radius: 5px;
+            margin-top: 10px;
+            font-family: 'Courier New', monospace;
+            font-size: 0.9em;
+            overflow-x: auto;
+        }
+        .help-link {
+            display: inline-block;
+            margin-top: 10px;
+            color: #3b82f6;
+            text-decoration: none;
+            font-weight: 500;
+        }
+        .help-link:hover {
+            text-decoration: underline;
+        }
+        .screenshot-section {
+            margin-top: 40px;
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .screenshot-img {
+            width: 100%;
+            border-radius: 8px;
+            border: 1px solid #e5e7eb;
+        }
+        footer {
+            text-align: center;
+            margin-top: 40px;
+            padding: 20px;
+            color: #6b7280;
+        }
+        .test-info {
+            background: #f3f4f6;
+            padding: 15px;
+            border-radius: 8px;
+            margin-top: 20px;
+        }
+        .test-info-item {
+            display: flex;
+            justify-content: space-between;
+            margin: 5px 0;
+        }
+        .test-info-label {
+            font-weight: bold;
+            color: #4b5563;
+        }
+        .report-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 20px;
+        }
+        .report-table th {
+            background: #f3f4f6;
+            color: #1f2937;
+            padding: 10px;
+            text-align: left;
+        }
+        .report-table td {
+            padding: 10px;
+            border-bottom: 1px solid #e5e7eb;
+            word-break: break-word;
+        }
+        .node-details {
+            border-bottom: 1px solid #e5e7eb;
+            padding: 6px 0;
+        }
+        .node-details:last-child {
+            border-bottom: none;
+        }
+        .node-details summary {
+            cursor: pointer;
+        }
+        .node-html,
+        .node-summary {
+            background: #f9fafb;
+            padding: 10px;
+            border-radius: 5px;
+            white-space: pre-wrap;
+            word-break: break-word;
+            margin: 8px 0;
+        }
+        .node-checks {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            margin: 8px 0;
+        }
+        .node-checks ul {
+            margin: 5px 0 0 20px;
+        }
+        .related-nodes {
+            color: #6b7280;
+            font-size: 0.9em;
+        }
+        .node-location {
+            color: #6b7280;
+            font-size: 0.9em;
+            margin-top: 6px;
+        }
+        .review-rule {
+            border-left-color: #f59e0b;
+            background: #fffbeb;
+        }
+        .review-node {
+            border-bottom: 1px solid #e5e7eb;
+            padding-bottom: 8px;
+        }
+        .review-node .node-details {
+            border-bottom: none;
+        }
+        .review-choice {
+            border: none;
+            padding: 0;
+            margin: 0;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+        }
+        .review-choice legend {
+            float: left;
+            margin-right: 10px;
+            font-weight: bold;
+        }
+        .review-choice label {
+            margin-right: 12px;
+        }
+        .review-actions {
+            margin-top: 20px;
+        }
+        .review-actions button {
+            background: #667eea;
+            color: white;
+            border: none;
+            padding: 10px 20px;
+            border-radius: 6px;
+            font-size: 1em;
+            cursor: pointer;
+        }
+        .review-badge {
+            margin-left: 8px;
+            padding: 2px 8px;
+            border-radius: 20px;
+            font-size: 0.8em;
+            font-weight: bold;
+            text-transform: uppercase;
+        }
+        .review-pass { background: #d1fae5; color: #065f46; }
+        .review-fail { background: #fee2e2; color: #991b1b; }
+        .review-na { background: #f3f4f6; color: #4b5563; }
+        .element-shot {
+            margin-left: 8px;
+            color: #667eea;
+            white-space: nowrap;
+        }
+        .diff-section {
+            margin-bottom: 40px;
+        }
+        .diff-new { background: #fee2e2; color: #991b1b; }
+        .diff-fixed { background: #d1fae5; color: #065f46; }
+        .diff-unchanged { background: #f3f4f6; color: #4b5563; }
+        .diff-status {
+            padding: 3px 10px;
+            border-radius: 20px;
+            font-size: 0.85em;
+            font-weight: bold;
+            text-transform: uppercase;
+        }
+`;
@@ -0,0 +1,130 @@
+export { IMPACT_LEVELS, generateSummary } from "./summary.mjs";
+export { buildJSONReport, writeJSONReport } from "./json-report.mjs";
+export { escapeHtml, safeUrl, impactClass } from "./html-escape.mjs";
+export { hostnameOf, renderDiffSection, renderNode, renderHTMLReport, writeHTMLReport } from "./html-report.mjs";
+export { printConsoleSummary, printDiffSummary, printTimings, printViolationDetails } from "./console-summary.mjs";
+export { TIMING_PHASES, createTimer, sumTimings, formatDuration, formatTimings } from "./timing.mjs";
+export {
+  FAILURE_CATEGORIES,
+  AuditError,
+  classifyError,
+  toAuditError,
+  describeFailure,
+  formatFailure,
+  isRetryable,
+  withRetries,
+  navigateWithRetries,
+  collectErrors,
+  countFailures,
+  formatFailureCounts,
+  renderErrorsSection
+} from "./failures.mjs";
+export { createTimestamp, createReportDir, writeReports } from "./reports.mjs";
+export { runPool } from "./pool.mjs";
+export { toUrl, scopeOf, loadSitemap, loadUrlList, pageDirName, collectSeeds, crawlSite } from "./crawl.mjs";
+export { generateSiteSummary, writeSiteReport, printSiteSummary, auditSite } from "./site-report.mjs";
+export { injectFrames } from "./frames.mjs";
+export { startStaticServer, findHtmlPages, loadRoutes, withStaticSite } from "./static-site.mjs";
+export {
+  STORY_ROOTS,
+  parseStoryIndex,
+  loadStoryIndex,
+  storyUrl,
+  storyDirName,
+  storySettings,
+  withStorybook,
+  isStoryRendered,
+  readStoryState
+} from "./storybook.mjs";
+export { groupByComponent, generateStorybookSummary, writeStorybookReport, printStorybookSummary } from "./storybook-report.mjs";
+export { EXIT_CODES, parseFailOn, loadBudget, validateBudget, evaluateGate, worstExitCode, printGateResult, applyGate } from "./gate.mjs";
+export {
+  normalizeHtml,
+  fingerprintNode,
+  createBaseline,
+  saveBaseline,
+  loadBaseline,
+  diffAgainstBaseline,
+  summarizeDiff,
+  filterDiff
+} from "./baseline.mjs";
+export { escapeXml, renderJUnitSuite, renderJUnitReport, writeJUnitReport } from "./junit.mjs";
+export { IMPACT_TO_LEVEL, buildSarifLog, writeSarifReport, loadReportEntries } from "./sarif.mjs";
+export {
+  CREDENTIAL_ENV,
+  parseHeaderOption,
+  loadCookies,
+  loadStorageState,
+  loadLoginModule,
+  credentialsFromEnv,
+  resolveAuth,
+  shareLogin,
+  redactUrl,
+  redactUrls
+} from "./auth.mjs";
+export { FLOW_ACTIONS, validateFlow, loadFlow, checkpointDirName, executeFlow } from "./flow.mjs";
+export { generateFlowSummary, writeFlowReport, printFlowSummary } from "./flow-report.mjs";
+export { IMPACT_COLORS, measureTargets, drawHighlights, clearHighlights, captureElementScreenshots } from "./element-screenshots.mjs";
+export {
+  REVIEW_DECISIONS,
+  loadReviewDecisions,
+  resolveReviewDecisions,
+  reviewKey,
+  reviewEntry,
+  applyReviewDecisions
+} from "./review.mjs";
+export {
+  CONFIG_FILES,
+  WAIT_UNTIL,
+  BROWSERS,
+  CONFIG_SCHEMA,
+  validateAgainstSchema,
+  validateConfig,
+  findConfigFile,
+  loadConfig,
+  buildAxeOptions,
+  buildAxeContext,
+  configToOptions,
+  mergeOptions,
+  matchesUrl,
+  settingsForUrl
+} from "./config.mjs";
+export {
+  VIEWPORT_PRESETS,
+  parseViewportSpec,
+  parseViewports,
+  resolveViewports,
+  describeViewport,
+  viewportDirName,
+  auditViewports
+} from "./viewports.mjs";
+export { compareViewports, generateViewportSummary, writeViewportReport, printViewportSummary } from "./viewport-report.mjs";
+export { compareAudits } from "./comparison.mjs";
+export { compareBrowsers, generateBrowserSummary, writeBrowserReport, printBrowserSummary } from "./browser-report.mjs";
+export {
+  FRAME_SEPARATOR,
+  SHADOW_SEPARATOR,
+  parseContextSelector,
+  formatContextSelector,
+  formatTarget,
+  nodeLocation,
+  annotateNodeLocations
+} from "./context.mjs";
+export { validatePlugin, loadPlugins, pluginScript, withPluginTags, recordPlugins } from "./plugins.mjs";
+export { UsageError, parseCommandLine, renderOptions, renderHelp } from "./args.mjs";
+export {
+  HELP_OPTION,
+  CONFIG_OPTION,
+  PAGE_OPTIONS,
+  VIEWPORT_OPTIONS,
+  CONCURRENCY_OPTION,
+  PLUGINS_OPTION,
+  CRAWL_OPTIONS,
+  STATIC_OPTIONS,
+  SCREENSHOT_OPTIONS,
+  GATE_OPTIONS,
+  OUTPUT_OPTIONS,
+  AUTH_OPTIONS,
+  parseViewport,
+  resolveRunOptions
+} from "./cli-options.mjs";
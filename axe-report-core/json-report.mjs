@@ -0,0 +1,26 @@
+import fs from "fs/promises";
+import path from "path";
+import { generateSummary } from "./summary.mjs";
+import { summarizeDiff } from "./baseline.mjs";
+
+export function buildJSONReport(results, meta = {}) {
+  const summary = generateSummary(results, meta);
+  if (!meta.diff) {
+    return { summary, results };
+  }
+
+  return {
+    summary: { ...summary, diff: summarizeDiff(meta.diff) },
+    results: results,
+    diff: meta.diff
+  };
+}
+
+export async function writeJSONReport(reportDir, results, meta = {}) {
+  const jsonPath = path.join(reportDir, "report.json");
+  const report = buildJSONReport(results, meta);
+
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  console.log(`\n📄 JSON report saved: ${jsonPath}`);
+  return report;
+}
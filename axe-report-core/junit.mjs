@@ -0,0 +1,121 @@
+import fs from "fs/promises";
+import path from "path";
+import { formatTarget, nodeLocation } from "./context.mjs";
+
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // XML 1.0 does not allow these control characters, even escaped
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+function suiteName({ url, browser }) {
+  return browser ? `${url} [${browser}]` : url;
+}
+
+function renderNodeDetails(node) {
+  const location = nodeLocation(node.target);
+  return [
+    `Target: ${formatTarget(node.target)}`,
+    location?.frame && `Frame: ${location.frame}`,
+    location?.shadowHost && `Shadow host: ${location.shadowHost}`,
+    node.failureSummary,
+    node.html && `HTML: ${node.html}`
+  ].filter(Boolean).join("\n");
+}
+
+function renderTestCase(rule, classname, outcome) {
+  const name = escapeXml(`${rule.id}: ${rule.help}`);
+  const open = `    <testcase classname="${escapeXml(classname)}" name="${name}" time="0">`;
+
+  if (outcome === "failure") {
+    const message = `${rule.help} (${rule.nodes.length} element(s), ${rule.impact} impact)`;
+    const details = [
+      rule.helpUrl,
+      ...rule.nodes.map(renderNodeDetails)
+    ].join("\n\n");
+    return `${open}
+      <failure message="${escapeXml(message)}" type="${escapeXml(rule.impact)}">${escapeXml(details)}</failure>
+    </testcase>`;
+  }
+
+  if (outcome === "skipped") {
+    return `${open}
+      <skipped message="${escapeXml(`Needs review: ${rule.nodes.length} element(s) could not be checked automatically`)}"/>
+    </testcase>`;
+  }
+
+  return open.replace(/>$/, "/>");
+}
+
+// Incomplete rules left without nodes, e.g. after every node was reviewed,
+// have nothing to review
+function needsReview(results) {
+  return results.incomplete.filter(rule => rule.nodes.length > 0);
+}
+
+// Each suite is one page/browser pair: { url, browser, results } for an
+// audited page, or { url, browser, error, failure } for a page that failed to load.
+export function renderJUnitSuite(suite) {
+  const name = suiteName(suite);
+  const timestamp = (suite.results?.timestamp || new Date().toISOString()).replace(/Z$/, "");
+
+  if (suite.error) {
+    return `  <testsuite name="${escapeXml(name)}" tests="1" failures="0" errors="1" skipped="0" time="0" timestamp="${timestamp}">
+    <testcase classname="${escapeXml(name)}" name="page audit" time="0">
+      <error message="${escapeXml(suite.error)}"${suite.failure ? ` type="${escapeXml(suite.failure.category)}"` : ""}/>
+    </testcase>
+  </testsuite>`;
+  }
+
+  const { results } = suite;
+  const incomplete = needsReview(results);
+  const cases = [
+    ...results.violations.map(rule => renderTestCase(rule, name, "failure")),
+    ...incomplete.map(rule => renderTestCase(rule, name, "skipped")),
+    ...results.passes.map(rule => renderTestCase(rule, name, "passed"))
+  ];
+  const properties = [
+    ["url", results.url],
+    ["browser", suite.browser],
+    ["axe-core", results.testEngine?.version]
+  ].filter(([, value]) => value);
+
+  return `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${results.violations.length}" errors="0" skipped="${incomplete.length}" time="0" timestamp="${timestamp}">
+    <properties>
+${properties.map(([key, value]) => `      <property name="${key}" value="${escapeXml(value)}"/>`).join("\n")}
+    </properties>
+${cases.join("\n")}
+  </testsuite>`;
+}
+
+export function renderJUnitReport(suites) {
+  const total = key => suites.reduce((sum, suite) => {
+    if (suite.error) return sum + (key === "errors" || key === "tests" ? 1 : 0);
+    const { violations, passes } = suite.results;
+    const incomplete = needsReview(suite.results);
+    return sum + {
+      tests: violations.length + incomplete.length + passes.length,
+      failures: violations.length,
+      errors: 0,
+      skipped: incomplete.length
+    }[key];
+  }, 0);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Accessibility" tests="${total("tests")}" failures="${total("failures")}" errors="${total("errors")}" skipped="${total("skipped")}" time="0">
+${suites.map(renderJUnitSuite).join("\n")}
+</testsuites>
+`;
+}
+
+export async function writeJUnitReport(file, suites) {
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await fs.writeFile(file, renderJUnitReport(suites));
+  console.log(`🧪 JUnit report saved: ${file}`);
+  return file;
+}
@@ -0,0 +1,176 @@
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+
+// A plugin is a module whose default export (or named exports) holds the
+// custom checks and rules of an organization, in the format axe.configure()
+// takes, plus a description per tag:
+//
+//   export default {
+//     name: "acme",
+//     tags: { acme: "ACME accessibility conventions" },
+//     checks: [{ id: "has-testid", evaluate(node) { return node.hasAttribute("data-testid"); } }],
+//     rules: [{ id: "acme-testid", selector: "button", tags: ["acme"], any: ["has-testid"],
+//               metadata: { description: "...", help: "...", helpUrl: "https://..." } }]
+//   };
+//
+// Check functions are sent to the page as source code, so they cannot use
+// anything from the module's scope.
+
+const PLUGIN_EXTENSIONS = [".mjs", ".js", ".cjs"];
+
+async function pluginFiles(source) {
+  const stats = await fs.stat(source).catch(error => {
+    throw new Error(`Could not read plugins from ${source}: ${error.message}`);
+  });
+  if (!stats.isDirectory()) return [source];
+
+  const entries = await fs.readdir(source, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile() && PLUGIN_EXTENSIONS.includes(path.extname(entry.name)) && !/^[._]/.test(entry.name))
+    .map(entry => path.join(source, entry.name))
+    .sort();
+}
+
+export function validatePlugin(plugin, file) {
+  const errors = [];
+
+  if (plugin.rules !== undefined && !Array.isArray(plugin.rules)) errors.push("\"rules\" must be an array");
+  if (plugin.checks !== undefined && !Array.isArray(plugin.checks)) errors.push("\"checks\" must be an array");
+  if (!plugin.rules?.length && !plugin.checks?.length) errors.push("exports no rules or checks");
+
+  (Array.isArray(plugin.checks) ? plugin.checks : []).forEach((check, index) => {
+    if (!check.id) errors.push(`checks[${index}] has no "id"`);
+    for (const key of ["evaluate", "after"]) {
+      if (check[key] !== undefined && typeof check[key] !== "function") {
+        errors.push(`checks[${index}].${key} must be a function`);
+      }
+    }
+  });
+
+  (Array.isArray(plugin.rules) ? plugin.rules : []).forEach((rule, index) => {
+    const at = `rules[${index}]${rule.id ? ` (${rule.id})` : ""}`;
+    if (!rule.id) errors.push(`rules[${index}] has no "id"`);
+    // The reports show a plugin rule's own help text and docs link
+    if (!rule.metadata?.help) errors.push(`${at} has no metadata.help`);
+    if (!rule.metadata?.description) errors.push(`${at} has no metadata.description`);
+    if (!/^https?:\/\//i.test(rule.metadata?.helpUrl || "")) {
+      errors.push(`${at} needs a metadata.helpUrl starting with http:// or https://`);
+    }
+    for (const type of ["any", "all", "none"]) {
+      for (const check of rule[type] || []) {
+        const id = typeof check === "string" ? check : check?.id;
+        if (!id) errors.push(`${at}.${type} lists a check without an id`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid plugin ${file}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return plugin;
+}
+
+// Loads every plugin module in the given directories and files, in file
+// name order. Rule and check ids must be unique across plugins.
+export async function loadPlugins(sources) {
+  const files = [];
+  for (const source of [].concat(sources || [])) {
+    files.push(...await pluginFiles(path.resolve(source)));
+  }
+
+  const plugins = [];
+  const ids = new Map();
+  for (const file of files) {
+    const module = await import(pathToFileURL(file).href);
+    const exported = module.default ?? module;
+    const plugin = validatePlugin({
+      name: exported.name || path.basename(file, path.extname(file)),
+      file,
+      tags: exported.tags || {},
+      checks: exported.checks || [],
+      rules: exported.rules || []
+    }, file);
+
+    for (const [kind, list] of [["rule", plugin.rules], ["check", plugin.checks]]) {
+      for (const { id } of list) {
+        const key = `${kind}:${id}`;
+        if (ids.has(key)) {
+          throw new Error(`Invalid plugin ${file}: ${kind} "${id}" is already defined by ${ids.get(key)}`);
+        }
+        ids.set(key, plugin.name);
+      }
+    }
+    plugins.push(plugin);
+  }
+
+  if (plugins.length > 0) {
+    const rules = plugins.reduce((sum, plugin) => sum + plugin.rules.length, 0);
+    console.log(`🧩 Loaded ${plugins.length} plugin(s) with ${rules} custom rule(s): ${plugins.map(plugin => plugin.name).join(", ")}`);
+  }
+  return plugins;
+}
+
+// Method shorthand such as "evaluate(node) {...}" or "async evaluate(node)
+// {...}" is not an expression on its own
+function functionSource(fn) {
+  const source = fn.toString();
+  if (/^(async\s+)?function\b|^(async\s*)?(\([^)]*\)|[\w$]+)\s*=>/.test(source)) return source;
+  const prefix = source.match(/^async\s+/)?.[0] || "";
+  return `${prefix}function ${source.slice(prefix.length)}`;
+}
+
+function serialize(value) {
+  if (typeof value === "function") return functionSource(value);
+  if (Array.isArray(value)) return `[${value.map(serialize).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.entries(value)
+      .filter(([, child]) => child !== undefined)
+      .map(([key, child]) => `${JSON.stringify(key)}:${serialize(child)}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Every plugin rule is tagged with its plugin's name, so tag-based runOnly
+// options can take the plugin's rules in (see withPluginTags)
+function pluginRule(plugin, rule) {
+  const tags = rule.tags || [];
+  return { ...rule, tags: tags.includes(plugin.name) ? tags : [...tags, plugin.name] };
+}
+
+// The script that registers the plugins' checks and rules; it runs after
+// axe-core in every frame axe-core is injected into. Empty without plugins.
+export function pluginScript(plugins = []) {
+  if (plugins.length === 0) return "";
+
+  const spec = {
+    checks: plugins.flatMap(plugin => plugin.checks),
+    rules: plugins.flatMap(plugin => plugin.rules.map(rule => pluginRule(plugin, rule)))
+  };
+  return `window.axe.configure(${serialize(spec)});`;
+}
+
+// Tag-based runOnly options only run the rules with those tags; the plugins'
+// rules are added by their plugin name. Any other runOnly is left as given.
+export function withPluginTags(axeOptions = {}, plugins = []) {
+  if (plugins.length === 0 || !axeOptions.runOnly) return axeOptions;
+
+  const { runOnly } = axeOptions;
+  if (runOnly.type !== "tag" && runOnly.type !== "tags") return axeOptions;
+
+  const names = plugins.map(plugin => plugin.name);
+  return { ...axeOptions, runOnly: { ...runOnly, values: [...new Set([...[].concat(runOnly.values), ...names])] } };
+}
+
+// Stored as results.plugins so the reports can show which rules are custom
+export function recordPlugins(results, plugins = []) {
+  if (plugins.length > 0) {
+    results.plugins = plugins.map(plugin => ({
+      name: plugin.name,
+      tags: plugin.tags,
+      rules: plugin.rules.map(rule => rule.id)
+    }));
+  }
+  return results;
+}
@@ -0,0 +1,27 @@
+// Runs worker(item, index) for every item with at most `concurrency` jobs in
+// flight. Results keep the order of items whatever order the jobs finish in,
+// so reports and page numbering do not depend on timing. Workers are expected
+// to record their own failures; if one throws anyway, no new jobs start and
+// the error is rethrown once the running ones have settled.
+export async function runPool(items, worker, { concurrency = 1 } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const lane = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure ??= { error };
+      }
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+
+  if (failure) throw failure.error;
+  return results;
+}
@@ -0,0 +1,56 @@
+import fs from "fs/promises";
+import path from "path";
+import { writeJSONReport } from "./json-report.mjs";
+import { writeHTMLReport } from "./html-report.mjs";
+import { loadBaseline, saveBaseline, diffAgainstBaseline } from "./baseline.mjs";
+import { writeJUnitReport } from "./junit.mjs";
+import { writeSarifReport } from "./sarif.mjs";
+import { resolveReviewDecisions, applyReviewDecisions } from "./review.mjs";
+import { annotateNodeLocations } from "./context.mjs";
+
+export function createTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+export async function createReportDir(outputDir, name = createTimestamp()) {
+  const reportDir = path.join(outputDir, name);
+  await fs.mkdir(reportDir, { recursive: true });
+  console.log(`\n📁 Report directory created: ${reportDir}`);
+  return reportDir;
+}
+
+// meta.baseline, meta.saveBaseline, meta.junit and meta.sarif are file paths; a precomputed
+// meta.diff (as passed by the site report for each page) takes precedence. Review
+// decisions from meta.reviews are applied to the incomplete results first,
+// and nodes inside iframes and shadow roots get their location.
+export async function writeReports(reportDir, results, meta = {}) {
+  annotateNodeLocations(results);
+  const review = await resolveReviewDecisions(meta.reviews);
+  const reviewed = applyReviewDecisions(results, review);
+  if (reviewed > 0) {
+    console.log(`📝 Applied ${reviewed} review decision(s) to incomplete results`);
+  }
+
+  const pages = [{ url: results.url, results }];
+  const diff = meta.diff || (meta.baseline
+    ? diffAgainstBaseline(await loadBaseline(meta.baseline), pages)
+    : null);
+  const reportMeta = { ...meta, reviews: review, diff };
+
+  const report = await writeJSONReport(reportDir, results, reportMeta);
+  await writeHTMLReport(reportDir, results, reportMeta);
+
+  if (meta.saveBaseline) {
+    await saveBaseline(meta.saveBaseline, pages);
+  }
+
+  if (meta.junit) {
+    await writeJUnitReport(meta.junit, [{ url: results.url, browser: meta.browser, results }]);
+  }
+
+  if (meta.sarif) {
+    await writeSarifReport(meta.sarif, [{ url: results.url, browser: meta.browser, results }]);
+  }
+
+  return report;
+}
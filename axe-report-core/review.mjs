@@ -0,0 +1,110 @@
+import fs from "fs/promises";
+import { fingerprintNode, pageKey, targetOf } from "./baseline.mjs";
+import { IMPACT_LEVELS } from "./summary.mjs";
+
+const REVIEW_VERSION = 1;
+
+// A reviewer's decision moves an incomplete node to the matching result list.
+export const REVIEW_DECISIONS = {
+  pass: "passes",
+  fail: "violations",
+  na: "inapplicable"
+};
+
+// axe-core often leaves the impact of an incomplete result open; a failure
+// confirmed in review still has to count towards --fail-on and budgets
+const REVIEWED_FAILURE_IMPACT = "moderate";
+
+function worstImpact(a, b) {
+  if (!IMPACT_LEVELS.includes(a)) return b;
+  if (!IMPACT_LEVELS.includes(b)) return a;
+  return IMPACT_LEVELS.indexOf(a) <= IMPACT_LEVELS.indexOf(b) ? a : b;
+}
+
+export async function loadReviewDecisions(file) {
+  let review;
+  try {
+    review = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read review file ${file}: ${error.message}`);
+  }
+
+  if (review.version !== REVIEW_VERSION || !Array.isArray(review.decisions)) {
+    throw new Error(`${file} is not a review file (expected version ${REVIEW_VERSION} with a decisions array)`);
+  }
+
+  const unknown = review.decisions.filter(entry => !REVIEW_DECISIONS[entry.decision]);
+  if (unknown.length > 0) {
+    throw new Error(`${file} has unknown decision(s) ${[...new Set(unknown.map(entry => JSON.stringify(entry.decision)))].join(", ")} (expected ${Object.keys(REVIEW_DECISIONS).join(", ")})`);
+  }
+
+  return review;
+}
+
+export function reviewKey(page, fingerprint) {
+  return `${page}|${fingerprint}`;
+}
+
+// Describes each incomplete node the way the HTML report and the exported
+// review file identify it.
+export function reviewEntry(url, ruleId, node) {
+  return {
+    fingerprint: fingerprintNode(ruleId, node),
+    page: pageKey(url),
+    ruleId,
+    target: targetOf(node)
+  };
+}
+
+// Moves reviewed incomplete nodes into passes, violations or inapplicable,
+// tagging each with node.review. Returns how many nodes were decided.
+export function applyReviewDecisions(results, review, url = results.url) {
+  if (!review) return 0;
+
+  const decisions = new Map(review.decisions.map(entry => [reviewKey(entry.page, entry.fingerprint), entry]));
+  let applied = 0;
+  const incomplete = [];
+
+  for (const rule of results.incomplete) {
+    const remaining = [];
+
+    for (const node of rule.nodes) {
+      const { fingerprint, page } = reviewEntry(url, rule.id, node);
+      const decision = decisions.get(reviewKey(page, fingerprint));
+      if (!decision) {
+        remaining.push(node);
+        continue;
+      }
+
+      const list = results[REVIEW_DECISIONS[decision.decision]];
+      let target = list.find(entry => entry.id === rule.id);
+      if (!target) {
+        target = { ...rule, nodes: [] };
+        list.push(target);
+      }
+      const reviewed = {
+        ...node,
+        review: { decision: decision.decision, note: decision.note, decidedAt: decision.decidedAt }
+      };
+      if (decision.decision === "fail") {
+        reviewed.impact = worstImpact(node.impact, rule.impact) || REVIEWED_FAILURE_IMPACT;
+        target.impact = worstImpact(target.impact, reviewed.impact);
+      }
+      target.nodes.push(reviewed);
+      applied++;
+    }
+
+    if (remaining.length > 0) {
+      incomplete.push({ ...rule, nodes: remaining });
+    }
+  }
+
+  results.incomplete = incomplete;
+  return applied;
+}
+
+// meta.reviews may be a review file path or an already loaded review.
+export async function resolveReviewDecisions(reviews) {
+  if (!reviews) return null;
+  return typeof reviews === "string" ? loadReviewDecisions(reviews) : reviews;
+}
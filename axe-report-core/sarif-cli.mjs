@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+import { loadReportEntries, writeSarifReport } from "./sarif.mjs";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    inputs: [],
+    output: "report.sarif",
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--output":
+      case "-o":
+        options.output = args[++i];
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        options.inputs.push(args[i]);
+    }
+  }
+
+  if (options.help || options.inputs.length === 0) {
+    console.log(`
+SARIF Converter for axe-core Reports
+====================================
+
+Usage: node sarif-cli.mjs <report.json...> [options]
+
+Converts report.json files written by any runner (single page or crawl
+site reports) into one SARIF 2.1.0 log, without re-running the audit.
+
+Options:
+  --output, -o <file>     SARIF file to write (default: report.sarif)
+  --help, -h              Show this help message
+
+Examples:
+  node sarif-cli.mjs accessibility-reports/2024-01-15T10-30-00-000Z/report.json
+  node sarif-cli.mjs reports/*/report.json -o a11y.sarif
+    `);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  return options;
+}
+
+(async () => {
+  const options = parseArgs();
+  const entries = [];
+  for (const input of options.inputs) {
+    entries.push(...await loadReportEntries(input));
+  }
+  await writeSarifReport(options.output, entries);
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+import fs from "fs/promises";
+import path from "path";
+import { fingerprintNode, targetOf } from "./baseline.mjs";
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+
+export const IMPACT_TO_LEVEL = {
+  critical: "error",
+  serious: "error",
+  moderate: "warning",
+  minor: "note"
+};
+
+function buildRule(violation) {
+  return {
+    id: violation.id,
+    name: violation.id,
+    shortDescription: { text: violation.help },
+    fullDescription: { text: violation.description },
+    helpUri: violation.helpUrl,
+    help: {
+      text: `${violation.help}. More information: ${violation.helpUrl}`,
+      markdown: `${violation.help}. [More information](${violation.helpUrl})`
+    },
+    defaultConfiguration: { level: IMPACT_TO_LEVEL[violation.impact] || "warning" },
+    properties: {
+      tags: violation.tags,
+      impact: violation.impact
+    }
+  };
+}
+
+function buildResult(violation, node, ruleIndex, pageUrl) {
+  const impact = node.impact || violation.impact;
+
+  return {
+    ruleId: violation.id,
+    ruleIndex,
+    level: IMPACT_TO_LEVEL[impact] || "warning",
+    message: { text: node.failureSummary || violation.help },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: pageUrl },
+        region: { snippet: { text: node.html || "" } }
+      },
+      logicalLocations: [{
+        fullyQualifiedName: targetOf(node),
+        kind: "element"
+      }]
+    }],
+    partialFingerprints: {
+      "axeNode/v1": fingerprintNode(violation.id, node)
+    },
+    properties: { impact }
+  };
+}
+
+// One SARIF run per browser; each entry is { url, browser, results }.
+export function buildSarifLog(entries) {
+  const byBrowser = new Map();
+  for (const entry of entries.filter(entry => entry.results)) {
+    const key = entry.browser || "";
+    if (!byBrowser.has(key)) byBrowser.set(key, []);
+    byBrowser.get(key).push(entry);
+  }
+
+  const runs = [...byBrowser].map(([browser, pages]) => {
+    const rules = [];
+    const ruleIndexes = new Map();
+    const results = [];
+
+    for (const { url, results: axeResults } of pages) {
+      for (const violation of axeResults.violations) {
+        if (!ruleIndexes.has(violation.id)) {
+          ruleIndexes.set(violation.id, rules.length);
+          rules.push(buildRule(violation));
+        }
+        for (const node of violation.nodes) {
+          results.push(buildResult(violation, node, ruleIndexes.get(violation.id), url || axeResults.url));
+        }
+      }
+    }
+
+    return {
+      tool: {
+        driver: {
+          name: "axe-core",
+          version: pages[0].results.testEngine?.version,
+          informationUri: "https://github.com/dequelabs/axe-core",
+          rules
+        }
+      },
+      automationDetails: { id: `accessibility/${browser || "default"}/` },
+      artifacts: [...new Set(pages.map(({ url, results: axeResults }) => url || axeResults.url))]
+        .map(uri => ({ location: { uri } })),
+      results,
+      ...(browser ? { properties: { browser } } : {})
+    };
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs
+  };
+}
+
+export async function writeSarifReport(file, entries) {
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(buildSarifLog(entries), null, 2));
+  console.log(`🛡️  SARIF report saved: ${file}`);
+  return file;
+}
+
+// Reads a report.json written by any runner: a single-page report holds
+// the raw results, the combined reports link to one report per page,
+// checkpoint, viewport, browser or story.
+export async function loadReportEntries(file) {
+  const report = JSON.parse(await fs.readFile(file, "utf8"));
+
+  if (report.results) {
+    return [{ url: report.results.url, browser: report.summary?.browser, results: report.results }];
+  }
+
+  // Site reports list pages, flow reports checkpoints, responsive reports
+  // viewports, cross-browser reports browsers and Storybook reports stories
+  const linked = report.pages || report.checkpoints || report.viewports || report.browsers || report.stories;
+  if (Array.isArray(linked)) {
+    const entries = [];
+    for (const page of linked.filter(page => page.reportPath)) {
+      const pageReport = path.join(path.dirname(file), page.reportPath.replace(/report\.html$/, "report.json"));
+      entries.push(...await loadReportEntries(pageReport));
+    }
+    return entries;
+  }
+
+  throw new Error(`${file} is not a report.json written by these runners`);
+}
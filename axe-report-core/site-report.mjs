@@ -0,0 +1,309 @@
+import fs from "fs/promises";
+import path from "path";
+import { IMPACT_LEVELS } from "./summary.mjs";
+import { writeReports } from "./reports.mjs";
+import { REPORT_STYLES } from "./html-styles.mjs";
+import { printDiffSummary, printTimings } from "./console-summary.mjs";
+import { renderDiffSection } from "./html-report.mjs";
+import { escapeHtml, safeUrl, impactClass } from "./html-escape.mjs";
+import { loadBaseline, saveBaseline, diffAgainstBaseline, filterDiff, summarizeDiff } from "./baseline.mjs";
+import { writeJUnitReport } from "./junit.mjs";
+import { writeSarifReport } from "./sarif.mjs";
+import { resolveReviewDecisions, applyReviewDecisions } from "./review.mjs";
+import { crawlSite } from "./crawl.mjs";
+import { withStaticSite } from "./static-site.mjs";
+import { sumTimings } from "./timing.mjs";
+import { collectErrors, countFailures, formatFailureCounts, renderErrorsSection } from "./failures.mjs";
+import { redactUrl, redactUrls } from "./auth.mjs";
+
+export function generateSiteSummary(pages) {
+  const audited = pages.filter(page => page.summary);
+  const rules = new Map();
+
+  for (const page of audited) {
+    for (const violation of page.results.violations) {
+      const rule = rules.get(violation.id) || {
+        id: violation.id,
+        impact: violation.impact,
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        pages: 0,
+        nodes: 0
+      };
+      rule.pages++;
+      rule.nodes += violation.nodes.length;
+      rules.set(violation.id, rule);
+    }
+  }
+
+  const total = key => audited.reduce((sum, page) => sum + page.summary[key], 0);
+  const violationsByImpact = Object.fromEntries(IMPACT_LEVELS.map(impact => [
+    impact,
+    audited.reduce((sum, page) => sum + page.summary.violationsByImpact[impact], 0)
+  ]));
+  const timings = sumTimings(audited.map(page => page.summary.timings));
+  const failures = countFailures(pages);
+
+  return {
+    url: pages[0]?.url,
+    timestamp: new Date().toISOString(),
+    pagesAudited: audited.length,
+    pagesFailed: pages.length - audited.length,
+    totalElements: total("totalElements"),
+    passes: total("passes"),
+    violations: total("violations"),
+    incomplete: total("incomplete"),
+    inapplicable: total("inapplicable"),
+    violationsByImpact,
+    violationsByRule: Object.fromEntries([...rules.values()].map(rule => [rule.id, rule.nodes])),
+    rules: [...rules.values()].sort((a, b) => b.pages - a.pages || b.nodes - a.nodes),
+    ...(timings ? { timings } : {}),
+    ...(Object.keys(failures).length > 0 ? { failuresByCategory: failures } : {})
+  };
+}
+
+function renderSiteHTML(summary, pages, diff, errors) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Site Accessibility Report - ${escapeHtml(summary.url)}</title>
+    <style>
+${REPORT_STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>Site Accessibility Report</h1>
+            <div class="header-info">
+                <p>${escapeHtml(summary.url)}</p>
+                <p>${escapeHtml(new Date(summary.timestamp).toLocaleString())}</p>
+            </div>
+        </header>
+
+        <div class="summary">
+            <div class="stat-card">
+                <div class="stat-number passes">${summary.pagesAudited}</div>
+                <div class="stat-label">Pages Audited</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number violations">${summary.violations}</div>
+                <div class="stat-label">Violations</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number incomplete">${summary.incomplete}</div>
+                <div class="stat-label">Incomplete</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number inapplicable">${summary.pagesFailed}</div>
+                <div class="stat-label">Pages Failed</div>
+            </div>
+        </div>
+
+        <div class="impact-summary">
+            <h2>Violations by Impact Level</h2>
+            <div class="impact-grid">
+                ${Object.entries(summary.violationsByImpact).map(([impact, count]) => `
+                <div class="impact-item ${impact}">
+                    ${impact.charAt(0).toUpperCase() + impact.slice(1)}: ${count}
+                </div>`).join("")}
+            </div>
+        </div>
+
+${renderDiffSection(diff, { showPage: true })}
+${renderErrorsSection(errors, "Page")}
+
+        ${summary.rules.length > 0 ? `
+        <div class="violations-section">
+            <h2>Rules Violated Across the Site</h2>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Rule</th><th>Impact</th><th>Pages</th><th>Elements</th></tr>
+                </thead>
+                <tbody>
+                    ${summary.rules.map(rule => `
+                    <tr>
+                        <td><a href="${safeUrl(rule.helpUrl)}" target="_blank">${escapeHtml(rule.id)}</a><br><small>${escapeHtml(rule.help)}</small></td>
+                        <td><span class="violation-impact ${impactClass(rule.impact)}">${escapeHtml(rule.impact)}</span></td>
+                        <td>${rule.pages}</td>
+                        <td>${rule.nodes}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>` : ""}
+
+        <div class="violations-section">
+            <h2>Pages</h2>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Page</th><th>Depth</th><th>Violations</th><th>Critical</th><th>Serious</th><th>Report</th></tr>
+                </thead>
+                <tbody>
+                    ${pages.map(page => page.summary ? `
+                    <tr>
+                        <td>${escapeHtml(page.url)}</td>
+                        <td>${page.depth}</td>
+                        <td>${page.summary.violations}</td>
+                        <td>${page.summary.violationsByImpact.critical}</td>
+                        <td>${page.summary.violationsByImpact.serious}</td>
+                        <td><a href="${safeUrl(page.reportPath)}">Details →</a></td>
+                    </tr>` : `
+                    <tr>
+                        <td>${escapeHtml(page.url)}</td>
+                        <td>${page.depth}</td>
+                        <td colspan="4" class="violations">Failed: ${escapeHtml(page.error)}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>
+
+        <footer>
+            <p>Generated with axe-core</p>
+        </footer>
+    </div>
+</body>
+</html>`;
+}
+
+// Page URLs and errors are redacted again here for pages that did not come
+// from crawlSite()
+function redactPage(page) {
+  return {
+    ...page,
+    url: redactUrl(page.url),
+    ...(page.error ? { error: redactUrls(page.error) } : {}),
+    ...(page.failure ? { failure: { ...page.failure, message: redactUrls(page.failure.message) } } : {})
+  };
+}
+
+export async function writeSiteReport(reportDir, sitePages, meta = {}) {
+  const pages = sitePages.map(redactPage);
+  const { baseline, saveBaseline: baselineFile, junit, sarif, reviews, ...pageMeta } = meta;
+  const audited = pages.filter(page => !page.error);
+  const review = await resolveReviewDecisions(reviews);
+  const reviewed = audited.reduce((sum, page) => sum + applyReviewDecisions(page.results, review, page.url), 0);
+  if (reviewed > 0) {
+    console.log(`📝 Applied ${reviewed} review decision(s) to incomplete results`);
+  }
+  const diff = baseline ? diffAgainstBaseline(await loadBaseline(baseline), audited) : null;
+  const entries = [];
+
+  for (const page of pages) {
+    if (page.error) {
+      entries.push({ url: page.url, depth: page.depth, error: page.error, failure: page.failure });
+      continue;
+    }
+
+    const report = await writeReports(page.reportDir, page.results, {
+      ...pageMeta,
+      reviews: review,
+      diff: diff && filterDiff(diff, page.url)
+    });
+    entries.push({
+      url: page.url,
+      depth: page.depth,
+      summary: report.summary,
+      results: page.results,
+      reportPath: path.relative(reportDir, path.join(page.reportDir, "report.html")).split(path.sep).join("/")
+    });
+  }
+
+  const summary = generateSiteSummary(entries);
+  if (diff) {
+    summary.diff = summarizeDiff(diff);
+  }
+
+  const errors = collectErrors(entries, entry => entry.url);
+  const report = {
+    summary,
+    pages: entries.map(({ results, ...entry }) => entry),
+    ...(errors.length > 0 ? { errors } : {}),
+    ...(diff ? { diff } : {})
+  };
+
+  const jsonPath = path.join(reportDir, "report.json");
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  console.log(`\n📄 Site JSON report saved: ${jsonPath}`);
+
+  const htmlPath = path.join(reportDir, "report.html");
+  await fs.writeFile(htmlPath, renderSiteHTML(summary, entries, diff, errors));
+  console.log(`🌐 Site HTML report saved: ${htmlPath}`);
+
+  if (baselineFile) {
+    await saveBaseline(baselineFile, audited);
+  }
+
+  if (junit) {
+    await writeJUnitReport(junit, pages.map(page => ({
+      url: page.url,
+      browser: meta.browser,
+      results: page.results,
+      error: page.error,
+      failure: page.failure
+    })));
+  }
+
+  if (sarif) {
+    await writeSarifReport(sarif, audited.map(page => ({ url: page.url, browser: meta.browser, results: page.results })));
+  }
+
+  return report;
+}
+
+export function printSiteSummary(summary) {
+  console.log("\n" + "=".repeat(60));
+  console.log("🕸️  SITE ACCESSIBILITY SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`🔗 Start URL: ${summary.url}`);
+  console.log(`📄 Pages Audited: ${summary.pagesAudited}`);
+  if (summary.pagesFailed > 0) {
+    console.log(`💥 Pages Failed: ${formatFailureCounts(summary.pagesFailed, summary.failuresByCategory)}`);
+  }
+  console.log("-".repeat(60));
+  console.log(`❌ Violations: ${summary.violations}`);
+  console.log(`⚠️  Incomplete: ${summary.incomplete}`);
+  console.log(`   🔴 Critical: ${summary.violationsByImpact.critical}`);
+  console.log(`   🟠 Serious: ${summary.violationsByImpact.serious}`);
+  console.log(`   🟡 Moderate: ${summary.violationsByImpact.moderate}`);
+  console.log(`   🔵 Minor: ${summary.violationsByImpact.minor}`);
+
+  if (summary.rules.length > 0) {
+    console.log("-".repeat(60));
+    console.log("📋 Most Common Violations:");
+    summary.rules.slice(0, 10).forEach(rule => {
+      console.log(`   ${rule.id}: ${rule.pages} page(s), ${rule.nodes} element(s)`);
+    });
+  }
+
+  printDiffSummary(summary.diff);
+  printTimings(summary.timings);
+
+  console.log("=".repeat(60));
+}
+
+// Crawls from the seeds, or serves `dir` and audits its pages (or the ones in
+// the route list) without following links, then writes and prints the site
+// report. auditUrl(url, pageDir) is supplied by the runner and resolves to
+// { results, links }; everything else is the same for every driver.
+export async function auditSite({ dir, routes, startUrl, urls, sitemap, urlList, maxDepth, maxPages, concurrency, reportDir, meta, auditUrl }) {
+  if (dir) {
+    return withStaticSite({ dir, routes }, pages => auditSite({
+      urls: pages,
+      maxDepth: 0,
+      maxPages: pages.length,
+      concurrency,
+      reportDir,
+      meta,
+      auditUrl
+    }));
+  }
+
+  const pages = await crawlSite({ startUrl, urls, sitemap, urlList, maxDepth, maxPages, concurrency, reportDir, auditPage: auditUrl });
+  const report = await writeSiteReport(reportDir, pages, meta);
+
+  printSiteSummary(report.summary);
+  console.log(`\n📁 Site report saved in: ${reportDir}\n`);
+
+  return { ...report, reportDir };
+}
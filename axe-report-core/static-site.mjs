@@ -0,0 +1,184 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import http from "http";
+import path from "path";
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mp3": "audio/mpeg",
+  ".wasm": "application/wasm",
+  ".pdf": "application/pdf"
+};
+
+const HTML_FILE = /\.html?$/i;
+const SKIPPED_DIRS = new Set(["node_modules"]);
+
+async function statOrNull(file) {
+  try {
+    return await fs.stat(file);
+  } catch {
+    return null;
+  }
+}
+
+// Maps a request path to a file the way static hosts do: directories serve
+// their index.html and "/about" falls back to about.html. Paths that leave
+// the root resolve to null.
+async function resolveFile(root, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+
+  const file = path.join(root, path.normalize(decoded));
+  if (file !== root && !file.startsWith(root + path.sep)) return null;
+
+  const stat = await statOrNull(file);
+  if (stat?.isFile()) return { file };
+  if (stat?.isDirectory()) {
+    // Relative links in index.html only work under the trailing slash
+    if (!pathname.endsWith("/")) return { redirect: `${pathname}/` };
+    const index = path.join(file, "index.html");
+    return (await statOrNull(index))?.isFile() ? { file: index } : null;
+  }
+  if (!path.extname(file) && (await statOrNull(`${file}.html`))?.isFile()) {
+    return { file: `${file}.html` };
+  }
+  return null;
+}
+
+function sendFile(request, response, file, status = 200) {
+  response.writeHead(status, { "Content-Type": CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream" });
+  if (request.method === "HEAD") {
+    response.end();
+    return;
+  }
+  createReadStream(file).on("error", () => response.destroy()).pipe(response);
+}
+
+// Serves dir on a free port of 127.0.0.1. Missing files get the build's own
+// 404.html when it has one, so broken links show up as HTTP errors.
+export async function startStaticServer(dir, { host = "127.0.0.1", port = 0 } = {}) {
+  const root = path.resolve(dir);
+  if (!(await statOrNull(root))?.isDirectory()) {
+    throw new Error(`Not a directory: ${dir}`);
+  }
+
+  const server = http.createServer(async (request, response) => {
+    if (!["GET", "HEAD"].includes(request.method)) {
+      response.writeHead(405, { Allow: "GET, HEAD" }).end();
+      return;
+    }
+
+    try {
+      const { pathname, search } = new URL(request.url, "http://localhost");
+      const resolved = await resolveFile(root, pathname);
+
+      if (resolved?.redirect) {
+        response.writeHead(301, { Location: `${resolved.redirect}${search}` }).end();
+      } else if (resolved) {
+        sendFile(request, response, resolved.file);
+      } else if ((await statOrNull(path.join(root, "404.html")))?.isFile()) {
+        sendFile(request, response, path.join(root, "404.html"), 404);
+      } else {
+        response.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end("Not found");
+      }
+    } catch (error) {
+      response.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" }).end(error.message);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}/`,
+    root,
+    // Pages may still hold keep-alive connections open
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
+
+// Index pages first, then the other files, then subdirectories
+function rank(entry) {
+  if (entry.name === "index.html") return 0;
+  return entry.isDirectory() ? 2 : 1;
+}
+
+// Every HTML file under dir as a route, e.g. "/", "/about.html", "/blog/";
+// hidden directories and node_modules are skipped.
+export async function findHtmlPages(dir) {
+  const root = path.resolve(dir);
+  const routes = [];
+
+  const walk = async relative => {
+    const entries = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name))) {
+      const child = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith(".") && !SKIPPED_DIRS.has(entry.name)) await walk(child);
+      } else if (entry.isFile() && HTML_FILE.test(entry.name)) {
+        routes.push(entry.name === "index.html" ? `/${relative ? `${relative}/` : ""}` : `/${child}`);
+      }
+    }
+  };
+  await walk("");
+
+  return routes.map(route => route.split("/").map(encodeURIComponent).join("/"));
+}
+
+// A route list has one path per line, e.g. "/pricing" or "/docs/?tab=api";
+// blank lines and # comments are skipped.
+export async function loadRoutes(file) {
+  const content = await fs.readFile(file, "utf8");
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#"));
+}
+
+// Serves dir for the duration of fn(urls, server), where urls are the pages
+// from the route list or, without one, every HTML file in dir.
+export async function withStaticSite({ dir, routes }, fn) {
+  const server = await startStaticServer(dir);
+  try {
+    const paths = routes ? await loadRoutes(routes) : await findHtmlPages(server.root);
+    if (paths.length === 0) {
+      throw new Error(routes ? `No routes listed in ${routes}` : `No HTML pages found in ${server.root}`);
+    }
+
+    console.log(`\n🗂️  Serving ${server.root} at ${server.url} (${paths.length} page(s))`);
+    return await fn(paths.map(route => new URL(route.replace(/^\/+/, ""), server.url).href), server);
+  } finally {
+    await server.close();
+  }
+}
@@ -0,0 +1,283 @@
+import fs from "fs/promises";
+import path from "path";
+import { writeReports } from "./reports.mjs";
+import { REPORT_STYLES } from "./html-styles.mjs";
+import { printDiffSummary, printTimings } from "./console-summary.mjs";
+import { renderDiffSection } from "./html-report.mjs";
+import { escapeHtml, safeUrl, impactClass } from "./html-escape.mjs";
+import { generateSiteSummary } from "./site-report.mjs";
+import { loadBaseline, saveBaseline, diffAgainstBaseline, filterDiff, summarizeDiff } from "./baseline.mjs";
+import { writeJUnitReport } from "./junit.mjs";
+import { writeSarifReport } from "./sarif.mjs";
+import { resolveReviewDecisions, applyReviewDecisions } from "./review.mjs";
+import { collectErrors, formatFailureCounts, renderErrorsSection } from "./failures.mjs";
+
+function storyLabel(entry) {
+  return `${entry.title} › ${entry.name}`;
+}
+
+// Stories grouped by their component (the story title), in index order
+export function groupByComponent(entries) {
+  const components = new Map();
+  for (const entry of entries) {
+    if (!components.has(entry.title)) {
+      components.set(entry.title, { title: entry.title, stories: [], violations: 0, storiesWithViolations: 0 });
+    }
+    const component = components.get(entry.title);
+    component.stories.push(entry);
+    if (entry.summary?.violations > 0) {
+      component.violations += entry.summary.violations;
+      component.storiesWithViolations++;
+    }
+  }
+  return [...components.values()];
+}
+
+export function generateStorybookSummary(storybook, entries) {
+  const checked = entries.filter(entry => !entry.skipped);
+  const { url, pagesAudited, pagesFailed, rules, ...totals } = generateSiteSummary(checked);
+  return {
+    ...totals,
+    url: storybook,
+    components: new Set(entries.map(entry => entry.title)).size,
+    storiesAudited: pagesAudited,
+    storiesFailed: pagesFailed,
+    storiesSkipped: entries.length - checked.length,
+    rules: rules.map(({ pages, ...rule }) => ({ ...rule, stories: pages }))
+  };
+}
+
+function renderStoryRow(entry) {
+  if (entry.skipped) {
+    return `
+                    <tr>
+                        <td>${escapeHtml(entry.name)}<br><small>${escapeHtml(entry.id)}</small></td>
+                        <td colspan="4">Skipped: ${escapeHtml(entry.skipped)}</td>
+                    </tr>`;
+  }
+  if (!entry.summary) {
+    return `
+                    <tr>
+                        <td>${escapeHtml(entry.name)}<br><small>${escapeHtml(entry.id)}</small></td>
+                        <td colspan="4" class="violations">Failed: ${escapeHtml(entry.error)}</td>
+                    </tr>`;
+  }
+  return `
+                    <tr>
+                        <td>${escapeHtml(entry.name)}<br><small>${escapeHtml(entry.id)}</small></td>
+                        <td${entry.summary.violations > 0 ? ' class="violations"' : ""}>${entry.summary.violations}</td>
+                        <td>${entry.summary.violationsByImpact.critical}</td>
+                        <td>${entry.summary.violationsByImpact.serious}</td>
+                        <td><a href="${safeUrl(entry.reportPath)}">Details →</a></td>
+                    </tr>`;
+}
+
+function renderStorybookHTML(summary, components, diff, errors) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Storybook Accessibility Report - ${escapeHtml(summary.url)}</title>
+    <style>
+${REPORT_STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>Storybook Accessibility Report</h1>
+            <div class="header-info">
+                <p>${escapeHtml(summary.url)}</p>
+                <p>${escapeHtml(new Date(summary.timestamp).toLocaleString())}</p>
+            </div>
+        </header>
+
+        <div class="summary">
+            <div class="stat-card">
+                <div class="stat-number passes">${summary.storiesAudited}</div>
+                <div class="stat-label">Stories Audited</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number violations">${summary.violations}</div>
+                <div class="stat-label">Violations</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number incomplete">${summary.components}</div>
+                <div class="stat-label">Components</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number inapplicable">${summary.storiesFailed}</div>
+                <div class="stat-label">Stories Failed</div>
+            </div>
+        </div>
+
+${renderDiffSection(diff, { showPage: true })}
+${renderErrorsSection(errors, "Story")}
+
+        ${summary.rules.length > 0 ? `
+        <div class="violations-section">
+            <h2>Rules Violated Across Stories</h2>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Rule</th><th>Impact</th><th>Stories</th><th>Elements</th></tr>
+                </thead>
+                <tbody>
+                    ${summary.rules.map(rule => `
+                    <tr>
+                        <td><a href="${safeUrl(rule.helpUrl)}" target="_blank">${escapeHtml(rule.id)}</a><br><small>${escapeHtml(rule.help)}</small></td>
+                        <td><span class="violation-impact ${impactClass(rule.impact)}">${escapeHtml(rule.impact)}</span></td>
+                        <td>${rule.stories}</td>
+                        <td>${rule.nodes}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>` : ""}
+
+        ${components.map(component => `
+        <div class="violations-section">
+            <h2>${escapeHtml(component.title)}</h2>
+            <p class="violation-description">${component.storiesWithViolations} of ${component.stories.length} stories with violations</p>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Story</th><th>Violations</th><th>Critical</th><th>Serious</th><th>Report</th></tr>
+                </thead>
+                <tbody>
+                    ${component.stories.map(renderStoryRow).join("")}
+                </tbody>
+            </table>
+        </div>`).join("")}
+
+        <footer>
+            <p>Generated with axe-core</p>
+        </footer>
+    </div>
+</body>
+</html>`;
+}
+
+// Writes a full report per story under stories/ and a combined report.json
+// and report.html grouped by component. runs are { story, reportDir,
+// results }, { story, error, failure } or { story, skipped }.
+export async function writeStorybookReport(reportDir, storybook, runs, meta = {}) {
+  const { baseline, saveBaseline: baselineFile, junit, sarif, reviews, ...storyMeta } = meta;
+  const audited = runs.filter(run => run.results);
+  const review = await resolveReviewDecisions(reviews);
+  const reviewed = audited.reduce((sum, run) => sum + applyReviewDecisions(run.results, review, run.results.url), 0);
+  if (reviewed > 0) {
+    console.log(`📝 Applied ${reviewed} review decision(s) to incomplete results`);
+  }
+  const pages = audited.map(run => ({ url: run.results.url, results: run.results }));
+  const diff = baseline ? diffAgainstBaseline(await loadBaseline(baseline), pages) : null;
+  const entries = [];
+
+  for (const run of runs) {
+    const { id, title, name } = run.story;
+    if (run.skipped) {
+      entries.push({ id, title, name, skipped: run.skipped });
+      continue;
+    }
+    if (run.error) {
+      entries.push({ id, title, name, url: run.url, error: run.error, failure: run.failure });
+      continue;
+    }
+
+    const report = await writeReports(run.reportDir, run.results, {
+      ...storyMeta,
+      reviews: review,
+      diff: diff && filterDiff(diff, run.results.url)
+    });
+    entries.push({
+      id,
+      title,
+      name,
+      url: run.results.url,
+      summary: report.summary,
+      results: run.results,
+      reportPath: path.relative(reportDir, path.join(run.reportDir, "report.html")).split(path.sep).join("/")
+    });
+  }
+
+  const summary = generateStorybookSummary(storybook, entries);
+  if (diff) {
+    summary.diff = summarizeDiff(diff);
+  }
+
+  const components = groupByComponent(entries);
+  const errors = collectErrors(entries, storyLabel);
+  const report = {
+    summary,
+    stories: entries.map(({ results, ...entry }) => entry),
+    components: components.map(component => ({
+      title: component.title,
+      stories: component.stories.map(entry => entry.id),
+      violations: component.violations,
+      storiesWithViolations: component.storiesWithViolations
+    })),
+    ...(errors.length > 0 ? { errors } : {}),
+    ...(diff ? { diff } : {})
+  };
+
+  const jsonPath = path.join(reportDir, "report.json");
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  console.log(`\n📄 Storybook JSON report saved: ${jsonPath}`);
+
+  const htmlPath = path.join(reportDir, "report.html");
+  await fs.writeFile(htmlPath, renderStorybookHTML(summary, components, diff, errors));
+  console.log(`🌐 Storybook HTML report saved: ${htmlPath}`);
+
+  if (baselineFile) {
+    await saveBaseline(baselineFile, pages);
+  }
+
+  // One JUnit suite per story, named after the component and story
+  const suites = entries.filter(entry => !entry.skipped).map(entry => ({
+    url: storyLabel(entry),
+    browser: meta.browser,
+    results: entry.results,
+    error: entry.error,
+    failure: entry.failure
+  }));
+  if (junit) {
+    await writeJUnitReport(junit, suites);
+  }
+  if (sarif) {
+    await writeSarifReport(sarif, audited.map(run => ({ url: run.results.url, browser: meta.browser, results: run.results })));
+  }
+
+  return report;
+}
+
+export function printStorybookSummary(summary, components = []) {
+  console.log("\n" + "=".repeat(60));
+  console.log("📚 STORYBOOK ACCESSIBILITY SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`🔗 Storybook: ${summary.url}`);
+  console.log(`🧩 Components: ${summary.components}`);
+  console.log(`📖 Stories Audited: ${summary.storiesAudited}`);
+  if (summary.storiesSkipped > 0) {
+    console.log(`⏭️  Stories Skipped: ${summary.storiesSkipped}`);
+  }
+  if (summary.storiesFailed > 0) {
+    console.log(`💥 Stories Failed: ${formatFailureCounts(summary.storiesFailed, summary.failuresByCategory)}`);
+  }
+  console.log("-".repeat(60));
+  console.log(`❌ Violations: ${summary.violations}`);
+  console.log(`   🔴 Critical: ${summary.violationsByImpact.critical}`);
+  console.log(`   🟠 Serious: ${summary.violationsByImpact.serious}`);
+  console.log(`   🟡 Moderate: ${summary.violationsByImpact.moderate}`);
+  console.log(`   🔵 Minor: ${summary.violationsByImpact.minor}`);
+
+  const failing = components.filter(component => component.violations > 0);
+  if (failing.length > 0) {
+    console.log("-".repeat(60));
+    console.log("🧩 Components with Violations:");
+    failing.slice(0, 10).forEach(component => {
+      console.log(`   ${component.title}: ${component.violations} violation(s) in ${component.storiesWithViolations}/${component.stories.length} stories`);
+    });
+  }
+
+  printDiffSummary(summary.diff);
+  printTimings(summary.timings);
+
+  console.log("=".repeat(60));
+}
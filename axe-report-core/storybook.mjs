@@ -0,0 +1,139 @@
+import fs from "fs/promises";
+import path from "path";
+import { startStaticServer } from "./static-site.mjs";
+
+// Storybook 7 and later render into #storybook-root, Storybook 6 into #root
+export const STORY_ROOTS = ["#storybook-root", "#root"];
+
+const INDEX_FILES = ["index.json", "stories.json"];
+
+async function readIndexFile(source, name) {
+  if (/^https?:/i.test(source)) {
+    const response = await fetch(new URL(name, source.endsWith("/") ? source : `${source}/`));
+    return response.ok ? response.json() : null;
+  }
+  try {
+    return JSON.parse(await fs.readFile(path.join(source, name), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Could not read ${path.join(source, name)}: ${error.message}`);
+  }
+}
+
+// index.json (Storybook 7+) lists entries, stories.json (Storybook 6)
+// stories; docs pages are left out of both.
+export function parseStoryIndex(index) {
+  const entries = Object.values(index.entries || index.stories || {});
+  return entries
+    .filter(entry => (entry.type || "story") === "story" && !entry.parameters?.docsOnly)
+    .map(entry => ({
+      id: entry.id,
+      title: entry.title || entry.kind,
+      name: entry.name || entry.story,
+      importPath: entry.importPath || entry.parameters?.fileName,
+      tags: entry.tags || []
+    }));
+}
+
+// source is a storybook-static directory or the URL of a deployed Storybook
+export async function loadStoryIndex(source) {
+  for (const name of INDEX_FILES) {
+    const index = await readIndexFile(source, name);
+    if (index) return parseStoryIndex(index);
+  }
+  throw new Error(`No ${INDEX_FILES.join(" or ")} in ${source}; build Storybook first, e.g. npx storybook build`);
+}
+
+export function storyUrl(baseUrl, id) {
+  return new URL(`iframe.html?id=${encodeURIComponent(id)}&viewMode=story`, baseUrl).href;
+}
+
+export function storyDirName(index, story) {
+  const slug = story.id.replace(/[^a-z0-9]+/gi, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "story";
+  return `${String(index + 1).padStart(3, "0")}-${slug}`;
+}
+
+// Applies a story's a11y parameters, in the format of Storybook's a11y
+// addon, to the run's settings. Only the enabled flag of config.rules is
+// used: custom checks cannot be carried over.
+export function storySettings(settings, a11y = {}, root = STORY_ROOTS[0]) {
+  if (a11y.disable === true || a11y.test === "off") {
+    return { ...settings, skip: "a11y disabled in the story parameters" };
+  }
+
+  const configRules = Object.fromEntries((a11y.config?.rules || [])
+    .filter(rule => rule.id && typeof rule.enabled === "boolean")
+    .map(rule => [rule.id, { enabled: rule.enabled }]));
+  const options = a11y.options || {};
+  const rules = { ...settings.axeOptions?.rules, ...configRules, ...options.rules };
+
+  // element (Storybook 7) and context (Storybook 8.5+) narrow the audit
+  // further; by default only the story root is checked
+  const context = a11y.context || a11y.element || {
+    include: [[root]],
+    ...(settings.context?.exclude ? { exclude: settings.context.exclude } : {})
+  };
+
+  return {
+    ...settings,
+    axeOptions: {
+      ...settings.axeOptions,
+      ...options,
+      ...(Object.keys(rules).length > 0 ? { rules } : {})
+    },
+    context
+  };
+}
+
+// Serves a storybook-static directory for the duration of fn, or uses a
+// deployed Storybook as is
+export async function withStorybook(source, fn) {
+  const stories = await loadStoryIndex(source);
+  if (stories.length === 0) {
+    throw new Error(`The Storybook in ${source} has no stories`);
+  }
+
+  if (/^https?:/i.test(source)) {
+    return fn({ baseUrl: source.endsWith("/") ? source : `${source}/`, stories });
+  }
+
+  const server = await startStaticServer(source);
+  try {
+    console.log(`\n📚 Serving Storybook ${server.root} at ${server.url} (${stories.length} stories)`);
+    return await fn({ baseUrl: server.url, stories });
+  } finally {
+    await server.close();
+  }
+}
+
+// Evaluated in the story's iframe: true once Storybook has rendered the
+// story or shown its error display
+export function isStoryRendered() {
+  const classes = document.body?.classList;
+  return Boolean(classes && !classes.contains("sb-show-preparing-story")
+    && (classes.contains("sb-show-main") || classes.contains("sb-show-errordisplay") || classes.contains("sb-show-nopreview")));
+}
+
+// Evaluated in the story's iframe: the story's error, its a11y parameters
+// and the root it rendered into
+export async function readStoryState({ storyId, roots }) {
+  const classes = document.body.classList;
+  if (classes.contains("sb-show-errordisplay") || classes.contains("sb-show-nopreview")) {
+    const message = document.querySelector("#error-message, .sb-errordisplay_main h1")?.textContent?.trim();
+    return { error: message || "Storybook could not render the story" };
+  }
+
+  let parameters = {};
+  const preview = window.__STORYBOOK_PREVIEW__;
+  if (preview?.storyStoreValue?.loadStory) {
+    parameters = (await preview.storyStoreValue.loadStory({ storyId }))?.parameters || {};
+  } else if (window.__STORYBOOK_STORY_STORE__?.fromId) {
+    parameters = window.__STORYBOOK_STORY_STORE__.fromId(storyId)?.parameters || {};
+  }
+
+  // Functions and class instances do not survive the trip out of the page
+  return {
+    a11y: JSON.parse(JSON.stringify(parameters.a11y || {})),
+    root: roots.find(selector => document.querySelector(selector)) || roots[0]
+  };
+}
@@ -0,0 +1,34 @@
+export const IMPACT_LEVELS = ["critical", "serious", "moderate", "minor"];
+
+export function generateSummary(results, meta = {}) {
+  const summary = {
+    url: results.url,
+    timestamp: results.timestamp,
+    ...(meta.browser ? { browser: meta.browser } : {}),
+    ...(meta.viewport?.name ? { viewport: meta.viewport.name } : {}),
+    totalElements: results.passes.length + results.violations.length + results.incomplete.length + results.inapplicable.length,
+    passes: results.passes.length,
+    violations: results.violations.length,
+    incomplete: results.incomplete.length,
+    inapplicable: results.inapplicable.length,
+    violationsByImpact: {
+      critical: 0,
+      serious: 0,
+      moderate: 0,
+      minor: 0
+    },
+    violationsByRule: {},
+    // Rules the driver cannot evaluate, e.g. layout rules without a browser
+    ...(results.unsupported?.length ? { unsupported: results.unsupported.length } : {}),
+    ...(results.timings ? { timings: results.timings } : {})
+  };
+
+  results.violations.forEach(violation => {
+    if (IMPACT_LEVELS.includes(violation.impact)) {
+      summary.violationsByImpact[violation.impact]++;
+    }
+    summary.violationsByRule[violation.id] = violation.nodes.length;
+  });
+
+  return summary;
+}
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { UsageError, parseCommandLine, GATE_OPTIONS } from "../index.mjs";
+
+const OPTIONS = [
+  { name: "url", alias: "u", value: "url" },
+  { name: "max-depth", value: "n", type: "integer" },
+  { name: "browser", value: "name", choices: ["chromium", "firefox"] },
+  { name: "no-headless", key: "headless", set: false },
+  { name: "login", value: "file", key: "auth.login" },
+  { name: "header", value: "name=value", repeatable: true, parse: value => Object.fromEntries([value.split("=")]) },
+  { name: "help" }
+];
+
+function parse(argv, spec = {}) {
+  return parseCommandLine(argv, { options: OPTIONS, command: "node cli.mjs", ...spec });
+}
+
+test("only the flags given end up in the options", () => {
+  const { options, positionals } = parse(["--url", "https://example.com", "--max-depth=2", "--no-headless"]);
+  assert.deepEqual(options, { url: "https://example.com", maxDepth: 2, headless: false });
+  assert.deepEqual(positionals, []);
+});
+
+test("aliases, dotted keys and repeatable options", () => {
+  const { options } = parse(["-u", "https://example.com", "--login", "login.mjs", "--header", "A=1", "--header", "B=2"]);
+  assert.deepEqual(options, {
+    url: "https://example.com",
+    auth: { login: "login.mjs" },
+    header: { A: "1", B: "2" }
+  });
+});
+
+test("positionals, - for stdin and everything after --", () => {
+  const { positionals } = parse(["-", "--", "--url"], { positionals: { names: ["input"], max: Infinity } });
+  assert.deepEqual(positionals, ["-", "--url"]);
+});
+
+test("unknown flags are rejected with a suggestion", () => {
+  assert.throws(() => parse(["--max-dept", "1"]), {
+    name: "UsageError",
+    message: "Unknown option --max-dept (did you mean --max-depth?) (see node cli.mjs --help)"
+  });
+});
+
+test("bad values are usage errors", () => {
+  assert.throws(() => parse(["--url"]), { message: "--url requires a value <url>" });
+  assert.throws(() => parse(["--url", "--no-headless"]), { message: "--url requires a value <url>" });
+  assert.throws(() => parse(["--max-depth", "-1"]), UsageError);
+  assert.throws(() => parse(["--max-depth", "1.5"]), { message: "--max-depth expects a whole number, got \"1.5\"" });
+  assert.throws(() => parse(["--browser", "safari"]), { message: "--browser must be one of chromium, firefox, got \"safari\"" });
+  assert.throws(() => parse(["--no-headless=1"]), { message: "--no-headless does not take a value" });
+  assert.throws(() => parse(["--url", "a", "--url", "b"]), { message: "--url was given more than once" });
+  assert.throws(() => parse(["--header", "A"], { options: [{ name: "header", value: "h", parse: () => { throw new Error("expected name=value"); } }] }), {
+    message: "--header: expected name=value"
+  });
+});
+
+test("positional counts are checked unless --help is given", () => {
+  const spec = { positionals: { names: ["file"], min: 1, max: 1 } };
+  assert.throws(() => parse([], spec), { message: "Missing <file> (see node cli.mjs --help)" });
+  assert.throws(() => parse(["a", "b"], spec), { message: "Unexpected argument \"b\" (see node cli.mjs --help)" });
+  assert.deepEqual(parse(["--help"], spec).options, { help: true });
+});
+
+test("an optional value only takes the next argument when it accepts it", () => {
+  const spec = { options: [...OPTIONS, ...GATE_OPTIONS], positionals: { names: ["url"], max: 1 } };
+
+  assert.deepEqual(parse(["--fail-on-new", "https://example.com"], spec), {
+    options: { failOnNew: ["critical", "serious", "moderate", "minor"] },
+    positionals: ["https://example.com"]
+  });
+  assert.deepEqual(parse(["--fail-on-new", "Critical,serious", "https://example.com"], spec).options, { failOnNew: ["critical", "serious"] });
+  assert.deepEqual(parse(["--fail-on-new=minor", "https://example.com"], spec).options, { failOnNew: ["minor"] });
+  assert.deepEqual(parse(["https://example.com", "--fail-on-new"], spec).options.failOnNew, ["critical", "serious", "moderate", "minor"]);
+
+  // A list with a typo is not taken as the value, so it shows up as an extra argument
+  assert.throws(() => parse(["--fail-on-new", "critical,high", "https://example.com"], spec), /Unexpected argument "https:\/\/example.com"/);
+  assert.throws(() => parse(["--fail-on-new=critical,high"], spec), /Unknown impact level\(s\) for --fail-on: high/);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeHtml, fingerprintNode, createBaseline, diffAgainstBaseline, summarizeDiff } from "../index.mjs";
+
+function page(url, violations) {
+  return {
+    url,
+    results: {
+      url,
+      violations: violations.map(([id, impact, nodes]) => ({ id, impact, help: id, nodes }))
+    }
+  };
+}
+
+const image = { target: ["img.hero"], html: "<img class=\"hero\" src=\"a.png\">" };
+const link = { target: ["a.more"], html: "<a class=\"more\"></a>" };
+const button = { target: ["button"], html: "<button></button>" };
+
+test("normalizeHtml drops volatile attributes, generated class hashes and whitespace", () => {
+  assert.equal(
+    normalizeHtml("<div  nonce=\"abc\" data-v-1a2b3c class=\"css-1x2y3z  card\" >\n  <span data-reactid=\".0\">Hi</span>\n</div>"),
+    "<div class=\"css-* card\"><span>Hi</span></div>"
+  );
+  assert.equal(normalizeHtml(), "");
+});
+
+test("fingerprints ignore volatile markup but not the rule or target", () => {
+  const fingerprint = fingerprintNode("image-alt", image);
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+  assert.equal(fingerprintNode("image-alt", { ...image, html: "<img  nonce=\"x\" class=\"hero\" src=\"a.png\">" }), fingerprint);
+  assert.notEqual(fingerprintNode("role-img-alt", image), fingerprint);
+  assert.notEqual(fingerprintNode("image-alt", { ...image, target: ["img.logo"] }), fingerprint);
+});
+
+test("frame and shadow targets keep the flat fingerprint", () => {
+  const flat = fingerprintNode("image-alt", { ...image, target: ["iframe", "my-card", "img.hero"] });
+  assert.equal(fingerprintNode("image-alt", { ...image, target: ["iframe", ["my-card", "img.hero"]] }), flat);
+
+  // The baseline shows the target the way the reports do
+  const [entry] = createBaseline([page("https://example.com/", [["image-alt", "critical", [{ ...image, target: ["iframe", ["my-card", "img.hero"]] }]]])]).entries;
+  assert.equal(entry.target, "iframe >> my-card >>> img.hero");
+});
+
+test("violations are new, fixed or unchanged, matched by path across hosts", () => {
+  const baseline = createBaseline([
+    page("https://staging.example.com/", [["image-alt", "critical", [image]], ["link-name", "serious", [link]]])
+  ]);
+  const diff = diffAgainstBaseline(baseline, [
+    page("https://www.example.com/", [["image-alt", "critical", [image]], ["button-name", "critical", [button]]])
+  ]);
+
+  assert.deepEqual(diff.unchanged.map(entry => entry.ruleId), ["image-alt"]);
+  assert.deepEqual(diff.new.map(entry => entry.ruleId), ["button-name"]);
+  assert.deepEqual(diff.fixed.map(entry => entry.ruleId), ["link-name"]);
+  assert.deepEqual(summarizeDiff(diff).newByImpact, { critical: 1, serious: 0, moderate: 0, minor: 0 });
+});
+
+test("identical elements are counted, and pages left out of the run are not fixed", () => {
+  const baseline = createBaseline([
+    page("https://example.com/", [["image-alt", "critical", [image]]]),
+    page("https://example.com/about", [["link-name", "serious", [link]]])
+  ]);
+  const diff = diffAgainstBaseline(baseline, [
+    page("https://example.com/", [["image-alt", "critical", [image, image]]])
+  ]);
+
+  assert.equal(diff.unchanged.length, 1);
+  assert.equal(diff.new.length, 1);
+  assert.equal(diff.fixed.length, 0);
+});
@@ -0,0 +1,30 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { resolveRunOptions, UsageError } from "../index.mjs";
+
+let tmp;
+let config;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "cli-options-"));
+  config = path.join(tmp, "a11y.config.json");
+  await fs.writeFile(config, "{}");
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+function resolve(flags) {
+  return resolveRunOptions({ failOn: [], failOnNew: [] }, { config, ...flags });
+}
+
+test("--fail-on-new without a baseline is a usage error", async () => {
+  await assert.rejects(resolve({ failOnNew: ["critical"] }), error => {
+    return error instanceof UsageError && error.message === "--fail-on-new requires a baseline, from --baseline <file> or the config file";
+  });
+  assert.deepEqual((await resolve({ failOnNew: ["critical"], baseline: "baseline.json" })).failOnNew, ["critical"]);
+});
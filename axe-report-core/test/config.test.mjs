@@ -0,0 +1,136 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { validateConfig, loadConfig, buildAxeOptions, configToOptions, mergeOptions, matchesUrl, settingsForUrl, UsageError } from "../index.mjs";
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "config-"));
+  mock.method(console, "log", () => {});
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test("a complete config is accepted as is", () => {
+  const config = {
+    url: "https://example.com",
+    browser: "firefox",
+    viewport: { width: 1280, height: 800 },
+    tags: ["wcag2a", "wcag2aa"],
+    rules: { "color-contrast": { enabled: false } },
+    failOn: "critical,serious",
+    budget: { "image-alt": 0 },
+    crawl: { maxDepth: 1, maxPages: 10 },
+    auth: { headers: { Authorization: "A11Y_AUTH_HEADER" } },
+    overrides: [{ match: "/admin/**", exclude: ["#chat"], timeout: 60000 }]
+  };
+  assert.equal(validateConfig(config), config);
+});
+
+test("every problem is reported in one usage error", () => {
+  assert.throws(() => validateConfig({ browser: "ie", timeout: -1, crawl: { depth: 1 } }, "a11y.config.json"), error => {
+    assert.ok(error instanceof UsageError);
+    assert.match(error.message, /^Invalid a11y\.config\.json:\n/);
+    assert.deepEqual(error.message.split("\n").slice(1), [
+      "  - \"browser\" must be one of chromium, firefox, webkit, got \"ie\"",
+      "  - \"timeout\" must be at least 0, got -1",
+      "  - Unknown option \"crawl.depth\" (expected one of maxDepth, maxPages, sitemap, urlList)"
+    ]);
+    return true;
+  });
+  assert.throws(() => validateConfig({ failOn: ["blocker"] }), /"failOn\[0\]" must be one of critical, serious, moderate, minor/);
+  assert.throws(() => validateConfig({ overrides: [{ timeout: 1 }] }), /"overrides\[0\]" is missing "match"/);
+});
+
+test("the nearest config file is found and its paths are resolved against it", async () => {
+  const project = path.join(tmp, "project");
+  await fs.mkdir(path.join(project, "site", "nested"), { recursive: true });
+  await fs.writeFile(path.join(project, "a11y.config.json"), JSON.stringify({
+    outputDir: "reports",
+    baseline: "https://example.com/baseline.json",
+    crawl: { sitemap: "site/sitemap.xml" }
+  }));
+
+  const config = await loadConfig(null, { cwd: path.join(project, "site", "nested") });
+  assert.equal(config.outputDir, path.join(project, "reports"));
+  assert.equal(config.baseline, "https://example.com/baseline.json");
+  assert.equal(config.crawl.sitemap, path.join(project, "site", "sitemap.xml"));
+
+  assert.deepEqual(await loadConfig(null, { cwd: os.tmpdir() }), {});
+  await fs.writeFile(path.join(tmp, "broken.json"), "{");
+  await assert.rejects(loadConfig("broken.json", { cwd: tmp }), error => error instanceof UsageError && /Could not read config file/.test(error.message));
+});
+
+test("a config maps to runner options and CLI flags win over it", async () => {
+  const options = await configToOptions({
+    tags: ["wcag2a"],
+    include: ["main"],
+    failOn: ["critical"],
+    crawl: { maxPages: 5 },
+    auth: { cookies: "cookies.json", headers: { Authorization: "TOKEN" } }
+  });
+  assert.deepEqual(options, {
+    axeOptions: { runOnly: { type: "tag", values: ["wcag2a"] } },
+    context: { include: ["main"] },
+    failOn: ["critical"],
+    maxPages: 5,
+    auth: { cookies: "cookies.json", headers: { Authorization: "TOKEN" } }
+  });
+
+  const merged = mergeOptions(options, { maxPages: 2, failOn: undefined, auth: { login: "login.mjs", headers: {} } });
+  assert.equal(merged.maxPages, 2);
+  assert.deepEqual(merged.failOn, ["critical"]);
+  assert.deepEqual(merged.auth, { cookies: "cookies.json", login: "login.mjs", headers: { Authorization: "TOKEN" } });
+
+  assert.equal(buildAxeOptions({}), undefined);
+  assert.deepEqual(buildAxeOptions({ axeOptions: { runOnly: ["image-alt"] }, tags: ["wcag2a"] }), { runOnly: ["image-alt"] });
+  assert.deepEqual(buildAxeOptions({ tags: "wcag2a, wcag2aa" }), { runOnly: { type: "tag", values: ["wcag2a", "wcag2aa"] } });
+  assert.equal(validateConfig({ tags: "wcag2a,wcag2aa" }).tags, "wcag2a,wcag2aa");
+});
+
+test("bad include and exclude selectors in a config are usage errors", async () => {
+  await assert.rejects(configToOptions({ include: ["main", "iframe >>"] }), error => {
+    assert.ok(error instanceof UsageError);
+    assert.match(error.message, /^Invalid config "include\[1\]": Invalid selector "iframe >>"/);
+    return true;
+  });
+  await assert.rejects(
+    configToOptions({ overrides: [{ match: "/admin/**", exclude: [">>> .chart"] }] }),
+    error => error instanceof UsageError && /^Invalid config "overrides\[0\]\.exclude\[0\]"/.test(error.message)
+  );
+});
+
+test("override globs match the URL path, or the whole URL when they have a scheme", () => {
+  assert.ok(matchesUrl("/admin/**", "https://example.com/admin/users/1"));
+  assert.ok(!matchesUrl("/admin/*", "https://example.com/admin/users/1"));
+  assert.ok(matchesUrl(["/blog/*", "/news/*"], "https://example.com/news/today"));
+  assert.ok(matchesUrl("https://staging.*/**", "https://staging.example.com/"));
+  assert.ok(!matchesUrl("https://staging.*/**", "https://example.com/"));
+});
+
+test("matching overrides are applied over the base settings in order", () => {
+  const base = {
+    axeOptions: { runOnly: { type: "tag", values: ["wcag2aa"] }, rules: { "color-contrast": { enabled: false } } },
+    timeout: 30000
+  };
+  const overrides = [
+    { match: "/admin/**", rules: { region: { enabled: false } }, timeout: 60000 },
+    { match: "/admin/reports/**", exclude: [".chart"], waitUntil: "load" },
+    { match: "/blog/**", axeOptions: { runOnly: ["image-alt"] } }
+  ];
+
+  assert.deepEqual(settingsForUrl(base, overrides, "https://example.com/admin/reports/q1"), {
+    // Rules turned off at the top level stay off
+    axeOptions: { runOnly: { type: "tag", values: ["wcag2aa"] }, rules: { "color-contrast": { enabled: false }, region: { enabled: false } } },
+    context: { exclude: [".chart"] },
+    timeout: 60000,
+    waitUntil: "load"
+  });
+  assert.deepEqual(settingsForUrl(base, overrides, "https://example.com/blog/post").axeOptions, { runOnly: ["image-alt"] });
+  assert.deepEqual(settingsForUrl(base, overrides, "https://example.com/"), base);
+});
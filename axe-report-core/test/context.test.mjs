@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseContextSelector, formatContextSelector, formatTarget, nodeLocation, annotateNodeLocations } from "../index.mjs";
+
+test("a plain selector is passed to axe as is", () => {
+  assert.equal(parseContextSelector("main .content"), "main .content");
+  assert.equal(parseContextSelector("ul > li"), "ul > li");
+});
+
+test(">> steps into iframes", () => {
+  assert.deepEqual(parseContextSelector("iframe#checkout >> form"), { fromFrames: ["iframe#checkout", "form"] });
+  assert.deepEqual(parseContextSelector("#outer>>#inner >> button"), { fromFrames: ["#outer", "#inner", "button"] });
+});
+
+test(">>> steps into shadow roots, inside or outside an iframe", () => {
+  assert.deepEqual(parseContextSelector("chat-widget >>> .launcher"), { fromShadowDom: ["chat-widget", ".launcher"] });
+  assert.deepEqual(parseContextSelector("iframe#checkout >> payment-form >>> input"), {
+    fromFrames: ["iframe#checkout", { fromShadowDom: ["payment-form", "input"] }]
+  });
+});
+
+test("a separator needs a selector on each side", () => {
+  for (const value of [">> form", "iframe >>", "a >> >>> b", ""]) {
+    assert.throws(() => parseContextSelector(value), /Invalid selector .*expected a CSS selector before and after each >> and >>>/, value);
+  }
+});
+
+test("parsed selectors and axe targets are written back the same way", () => {
+  for (const value of ["main", "iframe#checkout >> payment-form >>> input", "chat-widget >>> .launcher"]) {
+    assert.equal(formatContextSelector(parseContextSelector(value)), value);
+  }
+  assert.equal(formatContextSelector(["iframe", "button"]), "iframe >> button");
+
+  assert.equal(formatTarget(["iframe#checkout", ["payment-form", "input"]]), "iframe#checkout >> payment-form >>> input");
+  assert.equal(formatTarget(["img"]), "img");
+});
+
+test("nodes in an iframe or a shadow root are annotated with where they sit", () => {
+  assert.equal(nodeLocation(["img"]), null);
+  assert.deepEqual(nodeLocation(["iframe#ads", "img"]), { frame: "iframe#ads", shadowHost: null });
+  assert.deepEqual(nodeLocation([["chat-widget", "button"]]), { frame: null, shadowHost: "chat-widget" });
+
+  const results = {
+    violations: [{ id: "image-alt", nodes: [{ target: ["img"] }, { target: ["iframe#ads", "img"] }] }],
+    passes: [{ id: "button-name", nodes: [{ target: [["chat-widget", "button"]] }] }]
+  };
+  assert.equal(annotateNodeLocations(results), 2);
+  assert.equal(results.violations[0].nodes[0].location, undefined);
+  assert.deepEqual(results.violations[0].nodes[1].location, { frame: "iframe#ads", shadowHost: null });
+  assert.deepEqual(results.passes[0].nodes[0].location, { frame: null, shadowHost: "chat-widget" });
+});
@@ -0,0 +1,125 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { scopeOf, loadSitemap, loadUrlList, crawlSite } from "../index.mjs";
+
+const SITE = new URL("../../fixtures/site/", import.meta.url);
+
+let reportDir;
+
+before(async () => {
+  reportDir = await fs.mkdtemp(path.join(os.tmpdir(), "crawl-"));
+  // The crawl's progress lines are not under test
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+after(async () => {
+  await fs.rm(reportDir, { recursive: true, force: true });
+});
+
+// Stands in for a runner: reads the fixture page from disk and returns its
+// links the way document.links would, resolved against the page
+async function auditFixture(url) {
+  const html = await fs.readFile(fileURLToPath(url), "utf8");
+  const links = [...html.matchAll(/href="([^"]*)"/g)].map(match => new URL(match[1], url).href);
+  return { results: { url, violations: [] }, links };
+}
+
+function fixture(file) {
+  return new URL(file, SITE).href;
+}
+
+function crawl(options) {
+  return crawlSite({ reportDir, auditPage: auditFixture, ...options });
+}
+
+function relative(pages) {
+  return pages.map(page => page.url.slice(SITE.href.length));
+}
+
+test("follows links breadth first and skips other sites, mailto: and assets", async () => {
+  const pages = await crawl({ startUrl: fixture("index.html") });
+  assert.deepEqual(relative(pages), ["index.html", "about.html", "products/index.html", "contact.html", "products/widget.html"]);
+  assert.deepEqual(pages.map(page => page.depth), [0, 1, 1, 1, 2]);
+});
+
+test("a file: crawl stays in the start page's directory", async () => {
+  assert.equal(scopeOf(fixture("products/index.html")), fixture("products/"));
+  const pages = await crawl({ startUrl: fixture("products/index.html") });
+  assert.deepEqual(relative(pages), ["products/index.html", "products/widget.html"]);
+});
+
+test("an http crawl stays on the start page's origin", async () => {
+  const links = {
+    "https://site.test/": ["https://site.test/a", "https://site.test/b#top", "http://site.test/c", "https://cdn.site.test/d", "https://other.test/"],
+    "https://site.test/a": ["https://site.test/"],
+    "https://site.test/b": []
+  };
+  const pages = await crawlSite({
+    startUrl: "https://site.test/",
+    reportDir,
+    auditPage: async url => ({ results: { url, violations: [] }, links: links[url] })
+  });
+  assert.deepEqual(pages.map(page => page.url), ["https://site.test/", "https://site.test/a", "https://site.test/b"]);
+});
+
+test("maxDepth and maxPages limit the crawl", async () => {
+  assert.deepEqual(relative(await crawl({ startUrl: fixture("index.html"), maxDepth: 0 })), ["index.html"]);
+  assert.deepEqual(relative(await crawl({ startUrl: fixture("index.html"), maxDepth: 1, maxPages: 3 })), ["index.html", "about.html", "products/index.html"]);
+});
+
+test("the progress counter counts pages against the page limit", async () => {
+  console.log.mock.resetCalls();
+  await crawl({ startUrl: fixture("index.html"), maxPages: 4 });
+
+  const progress = console.log.mock.calls.map(call => String(call.arguments[0])).filter(line => line.startsWith("\n📄"));
+  assert.deepEqual(progress.map(line => line.match(/\[(\d+\/\d+)\]/)[1]), ["1/4", "2/4", "3/4", "4/4"]);
+});
+
+test("seeds come from a sitemap or a URL list, resolved against the file", async () => {
+  const sitemap = fileURLToPath(fixture("sitemap.xml"));
+  assert.deepEqual(await loadSitemap(sitemap), [fixture("index.html"), fixture("about.html"), fixture("products/widget.html")]);
+  assert.deepEqual(relative(await crawl({ sitemap, maxDepth: 0 })), ["index.html", "about.html", "products/widget.html"]);
+
+  const urlList = fileURLToPath(fixture("urls.txt"));
+  assert.deepEqual(await loadUrlList(urlList), [fixture("about.html"), fixture("contact.html")]);
+  assert.deepEqual(relative(await crawl({ urlList, maxDepth: 0 })), ["about.html", "contact.html"]);
+});
+
+test("a page that fails is recorded and the crawl goes on", async () => {
+  const pages = await crawlSite({
+    startUrl: fixture("index.html"),
+    maxDepth: 1,
+    reportDir,
+    auditPage: async url => {
+      if (url.endsWith("about.html")) throw new Error("net::ERR_CONNECTION_REFUSED");
+      return auditFixture(url);
+    }
+  });
+  assert.equal(pages.length, 4);
+  const failed = pages.find(page => page.url.endsWith("about.html"));
+  assert.equal(failed.results, undefined);
+  assert.match(failed.error, /ERR_CONNECTION_REFUSED/);
+  assert.ok(pages.filter(page => page !== failed).every(page => page.results));
+});
+
+test("each page gets its own report directory", async () => {
+  const pages = await crawl({ startUrl: fixture("index.html"), maxDepth: 0 });
+  assert.equal(path.dirname(pages[0].reportDir), path.join(reportDir, "pages"));
+  assert.ok((await fs.stat(pages[0].reportDir)).isDirectory());
+});
+
+test("a crawl needs at least one seed", async () => {
+  await assert.rejects(crawl({}), /Crawl needs a start URL/);
+});
+
+test("a concurrent crawl finds the same pages in the same order", async () => {
+  const sequential = await crawl({ startUrl: fixture("index.html") });
+  const concurrent = await crawl({ startUrl: fixture("index.html"), concurrency: 3 });
+  assert.deepEqual(relative(concurrent), relative(sequential));
+  assert.deepEqual(concurrent.map(page => page.depth), sequential.map(page => page.depth));
+});
@@ -0,0 +1,79 @@
+import { test, before, mock } from "node:test";
+import assert from "node:assert/strict";
+import { AuditError, classifyError, toAuditError, describeFailure, formatFailure, isRetryable, withRetries, navigateWithRetries } from "../index.mjs";
+
+before(() => {
+  // Retries are announced on the console
+  mock.method(console, "log", () => {});
+});
+
+test("driver errors are classified by their message", () => {
+  assert.equal(classifyError(new Error("net::ERR_NAME_NOT_RESOLVED at https://nope.test/")), "network");
+  assert.equal(classifyError(new Error("NS_ERROR_CONNECTION_REFUSED")), "network");
+  assert.equal(classifyError(new Error("page.goto: Timeout 30000ms exceeded.")), "timeout");
+  assert.equal(classifyError(new Error("Refused to execute inline script because it violates the following Content Security Policy directive")), "csp");
+  assert.equal(classifyError(new Error("something else")), "unknown");
+  assert.equal(classifyError(new AuditError("HTTP 404", { category: "http", status: 404 })), "http");
+});
+
+test("failures are described with their category, first line and attempts", () => {
+  const error = new Error("net::ERR_CONNECTION_REFUSED at https://example.com/\n=== logs ===");
+  error.attempts = 3;
+  const wrapped = toAuditError(error);
+
+  assert.ok(wrapped instanceof AuditError);
+  assert.equal(wrapped.cause, error);
+  assert.deepEqual(describeFailure(wrapped), {
+    category: "network",
+    label: "DNS/connection",
+    message: "net::ERR_CONNECTION_REFUSED at https://example.com/",
+    attempts: 3
+  });
+  assert.equal(formatFailure(describeFailure(wrapped)), "[DNS/connection] net::ERR_CONNECTION_REFUSED at https://example.com/ (after 3 attempts)");
+});
+
+test("only failures that may go away are retried", () => {
+  assert.ok(isRetryable(new AuditError("HTTP 503", { category: "http", status: 503 })));
+  assert.ok(isRetryable(new AuditError("HTTP 429", { category: "http", status: 429 })));
+  assert.ok(!isRetryable(new AuditError("HTTP 404", { category: "http", status: 404 })));
+  assert.ok(isRetryable(new Error("net::ERR_CONNECTION_RESET")));
+  assert.ok(!isRetryable(new Error("getaddrinfo ENOTFOUND nope.test")));
+  assert.ok(isRetryable(new Error("Timeout 100ms exceeded")));
+  assert.ok(!isRetryable(new Error("axe is not defined")));
+});
+
+test("withRetries backs off and records the attempts", async () => {
+  const delays = [];
+  let calls = 0;
+  const result = await withRetries(async attempt => {
+    calls++;
+    if (attempt < 3) throw new Error("net::ERR_CONNECTION_RESET");
+    return "loaded";
+  }, { retries: 3, retryDelay: 1, onRetry: (error, attempt, delay) => delays.push(delay) });
+
+  assert.equal(result, "loaded");
+  assert.equal(calls, 3);
+  assert.deepEqual(delays, [1, 2]);
+
+  await assert.rejects(withRetries(async () => {
+    throw new Error("Timeout 10ms exceeded");
+  }, { retries: 1, retryDelay: 1 }), error => error.attempts === 2);
+});
+
+test("navigateWithRetries fails on an HTTP error status and retries 5xx", async () => {
+  const responses = [
+    { status: () => 503, statusText: () => "Service Unavailable" },
+    { status: () => 200, statusText: () => "OK" }
+  ];
+  const ok = await navigateWithRetries(async () => responses.shift(), { retries: 2, retryDelay: 1 });
+  assert.equal(ok.status(), 200);
+
+  // fetch() responses have properties instead of methods
+  await assert.rejects(
+    navigateWithRetries(async () => ({ status: 404, statusText: "Not Found" }), { retries: 2, retryDelay: 1 }),
+    error => error.category === "http" && error.status === 404 && error.message === "HTTP 404 Not Found" && error.attempts === 1
+  );
+
+  // Drivers that do not expose a response only fail on errors
+  assert.equal(await navigateWithRetries(async () => undefined), undefined);
+});
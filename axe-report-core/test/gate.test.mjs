@@ -0,0 +1,90 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { EXIT_CODES, parseFailOn, loadBudget, evaluateGate, worstExitCode } from "../index.mjs";
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "gate-"));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+function summary({ critical = 0, serious = 0, moderate = 0, minor = 0, rules = {}, newByImpact } = {}) {
+  return {
+    violationsByImpact: { critical, serious, moderate, minor },
+    violationsByRule: rules,
+    ...(newByImpact ? { diff: { newByImpact: { critical: 0, serious: 0, moderate: 0, minor: 0, ...newByImpact } } } : {})
+  };
+}
+
+async function budgetFile(content) {
+  const file = path.join(tmp, `budget-${Math.random().toString(36).slice(2)}.json`);
+  await fs.writeFile(file, content);
+  return file;
+}
+
+test("a run without thresholds or budgets passes", () => {
+  assert.deepEqual(evaluateGate(summary({ critical: 3 })), { passed: true, exitCode: EXIT_CODES.passed, breaches: [] });
+});
+
+test("--fail-on breaches any violation at the listed impacts", () => {
+  const gate = evaluateGate(summary({ serious: 2, minor: 5 }), { failOn: ["critical", "serious"] });
+  assert.equal(gate.passed, false);
+  assert.equal(gate.exitCode, EXIT_CODES.impactThreshold);
+  assert.deepEqual(gate.breaches.map(breach => [breach.type, breach.key, breach.actual]), [["impactThreshold", "serious", 2]]);
+});
+
+test("impact keys in a budget cap rules, other keys cap elements of one rule", () => {
+  const result = summary({ moderate: 3, rules: { "color-contrast": 12, "image-alt": 1 } });
+
+  const impact = evaluateGate(result, { budget: { moderate: 2 } });
+  assert.equal(impact.exitCode, EXIT_CODES.impactBudget);
+
+  const rule = evaluateGate(result, { budget: { "color-contrast": 10, "image-alt": 1, "link-name": 0 } });
+  assert.equal(rule.exitCode, EXIT_CODES.ruleBudget);
+  assert.deepEqual(rule.breaches.map(breach => breach.key), ["color-contrast"]);
+
+  assert.equal(evaluateGate(result, { budget: { moderate: 3, "color-contrast": 12 } }).passed, true);
+});
+
+test("--fail-on-new only counts violations that are new since the baseline", () => {
+  const result = summary({ critical: 4, newByImpact: { serious: 1 } });
+  assert.equal(evaluateGate(result, { failOnNew: ["critical"] }).passed, true);
+  assert.equal(evaluateGate(result, { failOnNew: ["serious"] }).exitCode, EXIT_CODES.newViolations);
+});
+
+test("the lowest breached exit code wins", () => {
+  const gate = evaluateGate(summary({ critical: 1, rules: { "image-alt": 2 } }), {
+    failOn: ["critical"],
+    budget: { "image-alt": 0 }
+  });
+  assert.equal(gate.breaches.length, 2);
+  assert.equal(gate.exitCode, EXIT_CODES.impactThreshold);
+});
+
+test("worstExitCode ignores passes and keeps the lowest failure", () => {
+  assert.equal(worstExitCode([]), EXIT_CODES.passed);
+  assert.equal(worstExitCode([EXIT_CODES.passed, EXIT_CODES.passed]), EXIT_CODES.passed);
+  assert.equal(worstExitCode([EXIT_CODES.ruleBudget, EXIT_CODES.passed, EXIT_CODES.impactBudget]), EXIT_CODES.impactBudget);
+  assert.equal(worstExitCode([EXIT_CODES.ruleBudget, EXIT_CODES.error]), EXIT_CODES.error);
+  assert.equal(worstExitCode([EXIT_CODES.newViolations, EXIT_CODES.ruleBudget]), EXIT_CODES.ruleBudget);
+});
+
+test("--fail-on levels are validated", () => {
+  assert.deepEqual(parseFailOn(" Critical, serious ,"), ["critical", "serious"]);
+  assert.deepEqual(parseFailOn(""), []);
+  assert.throws(() => parseFailOn("critical,high"), /Unknown impact level\(s\) for --fail-on: high/);
+});
+
+test("budget files must map keys to non-negative integers", async () => {
+  assert.deepEqual(await loadBudget(await budgetFile("{ \"color-contrast\": 5, \"serious\": 0 }")), { "color-contrast": 5, serious: 0 });
+  await assert.rejects(loadBudget(await budgetFile("[]")), /must contain a JSON object/);
+  await assert.rejects(loadBudget(await budgetFile("{ \"serious\": -1 }")), /budget for "serious".* must be a non-negative integer/i);
+  await assert.rejects(loadBudget(await budgetFile("{ serious: 1 }")), /Could not read budget file/);
+});
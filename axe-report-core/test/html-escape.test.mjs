@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { escapeHtml, safeUrl, impactClass, renderHTMLReport } from "../index.mjs";
+
+const PAYLOAD = "\"><script>alert('xss')</script><img src=x onerror=alert(1)>";
+
+test("escapeHtml leaves no markup behind", () => {
+  assert.equal(
+    escapeHtml(PAYLOAD),
+    "&quot;&gt;&lt;script&gt;alert(&#39;xss&#39;)&lt;/script&gt;&lt;img src=x onerror=alert(1)&gt;"
+  );
+  assert.equal(escapeHtml("Tom & Jerry"), "Tom &amp; Jerry");
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(42), "42");
+});
+
+test("safeUrl only lets http(s), file and relative links through", () => {
+  assert.equal(safeUrl("https://example.com/?a=1&b=2"), "https://example.com/?a=1&amp;b=2");
+  assert.equal(safeUrl("file:///tmp/site/index.html"), "file:///tmp/site/index.html");
+  assert.equal(safeUrl("pages/home/report.html"), "pages/home/report.html");
+
+  for (const url of ["javascript:alert(1)", " JavaScript:alert(1)", "java\nscript:alert(1)", "java\tscript:alert(1)", "data:text/html,<script>alert(1)</script>", "vbscript:msgbox", "", undefined]) {
+    assert.equal(safeUrl(url), "#", JSON.stringify(url));
+  }
+
+  assert.equal(safeUrl(`https://example.com/${PAYLOAD}`), `https://example.com/${escapeHtml(PAYLOAD)}`);
+});
+
+test("impactClass drops anything that is not an impact level", () => {
+  assert.equal(impactClass("serious"), "serious");
+  assert.equal(impactClass("serious\" onmouseover=\"alert(1)"), "");
+  assert.equal(impactClass(undefined), "");
+});
+
+test("a hostile page cannot inject markup into the HTML report", () => {
+  const node = { target: [PAYLOAD], html: PAYLOAD, failureSummary: PAYLOAD };
+  const html = renderHTMLReport({
+    url: `https://example.com/${PAYLOAD}`,
+    timestamp: "2024-05-01T10:00:00.000Z",
+    violations: [{
+      id: "image-alt",
+      impact: PAYLOAD,
+      description: PAYLOAD,
+      help: PAYLOAD,
+      helpUrl: "javascript:alert(1)",
+      tags: [PAYLOAD],
+      nodes: [node, { ...node, target: ["#second"] }]
+    }],
+    incomplete: [],
+    passes: [],
+    inapplicable: []
+  });
+
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.doesNotMatch(html, /<img src=x/);
+  assert.doesNotMatch(html, /href="javascript:/);
+  // Every affected node is listed, not only the first
+  assert.match(html, /#second/);
+});
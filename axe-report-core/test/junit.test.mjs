@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { escapeXml, renderJUnitSuite, renderJUnitReport } from "../index.mjs";
+
+function rule(id, nodes = [], extra = {}) {
+  return { id, help: `${id} help`, helpUrl: `https://dequeuniversity.com/rules/axe/4.8/${id}`, impact: "serious", nodes, ...extra };
+}
+
+const results = {
+  url: "https://example.com/",
+  timestamp: "2024-05-01T10:00:00.000Z",
+  testEngine: { version: "4.8.3" },
+  violations: [
+    rule("image-alt", [{ target: ["img.hero"], html: "<img class=\"hero\">", failureSummary: "Fix any of the following:\n  Element does not have an alt attribute" }], { impact: "critical" })
+  ],
+  incomplete: [rule("color-contrast", [{ target: ["p"], html: "<p>" }])],
+  passes: [rule("document-title"), rule("html-has-lang")]
+};
+
+function attributes(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag} ([^>]*)>`));
+  return Object.fromEntries([...match[1].matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, value]));
+}
+
+test("each rule is a testcase: violations fail, incomplete rules are skipped, passes pass", () => {
+  const xml = renderJUnitSuite({ url: results.url, browser: "firefox", results });
+  const suite = attributes(xml, "testsuite");
+
+  assert.equal(suite.name, "https://example.com/ [firefox]");
+  assert.deepEqual([suite.tests, suite.failures, suite.errors, suite.skipped], ["4", "1", "0", "1"]);
+  assert.equal(suite.timestamp, "2024-05-01T10:00:00.000");
+  assert.match(xml, /<property name="axe-core" value="4.8.3"\/>/);
+
+  assert.match(xml, /<failure message="image-alt help \(1 element\(s\), critical impact\)" type="critical">/);
+  assert.match(xml, /Target: img.hero\nFix any of the following:\n {2}Element does not have an alt attribute\nHTML: &lt;img class=&quot;hero&quot;&gt;/);
+  assert.match(xml, /name="color-contrast: color-contrast help" time="0">\s*<skipped message="Needs review: 1 element\(s\)/);
+  assert.match(xml, /<testcase classname="https:\/\/example.com\/ \[firefox\]" name="document-title: document-title help" time="0"\/>/);
+});
+
+test("a page that failed to load is one errored testcase", () => {
+  const xml = renderJUnitSuite({ url: "https://example.com/down", error: "HTTP 503 <Service Unavailable>" });
+  assert.deepEqual(
+    [attributes(xml, "testsuite").tests, attributes(xml, "testsuite").errors],
+    ["1", "1"]
+  );
+  assert.match(xml, /<error message="HTTP 503 &lt;Service Unavailable&gt;"\/>/);
+});
+
+test("the report totals every suite", () => {
+  const xml = renderJUnitReport([
+    { url: results.url, browser: "chromium", results },
+    { url: results.url, browser: "webkit", results },
+    { url: "https://example.com/down", error: "timeout" }
+  ]);
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n/);
+  assert.deepEqual(attributes(xml, "testsuites"), {
+    name: "Accessibility",
+    tests: "9",
+    failures: "2",
+    errors: "1",
+    skipped: "2",
+    time: "0"
+  });
+  assert.equal(xml.match(/<testsuite /g).length, 3);
+});
+
+test("incomplete rules without nodes left, e.g. after review, are not testcases", () => {
+  const reviewed = { ...results, incomplete: [...results.incomplete, rule("aria-valid-attr-value")] };
+
+  assert.deepEqual(attributes(renderJUnitSuite({ url: results.url, results: reviewed }), "testsuite").skipped, "1");
+  assert.doesNotMatch(renderJUnitSuite({ url: results.url, results: reviewed }), /aria-valid-attr-value/);
+  const report = attributes(renderJUnitReport([{ url: results.url, results: reviewed }]), "testsuites");
+  assert.deepEqual([report.tests, report.skipped], ["4", "1"]);
+});
+
+test("escapeXml escapes markup and drops characters XML cannot hold", () => {
+  assert.equal(escapeXml("<a href=\"x\" title='y'>&</a>"), "&lt;a href=&quot;x&quot; title=&apos;y&apos;&gt;&amp;&lt;/a&gt;");
+  assert.equal(escapeXml("bell\u0007 tab\t"), "bell tab\t");
+  assert.equal(escapeXml(undefined), "");
+});
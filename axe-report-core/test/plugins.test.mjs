@@ -0,0 +1,123 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { validatePlugin, loadPlugins, pluginScript, withPluginTags, recordPlugins } from "../index.mjs";
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "plugins-"));
+  mock.method(console, "log", () => {});
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+const metadata = { description: "Buttons have a test id", help: "Add data-testid", helpUrl: "https://a11y.acme.test/testid" };
+
+function plugin(overrides = {}) {
+  return {
+    name: "acme",
+    tags: { acme: "ACME conventions" },
+    checks: [{ id: "has-testid", evaluate: node => node.hasAttribute("data-testid") }],
+    rules: [{ id: "acme-testid", selector: "button", tags: ["acme"], any: ["has-testid"], metadata }],
+    ...overrides
+  };
+}
+
+async function writePlugin(dir, file, source) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, file), source);
+  return path.join(dir, file);
+}
+
+// Runs the generated script against a stand-in for axe and returns what it
+// passed to axe.configure()
+function configured(script) {
+  let spec = null;
+  new Function("window", script)({ axe: { configure: value => { spec = value; } } });
+  return spec;
+}
+
+test("every problem in a plugin is reported in one error", () => {
+  assert.equal(validatePlugin(plugin(), "acme.mjs").name, "acme");
+
+  assert.throws(() => validatePlugin(plugin({
+    checks: [{ evaluate: "node => true" }],
+    rules: [{ id: "acme-label", any: [{}], metadata: { help: "Label it", helpUrl: "docs/label" } }]
+  }), "acme.mjs"), error => {
+    assert.deepEqual(error.message.split("\n"), [
+      "Invalid plugin acme.mjs:",
+      "  - checks[0] has no \"id\"",
+      "  - checks[0].evaluate must be a function",
+      "  - rules[0] (acme-label) has no metadata.description",
+      "  - rules[0] (acme-label) needs a metadata.helpUrl starting with http:// or https://",
+      "  - rules[0] (acme-label).any lists a check without an id"
+    ]);
+    return true;
+  });
+  assert.throws(() => validatePlugin({ rules: {}, checks: [] }, "empty.mjs"), /"rules" must be an array\n  - exports no rules or checks/);
+});
+
+test("plugins are loaded from files and directories in file name order", async () => {
+  const dir = path.join(tmp, "ordered");
+  await writePlugin(dir, "b-forms.mjs", `export const rules = [{ id: "forms-rule", selector: "form", any: [], metadata: ${JSON.stringify(metadata)} }];`);
+  await writePlugin(dir, "a-acme.mjs", `export default { name: "acme", rules: [{ id: "acme-rule", selector: "button", any: [], metadata: ${JSON.stringify(metadata)} }] };`);
+  await writePlugin(dir, "_helpers.mjs", "throw new Error('not a plugin');");
+  await writePlugin(dir, "notes.txt", "not a plugin");
+
+  const plugins = await loadPlugins(dir);
+  assert.deepEqual(plugins.map(loaded => [loaded.name, loaded.rules.map(rule => rule.id)]), [["acme", ["acme-rule"]], ["b-forms", ["forms-rule"]]]);
+  assert.deepEqual(await loadPlugins(undefined), []);
+  await assert.rejects(loadPlugins(path.join(tmp, "missing")), /Could not read plugins from/);
+});
+
+test("a rule or check id can only be defined once across plugins", async () => {
+  const dir = path.join(tmp, "duplicates");
+  const rules = `[{ id: "shared-rule", selector: "a", any: [], metadata: ${JSON.stringify(metadata)} }]`;
+  await writePlugin(dir, "one.mjs", `export default { name: "one", rules: ${rules} };`);
+  await writePlugin(dir, "two.mjs", `export default { name: "two", rules: ${rules} };`);
+
+  await assert.rejects(loadPlugins(dir), /Invalid plugin .*two\.mjs: rule "shared-rule" is already defined by one/);
+});
+
+test("the plugin script registers checks and rules with their functions", () => {
+  assert.equal(pluginScript([]), "");
+
+  const spec = configured(pluginScript([plugin({
+    checks: [
+      { id: "arrow", evaluate: node => node.id === "ok" },
+      { id: "shorthand", evaluate(node) { return node.id === "ok"; }, after: undefined },
+      { id: "async-fn", async evaluate(node) { return Boolean(node); } },
+      { id: "keyword", evaluate: function (node) { return node.id !== "ok"; } }
+    ]
+  })]));
+
+  assert.deepEqual(spec.checks.map(check => check.id), ["arrow", "shorthand", "async-fn", "keyword"]);
+  assert.ok(!("after" in spec.checks[1]));
+  assert.deepEqual(spec.checks.slice(0, 2).map(check => check.evaluate({ id: "ok" })), [true, true]);
+  assert.equal(spec.checks[3].evaluate({ id: "ok" }), false);
+  assert.ok(spec.checks[2].evaluate({}) instanceof Promise);
+
+  // Rules are tagged with their plugin's name
+  assert.deepEqual(spec.rules[0].tags, ["acme"]);
+  assert.deepEqual(configured(pluginScript([plugin({ name: "forms" })])).rules[0].tags, ["acme", "forms"]);
+});
+
+test("tag-based runOnly options take the plugins' rules in", () => {
+  const plugins = [plugin()];
+  assert.deepEqual(withPluginTags({ runOnly: { type: "tag", values: ["wcag2a"] } }, plugins), { runOnly: { type: "tag", values: ["wcag2a", "acme"] } });
+  assert.deepEqual(withPluginTags({ runOnly: { type: "tags", values: "acme" } }, plugins).runOnly.values, ["acme"]);
+
+  const byRule = { runOnly: { type: "rule", values: ["image-alt"] } };
+  assert.equal(withPluginTags(byRule, plugins), byRule);
+  assert.equal(withPluginTags(byRule, []), byRule);
+  assert.deepEqual(withPluginTags({}, plugins), {});
+
+  const results = recordPlugins({ violations: [] }, plugins);
+  assert.deepEqual(results.plugins, [{ name: "acme", tags: { acme: "ACME conventions" }, rules: ["acme-testid"] }]);
+  assert.equal(recordPlugins({}, []).plugins, undefined);
+});
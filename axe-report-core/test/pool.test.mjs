@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { runPool } from "../index.mjs";
+
+// A worker that records how many jobs are in flight at once
+function tracked(delays) {
+  const stats = { running: 0, peak: 0, started: [] };
+  const worker = async (item, index) => {
+    stats.started.push(item);
+    stats.running++;
+    stats.peak = Math.max(stats.peak, stats.running);
+    await sleep(delays[index]);
+    stats.running--;
+    return item * 10;
+  };
+  return { stats, worker };
+}
+
+test("no more than `concurrency` jobs run at once", async () => {
+  const { stats, worker } = tracked([20, 5, 15, 5, 10, 5, 5]);
+  await runPool([1, 2, 3, 4, 5, 6, 7], worker, { concurrency: 3 });
+  assert.equal(stats.peak, 3);
+  assert.equal(stats.running, 0);
+  assert.deepEqual(stats.started, [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test("results keep the order of the items whatever order jobs finish in", async () => {
+  const { worker } = tracked([30, 1, 10, 1]);
+  assert.deepEqual(await runPool([1, 2, 3, 4], worker, { concurrency: 4 }), [10, 20, 30, 40]);
+});
+
+test("concurrency defaults to one job at a time and never exceeds the items", async () => {
+  const sequential = tracked([5, 1, 1]);
+  await runPool([1, 2, 3], sequential.worker);
+  assert.equal(sequential.stats.peak, 1);
+
+  const wide = tracked([5, 5]);
+  assert.deepEqual(await runPool([1, 2], wide.worker, { concurrency: 10 }), [10, 20]);
+  assert.equal(wide.stats.peak, 2);
+
+  assert.deepEqual(await runPool([], wide.worker, { concurrency: 3 }), []);
+  assert.deepEqual(await runPool([1], sequential.worker, { concurrency: 0 }), [10]);
+});
+
+test("a throwing worker stops new jobs and the error surfaces after running ones settle", async () => {
+  const started = [];
+  const finished = [];
+
+  await assert.rejects(runPool([1, 2, 3, 4, 5], async item => {
+    started.push(item);
+    if (item === 2) throw new Error("worker 2 failed");
+    await sleep(10);
+    finished.push(item);
+  }, { concurrency: 2 }), /worker 2 failed/);
+
+  // 1 was already running when 2 failed: it finished before the pool
+  // rejected, and nothing was started after the failure
+  assert.deepEqual(started, [1, 2]);
+  assert.deepEqual(finished, [1]);
+});
+
+test("only the first error is rethrown", async () => {
+  await assert.rejects(runPool([1, 2], async item => {
+    await sleep(item === 1 ? 10 : 1);
+    throw new Error(`worker ${item} failed`);
+  }, { concurrency: 2 }), /worker 2 failed/);
+});
@@ -0,0 +1,122 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { loadReviewDecisions, resolveReviewDecisions, reviewEntry, applyReviewDecisions } from "../index.mjs";
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "review-"));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+async function reviewFile(content) {
+  const file = path.join(tmp, `review-${Math.random().toString(36).slice(2)}.json`);
+  await fs.writeFile(file, typeof content === "string" ? content : JSON.stringify(content));
+  return file;
+}
+
+const URL = "https://example.com/products?page=2";
+const banner = { target: [".banner h1"], html: "<h1>Sale</h1>" };
+const footer = { target: ["footer p"], html: "<p>© Example</p>" };
+const caption = { target: ["figcaption"], html: "<figcaption>Chart</figcaption>" };
+
+function results() {
+  return {
+    url: URL,
+    violations: [],
+    passes: [],
+    inapplicable: [],
+    incomplete: [
+      { id: "color-contrast", impact: "serious", help: "Contrast", nodes: [banner, footer] },
+      { id: "aria-valid-attr-value", impact: "critical", help: "ARIA", nodes: [caption] }
+    ]
+  };
+}
+
+function decide(ruleId, node, decision, note) {
+  return { ...reviewEntry(URL, ruleId, node), decision, note, decidedAt: "2024-05-01T10:00:00.000Z" };
+}
+
+test("review entries identify a node by page path and fingerprint", () => {
+  const entry = reviewEntry(URL, "color-contrast", banner);
+  assert.equal(entry.page, "/products?page=2");
+  assert.equal(entry.ruleId, "color-contrast");
+  assert.equal(entry.target, ".banner h1");
+  assert.deepEqual(reviewEntry("https://staging.example.com/products?page=2", "color-contrast", banner), entry);
+});
+
+test("decisions move incomplete nodes to passes, violations or inapplicable", () => {
+  const audited = results();
+  const applied = applyReviewDecisions(audited, {
+    version: 1,
+    decisions: [
+      decide("color-contrast", banner, "fail", "White on yellow"),
+      decide("color-contrast", footer, "pass"),
+      decide("aria-valid-attr-value", caption, "na")
+    ]
+  });
+
+  assert.equal(applied, 3);
+  assert.deepEqual(audited.incomplete, []);
+  assert.deepEqual(audited.violations.map(rule => [rule.id, rule.nodes.map(node => node.target[0])]), [["color-contrast", [".banner h1"]]]);
+  assert.deepEqual(audited.passes.map(rule => [rule.id, rule.nodes.map(node => node.target[0])]), [["color-contrast", ["footer p"]]]);
+  assert.deepEqual(audited.inapplicable.map(rule => rule.id), ["aria-valid-attr-value"]);
+  assert.deepEqual(audited.violations[0].nodes[0].review, { decision: "fail", note: "White on yellow", decidedAt: "2024-05-01T10:00:00.000Z" });
+});
+
+test("reviewed nodes join a rule already in the target list, undecided nodes stay incomplete", () => {
+  const audited = results();
+  audited.passes.push({ id: "color-contrast", impact: null, nodes: [{ target: ["nav a"] }] });
+
+  assert.equal(applyReviewDecisions(audited, { version: 1, decisions: [decide("color-contrast", footer, "pass")] }), 1);
+  assert.equal(audited.passes.length, 1);
+  assert.deepEqual(audited.passes[0].nodes.map(node => node.target[0]), ["nav a", "footer p"]);
+  assert.deepEqual(audited.incomplete.map(rule => [rule.id, rule.nodes.length]), [["color-contrast", 1], ["aria-valid-attr-value", 1]]);
+});
+
+test("a failure confirmed in review always has an impact the gate can count", () => {
+  const audited = results();
+  audited.incomplete[0].impact = null;
+  audited.violations.push({ id: "color-contrast", impact: "minor", nodes: [{ target: ["nav a"], impact: "minor" }] });
+
+  applyReviewDecisions(audited, {
+    version: 1,
+    decisions: [decide("color-contrast", banner, "fail", "Unreadable"), decide("aria-valid-attr-value", caption, "fail", "Invalid")]
+  });
+
+  const contrast = audited.violations.find(rule => rule.id === "color-contrast");
+  assert.equal(contrast.nodes[1].impact, "moderate");
+  assert.equal(contrast.impact, "moderate");
+  const aria = audited.violations.find(rule => rule.id === "aria-valid-attr-value");
+  assert.equal(aria.nodes[0].impact, "critical");
+  assert.equal(aria.impact, "critical");
+});
+
+test("decisions for another page are not applied", () => {
+  const audited = results();
+  const other = { ...decide("color-contrast", banner, "fail"), page: "/about" };
+  assert.equal(applyReviewDecisions(audited, { version: 1, decisions: [other] }), 0);
+  assert.equal(applyReviewDecisions(audited, null), 0);
+  assert.equal(audited.violations.length, 0);
+});
+
+test("review files are validated", async () => {
+  const review = { version: 1, decisions: [decide("color-contrast", banner, "pass", "Checked by hand")] };
+  assert.deepEqual(await loadReviewDecisions(await reviewFile(review)), review);
+  assert.deepEqual(await resolveReviewDecisions(await reviewFile(review)), review);
+  assert.equal(await resolveReviewDecisions(review), review);
+  assert.equal(await resolveReviewDecisions(null), null);
+
+  await assert.rejects(loadReviewDecisions(await reviewFile("{")), /Could not read review file/);
+  await assert.rejects(loadReviewDecisions(await reviewFile({ version: 2, decisions: [] })), /is not a review file \(expected version 1 with a decisions array\)/);
+  await assert.rejects(
+    loadReviewDecisions(await reviewFile({ version: 1, decisions: [{ decision: "maybe" }, { decision: "maybe" }] })),
+    /unknown decision\(s\) "maybe" \(expected pass, fail, na\)/
+  );
+});
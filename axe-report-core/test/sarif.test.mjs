@@ -0,0 +1,100 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { buildSarifLog, loadReportEntries, fingerprintNode } from "../index.mjs";
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "sarif-"));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+function violation(id, impact, nodes) {
+  return {
+    id,
+    impact,
+    help: `${id} help`,
+    description: `${id} description`,
+    helpUrl: `https://dequeuniversity.com/rules/axe/4.8/${id}`,
+    tags: ["wcag2a"],
+    nodes
+  };
+}
+
+function results(url, violations) {
+  return { url, testEngine: { version: "4.8.3" }, violations, incomplete: [], passes: [] };
+}
+
+const hero = { target: ["img.hero"], html: "<img class=\"hero\">", failureSummary: "Add an alt attribute" };
+const logo = { target: ["img.logo"], html: "<img class=\"logo\">", impact: "minor" };
+
+test("each violating element is a result that points at its rule", () => {
+  const log = buildSarifLog([
+    { url: "https://example.com/", browser: "chromium", results: results("https://example.com/", [violation("image-alt", "critical", [hero, logo])]) },
+    { url: "https://example.com/about", browser: "chromium", results: results("https://example.com/about", [
+      violation("link-name", "moderate", [{ target: ["a"], html: "<a>" }]),
+      violation("image-alt", "critical", [hero])
+    ]) }
+  ]);
+
+  assert.equal(log.version, "2.1.0");
+  assert.equal(log.runs.length, 1);
+  const [run] = log.runs;
+
+  assert.equal(run.tool.driver.version, "4.8.3");
+  assert.deepEqual(run.tool.driver.rules.map(rule => [rule.id, rule.defaultConfiguration.level]), [["image-alt", "error"], ["link-name", "warning"]]);
+  assert.deepEqual(run.artifacts.map(artifact => artifact.location.uri), ["https://example.com/", "https://example.com/about"]);
+  assert.deepEqual(run.properties, { browser: "chromium" });
+
+  assert.deepEqual(
+    run.results.map(result => [result.ruleId, result.ruleIndex, result.level, result.locations[0].physicalLocation.artifactLocation.uri]),
+    [
+      ["image-alt", 0, "error", "https://example.com/"],
+      ["image-alt", 0, "note", "https://example.com/"],
+      ["link-name", 1, "warning", "https://example.com/about"],
+      ["image-alt", 0, "error", "https://example.com/about"]
+    ]
+  );
+
+  const [first] = run.results;
+  assert.equal(first.message.text, "Add an alt attribute");
+  assert.equal(first.locations[0].logicalLocations[0].fullyQualifiedName, "img.hero");
+  assert.equal(first.locations[0].physicalLocation.region.snippet.text, "<img class=\"hero\">");
+  assert.equal(first.partialFingerprints["axeNode/v1"], fingerprintNode("image-alt", hero));
+  assert.equal(run.results[1].message.text, "image-alt help");
+});
+
+test("there is one run per browser and failed pages are left out", () => {
+  const page = results("https://example.com/", [violation("image-alt", "serious", [hero])]);
+  const log = buildSarifLog([
+    { url: page.url, browser: "chromium", results: page },
+    { url: page.url, browser: "firefox", results: page },
+    { url: "https://example.com/down", browser: "firefox", error: "timeout" }
+  ]);
+
+  assert.deepEqual(log.runs.map(run => run.automationDetails.id), ["accessibility/chromium/", "accessibility/firefox/"]);
+  assert.deepEqual(log.runs.map(run => run.artifacts.length), [1, 1]);
+});
+
+test("report.json files are read as single-page or site reports", async () => {
+  const page = results("https://example.com/", [violation("image-alt", "serious", [hero])]);
+  await fs.mkdir(path.join(tmp, "pages", "home"), { recursive: true });
+  await fs.writeFile(path.join(tmp, "pages", "home", "report.json"), JSON.stringify({ summary: { browser: "webkit" }, results: page }));
+  await fs.writeFile(path.join(tmp, "report.json"), JSON.stringify({
+    pages: [
+      { url: page.url, reportPath: "pages/home/report.html" },
+      { url: "https://example.com/down", error: "timeout" }
+    ]
+  }));
+
+  assert.deepEqual(await loadReportEntries(path.join(tmp, "report.json")), [{ url: page.url, browser: "webkit", results: page }]);
+
+  await fs.writeFile(path.join(tmp, "other.json"), JSON.stringify({ hello: "world" }));
+  await assert.rejects(loadReportEntries(path.join(tmp, "other.json")), /is not a report.json written by these runners/);
+});
@@ -0,0 +1,91 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import { startStaticServer, findHtmlPages, auditSite } from "../index.mjs";
+
+let tmp;
+let server;
+
+// Raw requests, so ../ reaches the server instead of being resolved by the client
+function get(requestPath) {
+  return new Promise((resolve, reject) => {
+    http.get(new URL(requestPath.replace(/^\//, ""), server.url), { path: requestPath }, response => {
+      let body = "";
+      response.on("data", chunk => { body += chunk; });
+      response.on("end", () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    }).on("error", reject);
+  });
+}
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "static-site-"));
+  const site = path.join(tmp, "site");
+  await fs.mkdir(path.join(site, "blog"), { recursive: true });
+  await fs.mkdir(path.join(site, "empty"));
+  await fs.writeFile(path.join(site, "index.html"), "home");
+  await fs.writeFile(path.join(site, "about.html"), "about");
+  await fs.writeFile(path.join(site, "blog", "index.html"), "blog");
+  await fs.writeFile(path.join(tmp, "secret.txt"), "secret");
+  server = await startStaticServer(site);
+  // The site summary is not under test
+  mock.method(console, "log", () => {});
+});
+
+after(async () => {
+  await server?.close();
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test("directories serve their index.html under a trailing slash", async () => {
+  assert.equal((await get("/")).body, "home");
+  assert.equal((await get("/blog/")).body, "blog");
+
+  const redirect = await get("/blog?page=2");
+  assert.equal(redirect.status, 301);
+  assert.equal(redirect.headers.location, "/blog/?page=2");
+});
+
+test("extensionless paths fall back to the .html file", async () => {
+  const response = await get("/about");
+  assert.equal(response.status, 200);
+  assert.equal(response.body, "about");
+  assert.match(response.headers["content-type"], /^text\/html/);
+});
+
+test("missing files and directories without an index are 404s", async () => {
+  assert.equal((await get("/contact")).status, 404);
+  assert.equal((await get("/empty/")).status, 404);
+});
+
+test("paths cannot leave the served directory", async () => {
+  for (const requestPath of ["/../secret.txt", "/..%2fsecret.txt", "/%2e%2e/secret.txt", "/blog/../../secret.txt", "/%E0%A4%A"]) {
+    const response = await get(requestPath);
+    assert.equal(response.status, 404, requestPath);
+    assert.notEqual(response.body, "secret", requestPath);
+  }
+});
+
+test("the HTML pages are listed index first", async () => {
+  assert.deepEqual(await findHtmlPages(server.root), ["/", "/about.html", "/blog/"]);
+});
+
+test("auditSite serves a directory and audits each page without following links", async () => {
+  const reportDir = path.join(tmp, "report");
+  const audited = [];
+  const report = await auditSite({
+    dir: server.root,
+    reportDir,
+    auditUrl: async url => {
+      audited.push(new URL(url).pathname);
+      return { results: { url, violations: [], passes: [], incomplete: [], inapplicable: [] }, links: [new URL("/contact", url).href] };
+    }
+  });
+
+  assert.deepEqual(audited, ["/", "/about.html", "/blog/"]);
+  assert.equal(report.reportDir, reportDir);
+  const written = JSON.parse(await fs.readFile(path.join(reportDir, "report.json"), "utf8"));
+  assert.equal(written.pages.length, 3);
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { parseStoryIndex, loadStoryIndex, storyUrl, storyDirName, storySettings } from "../index.mjs";
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "storybook-"));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test("stories are read from index.json and stories.json without docs pages", async () => {
+  const index = {
+    v: 5,
+    entries: {
+      "button--primary": { id: "button--primary", title: "Button", name: "Primary", importPath: "./Button.stories.jsx", type: "story", tags: ["autodocs"] },
+      "button--docs": { id: "button--docs", title: "Button", name: "Docs", importPath: "./Button.stories.jsx", type: "docs" }
+    }
+  };
+  assert.deepEqual(parseStoryIndex(index), [
+    { id: "button--primary", title: "Button", name: "Primary", importPath: "./Button.stories.jsx", tags: ["autodocs"] }
+  ]);
+
+  const legacy = {
+    v: 3,
+    stories: {
+      "card--default": { id: "card--default", kind: "Card", story: "Default", parameters: { fileName: "./Card.stories.jsx" } },
+      "intro--page": { id: "intro--page", kind: "Intro", story: "Page", parameters: { docsOnly: true } }
+    }
+  };
+  const build = path.join(tmp, "storybook-static");
+  await fs.mkdir(build);
+  await fs.writeFile(path.join(build, "stories.json"), JSON.stringify(legacy));
+  assert.deepEqual(await loadStoryIndex(build), [
+    { id: "card--default", title: "Card", name: "Default", importPath: "./Card.stories.jsx", tags: [] }
+  ]);
+
+  await assert.rejects(loadStoryIndex(tmp), /No index\.json or stories\.json in/);
+});
+
+test("each story has an iframe URL and a report directory", () => {
+  assert.equal(storyUrl("http://127.0.0.1:6006/", "forms-input--with label"), "http://127.0.0.1:6006/iframe.html?id=forms-input--with%20label&viewMode=story");
+  assert.equal(storyDirName(4, { id: "forms/input--with label" }), "005-forms-input-with-label");
+});
+
+test("a story's a11y parameters narrow and adjust its audit", () => {
+  const settings = {
+    axeOptions: { runOnly: ["wcag2a"], rules: { region: { enabled: false } } },
+    context: { exclude: [[".ad"]] },
+    timeout: 30000
+  };
+
+  assert.deepEqual(storySettings(settings, {}, "#root"), { ...settings, context: { include: [["#root"]], exclude: [[".ad"]] } });
+
+  assert.deepEqual(storySettings(settings, {
+    config: { rules: [{ id: "color-contrast", enabled: false }, { id: "custom-check", selector: "*" }] },
+    options: { rules: { "image-alt": { enabled: true } } },
+    element: "#storybook-root .card"
+  }), {
+    ...settings,
+    axeOptions: {
+      runOnly: ["wcag2a"],
+      rules: { region: { enabled: false }, "color-contrast": { enabled: false }, "image-alt": { enabled: true } }
+    },
+    context: "#storybook-root .card"
+  });
+
+  assert.equal(storySettings(settings, { disable: true }).skip, "a11y disabled in the story parameters");
+  assert.equal(storySettings(settings, { test: "off" }).skip, "a11y disabled in the story parameters");
+});
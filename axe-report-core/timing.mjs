@@ -0,0 +1,49 @@
+import { performance } from "perf_hooks";
+
+// Order the phases are listed in; runners may record others, which follow
+export const TIMING_PHASES = ["launch", "navigate", "render", "screenshot", "inject", "analyze", "capture"];
+
+// Measures the phases of one audit in milliseconds. A phase that runs more
+// than once, such as capturing several elements, adds up.
+export function createTimer() {
+  const timings = {};
+
+  return {
+    timings,
+    async time(phase, fn) {
+      const start = performance.now();
+      try {
+        return await fn();
+      } finally {
+        timings[phase] = (timings[phase] || 0) + Math.round(performance.now() - start);
+      }
+    }
+  };
+}
+
+// Adds up the timings of several audits; null when none were timed
+export function sumTimings(list) {
+  const timed = list.filter(Boolean);
+  if (timed.length === 0) return null;
+
+  const totals = {};
+  for (const timings of timed) {
+    for (const [phase, ms] of Object.entries(timings)) {
+      totals[phase] = (totals[phase] || 0) + ms;
+    }
+  }
+  return totals;
+}
+
+export function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+export function formatTimings(timings) {
+  const phases = [
+    ...TIMING_PHASES.filter(phase => phase in timings),
+    ...Object.keys(timings).filter(phase => !TIMING_PHASES.includes(phase))
+  ];
+  const total = phases.reduce((sum, phase) => sum + timings[phase], 0);
+  return `${phases.map(phase => `${phase} ${formatDuration(timings[phase])}`).join(" · ")} (total ${formatDuration(total)})`;
+}
@@ -0,0 +1,278 @@
+import fs from "fs/promises";
+import path from "path";
+import { writeReports } from "./reports.mjs";
+import { REPORT_STYLES } from "./html-styles.mjs";
+import { printDiffSummary, printTimings } from "./console-summary.mjs";
+import { renderDiffSection } from "./html-report.mjs";
+import { escapeHtml, safeUrl, impactClass } from "./html-escape.mjs";
+import { generateSiteSummary } from "./site-report.mjs";
+import { pageKey, loadBaseline, saveBaseline, diffAgainstBaseline, filterDiff, summarizeDiff } from "./baseline.mjs";
+import { writeJUnitReport } from "./junit.mjs";
+import { writeSarifReport } from "./sarif.mjs";
+import { resolveReviewDecisions, applyReviewDecisions } from "./review.mjs";
+import { describeViewport } from "./viewports.mjs";
+import { compareAudits } from "./comparison.mjs";
+import { collectErrors, formatFailureCounts, renderErrorsSection } from "./failures.mjs";
+
+// Every viewport audits the same URL, so baselines key them by page and name.
+function viewportKey(audit) {
+  return `${pageKey(audit.results.url)}@${audit.name}`;
+}
+
+export function compareViewports(audits) {
+  const { names, rules, elements } = compareAudits(audits);
+  return {
+    viewports: names,
+    rules: rules.map(({ foundIn, ...rule }) => rule),
+    // Elements that fail at some breakpoints but pass at others
+    breakpointOnly: elements
+      .filter(element => element.foundIn.length < names.length)
+      .map(({ foundIn, ...element }) => ({ ...element, viewports: foundIn }))
+  };
+}
+
+export function generateViewportSummary(url, audits, comparison) {
+  const { pagesAudited, pagesFailed, ...totals } = generateSiteSummary(audits);
+  return {
+    ...totals,
+    url,
+    viewports: pagesAudited,
+    viewportsFailed: pagesFailed,
+    breakpointOnly: comparison.breakpointOnly.length
+  };
+}
+
+function renderComparison(comparison) {
+  if (comparison.rules.length === 0) return "";
+
+  return `
+        <div class="violations-section">
+            <h2>Violations by Viewport</h2>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Rule</th><th>Impact</th>${comparison.viewports.map(name => `<th>${escapeHtml(name)}</th>`).join("")}</tr>
+                </thead>
+                <tbody>
+                    ${comparison.rules.map(rule => `
+                    <tr>
+                        <td><a href="${safeUrl(rule.helpUrl)}" target="_blank">${escapeHtml(rule.id)}</a><br><small>${escapeHtml(rule.help)}</small></td>
+                        <td><span class="violation-impact ${impactClass(rule.impact)}">${escapeHtml(rule.impact)}</span></td>
+                        ${comparison.viewports.map(name => `<td${rule.counts[name] > 0 ? ' class="violations"' : ""}>${rule.counts[name]}</td>`).join("")}
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>
+        ${comparison.breakpointOnly.length > 0 ? `
+        <div class="violations-section">
+            <h2>Only at Some Breakpoints (${comparison.breakpointOnly.length})</h2>
+            <p class="violation-description">These elements fail at the listed viewports and pass, or are not rendered, at the others.</p>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Rule</th><th>Impact</th><th>Element</th><th>Fails at</th></tr>
+                </thead>
+                <tbody>
+                    ${comparison.breakpointOnly.map(element => `
+                    <tr>
+                        <td><a href="${safeUrl(element.helpUrl)}" target="_blank">${escapeHtml(element.ruleId)}</a></td>
+                        <td><span class="violation-impact ${impactClass(element.impact)}">${escapeHtml(element.impact)}</span></td>
+                        <td><code>${escapeHtml(element.target)}</code></td>
+                        <td>${escapeHtml(element.viewports.join(", "))}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>` : ""}`;
+}
+
+function renderViewportsHTML(summary, entries, comparison, diff, errors) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Responsive Accessibility Report - ${escapeHtml(summary.url)}</title>
+    <style>
+${REPORT_STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>Responsive Accessibility Report</h1>
+            <div class="header-info">
+                <p>${escapeHtml(summary.url)}</p>
+                <p>${escapeHtml(new Date(summary.timestamp).toLocaleString())}</p>
+            </div>
+        </header>
+
+        <div class="summary">
+            <div class="stat-card">
+                <div class="stat-number passes">${summary.viewports}</div>
+                <div class="stat-label">Viewports</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number violations">${summary.violations}</div>
+                <div class="stat-label">Violations</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number incomplete">${summary.breakpointOnly}</div>
+                <div class="stat-label">Breakpoint-Only Elements</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number inapplicable">${summary.viewportsFailed}</div>
+                <div class="stat-label">Viewports Failed</div>
+            </div>
+        </div>
+
+${renderDiffSection(diff, { showPage: true })}
+${renderErrorsSection(errors, "Viewport")}
+${renderComparison(comparison)}
+
+        <div class="violations-section">
+            <h2>Viewports</h2>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Viewport</th><th>Violations</th><th>Critical</th><th>Serious</th><th>Incomplete</th><th>Report</th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => entry.summary ? `
+                    <tr>
+                        <td>${escapeHtml(describeViewport(entry.viewport))}</td>
+                        <td>${entry.summary.violations}</td>
+                        <td>${entry.summary.violationsByImpact.critical}</td>
+                        <td>${entry.summary.violationsByImpact.serious}</td>
+                        <td>${entry.summary.incomplete}</td>
+                        <td><a href="${safeUrl(entry.reportPath)}">Details →</a></td>
+                    </tr>` : `
+                    <tr>
+                        <td>${escapeHtml(describeViewport(entry.viewport))}</td>
+                        <td colspan="5" class="violations">Failed: ${escapeHtml(entry.error)}</td>
+                    </tr>`).join("")}
+                </tbody>
+            </table>
+        </div>
+
+        <footer>
+            <p>Generated with axe-core</p>
+        </footer>
+    </div>
+</body>
+</html>`;
+}
+
+// Writes a full report per viewport under viewports/ and a combined
+// report.json and report.html comparing the viewports.
+export async function writeViewportReport(reportDir, url, audits, meta = {}) {
+  const { baseline, saveBaseline: baselineFile, junit, sarif, reviews, ...viewportMeta } = meta;
+  const audited = audits.filter(audit => audit.results);
+  const review = await resolveReviewDecisions(reviews);
+  const reviewed = audited.reduce((sum, audit) => sum + applyReviewDecisions(audit.results, review), 0);
+  if (reviewed > 0) {
+    console.log(`📝 Applied ${reviewed} review decision(s) to incomplete results`);
+  }
+  const pages = audited.map(audit => ({ url: viewportKey(audit), results: audit.results }));
+  const diff = baseline ? diffAgainstBaseline(await loadBaseline(baseline), pages) : null;
+  const entries = [];
+
+  for (const audit of audits) {
+    if (audit.error) {
+      entries.push({ name: audit.name, viewport: audit.viewport, error: audit.error, failure: audit.failure });
+      continue;
+    }
+
+    const report = await writeReports(audit.reportDir, audit.results, {
+      ...viewportMeta,
+      viewport: audit.viewport,
+      reviews: review,
+      diff: diff && filterDiff(diff, viewportKey(audit))
+    });
+    entries.push({
+      name: audit.name,
+      viewport: audit.viewport,
+      url: audit.results.url,
+      summary: report.summary,
+      results: audit.results,
+      reportPath: path.relative(reportDir, path.join(audit.reportDir, "report.html")).split(path.sep).join("/")
+    });
+  }
+
+  const comparison = compareViewports(entries);
+  const summary = generateViewportSummary(url, entries, comparison);
+  if (diff) {
+    summary.diff = summarizeDiff(diff);
+  }
+
+  const errors = collectErrors(entries, entry => entry.name);
+  const report = {
+    summary,
+    viewports: entries.map(({ results, ...entry }) => entry),
+    comparison,
+    ...(errors.length > 0 ? { errors } : {}),
+    ...(diff ? { diff } : {})
+  };
+
+  const jsonPath = path.join(reportDir, "report.json");
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  console.log(`\n📄 Responsive JSON report saved: ${jsonPath}`);
+
+  const htmlPath = path.join(reportDir, "report.html");
+  await fs.writeFile(htmlPath, renderViewportsHTML(summary, entries, comparison, diff, errors));
+  console.log(`🌐 Responsive HTML report saved: ${htmlPath}`);
+
+  if (baselineFile) {
+    await saveBaseline(baselineFile, pages);
+  }
+
+  if (junit) {
+    await writeJUnitReport(junit, entries.map(entry => ({
+      url: `${url} [${entry.name}]`,
+      browser: meta.browser,
+      results: entry.results,
+      error: entry.error,
+      failure: entry.failure
+    })));
+  }
+
+  if (sarif) {
+    await writeSarifReport(sarif, audited.map(audit => ({ url: audit.results.url, browser: meta.browser, results: audit.results })));
+  }
+
+  return report;
+}
+
+export function printViewportSummary(summary, comparison) {
+  console.log("\n" + "=".repeat(60));
+  console.log("📐 RESPONSIVE ACCESSIBILITY SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`🔗 URL: ${summary.url}`);
+  console.log(`📱 Viewports Audited: ${summary.viewports}`);
+  if (summary.viewportsFailed > 0) {
+    console.log(`💥 Viewports Failed: ${formatFailureCounts(summary.viewportsFailed, summary.failuresByCategory)}`);
+  }
+  console.log("-".repeat(60));
+  console.log(`❌ Violations: ${summary.violations}`);
+  console.log(`⚠️  Incomplete: ${summary.incomplete}`);
+  console.log(`   🔴 Critical: ${summary.violationsByImpact.critical}`);
+  console.log(`   🟠 Serious: ${summary.violationsByImpact.serious}`);
+  console.log(`   🟡 Moderate: ${summary.violationsByImpact.moderate}`);
+  console.log(`   🔵 Minor: ${summary.violationsByImpact.minor}`);
+
+  if (comparison.rules.length > 0) {
+    console.log("-".repeat(60));
+    console.log(`📋 Violations by Rule (${comparison.viewports.join(" / ")}):`);
+    comparison.rules.forEach(rule => {
+      console.log(`   ${rule.id}: ${comparison.viewports.map(name => rule.counts[name]).join(" / ")}`);
+    });
+  }
+
+  if (comparison.breakpointOnly.length > 0) {
+    console.log("-".repeat(60));
+    console.log(`📐 Only at Some Breakpoints: ${comparison.breakpointOnly.length} element(s)`);
+    comparison.breakpointOnly.slice(0, 10).forEach(element => {
+      console.log(`   [${element.impact}] ${element.ruleId} at ${element.viewports.join(", ")}: ${element.target}`);
+    });
+  }
+
+  printDiffSummary(summary.diff);
+  printTimings(summary.timings);
+
+  console.log("=".repeat(60));
+}
@@ -0,0 +1,114 @@
+import fs from "fs/promises";
+import path from "path";
+import { runPool } from "./pool.mjs";
+import { describeFailure, formatFailure } from "./failures.mjs";
+
+// Breakpoints most layouts switch at; the mobile and tablet presets also
+// emulate a touch screen and a high-density display.
+export const VIEWPORT_PRESETS = {
+  mobile: { width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  tablet: { width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  desktop: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false }
+};
+
+// One entry of --viewports: a preset, WIDTHxHEIGHT, or a device name the
+// runner looks up in its browser library's device list.
+export function parseViewportSpec(value) {
+  const name = String(value).trim();
+  if (VIEWPORT_PRESETS[name]) {
+    return { name, ...VIEWPORT_PRESETS[name] };
+  }
+
+  const size = /^(\d+)x(\d+)$/.exec(name);
+  if (size) {
+    const [width, height] = [Number(size[1]), Number(size[2])];
+    if (width < 1 || height < 1) {
+      throw new Error(`expected a width and height of at least 1, got "${name}"`);
+    }
+    return { name, width, height };
+  }
+
+  return { name, device: name };
+}
+
+export function parseViewports(value) {
+  const specs = [].concat(value)
+    .flatMap(item => (typeof item === "string" ? item.split(",") : [item]))
+    .filter(item => typeof item !== "string" || item.trim())
+    .map(item => (typeof item === "string" ? parseViewportSpec(item) : { name: `${item.width}x${item.height}`, ...item }));
+
+  if (specs.length === 0) {
+    throw new Error("expected at least one viewport, e.g. mobile,tablet,desktop");
+  }
+
+  const names = specs.map(spec => spec.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`viewport "${duplicate}" is listed twice`);
+  }
+
+  return specs;
+}
+
+// Playwright keeps the scale, mobile and touch flags next to the viewport,
+// Puppeteer inside it; both shapes resolve to the same flat viewport.
+export function resolveViewports(specs, devices = {}) {
+  return specs.map(spec => {
+    if (!spec.device) return spec;
+
+    const device = devices[spec.device];
+    if (!device) {
+      const presets = Object.keys(VIEWPORT_PRESETS).join(", ");
+      throw new Error(`Unknown viewport "${spec.device}" (expected ${presets}, WIDTHxHEIGHT or a device name such as "iPhone 13")`);
+    }
+
+    const { width, height, deviceScaleFactor, isMobile, hasTouch } = device.viewport;
+    return {
+      name: spec.name,
+      width,
+      height,
+      deviceScaleFactor: device.deviceScaleFactor ?? deviceScaleFactor ?? 1,
+      isMobile: device.isMobile ?? isMobile ?? false,
+      hasTouch: device.hasTouch ?? hasTouch ?? false,
+      userAgent: device.userAgent
+    };
+  });
+}
+
+export function describeViewport(viewport) {
+  const size = `${viewport.width}x${viewport.height}`;
+  const traits = [
+    viewport.deviceScaleFactor > 1 && `@${viewport.deviceScaleFactor}x`,
+    viewport.hasTouch && "touch"
+  ].filter(Boolean);
+  const details = [viewport.name !== size && size, ...traits].filter(Boolean).join(", ");
+  return details ? `${viewport.name} (${details})` : viewport.name;
+}
+
+export function viewportDirName(index, viewport) {
+  const slug = viewport.name.replace(/[^a-z0-9]+/gi, "-").replace(/^-+|-+$/g, "").toLowerCase() || "viewport";
+  return `${String(index + 1).padStart(2, "0")}-${slug}`;
+}
+
+// Audits the same page once per viewport, up to `concurrency` at a time.
+// auditViewport(viewport, viewportDir) is supplied by the runner and resolves
+// to the axe results; a viewport that fails is recorded and the others still run.
+export async function auditViewports({ viewports, reportDir, concurrency = 1, auditViewport }) {
+  console.log(`\n📐 Auditing ${viewports.length} viewport(s): ${viewports.map(viewport => viewport.name).join(", ")}`);
+
+  return runPool(viewports, async (viewport, index) => {
+    const viewportDir = path.join(reportDir, "viewports", viewportDirName(index, viewport));
+    await fs.mkdir(viewportDir, { recursive: true });
+
+    console.log(`\n📱 [${index + 1}/${viewports.length}] ${describeViewport(viewport)}`);
+
+    try {
+      const results = await auditViewport(viewport, viewportDir);
+      return { name: viewport.name, viewport, reportDir: viewportDir, results };
+    } catch (error) {
+      const failure = describeFailure(error);
+      console.error(`❌ Failed to audit at ${viewport.name}: ${formatFailure(failure)}`);
+      return { name: viewport.name, viewport, reportDir: viewportDir, error: failure.message, failure };
+    }
+  }, { concurrency });
+}
@@ -0,0 +1,372 @@
+import { EventEmitter } from 'events';
+import { remote } from 'webdriverio';
+import AxeBuilder from '@axe-core/webdriverio';
+import axeCore from 'axe-core';
+import path from 'path';
+import {
+  createReportDir,
+  createTimestamp,
+  writeReports,
+  printConsoleSummary,
+  printViolationDetails,
+  auditSite,
+  resolveAuth,
+  shareLogin,
+  redactUrl,
+  settingsForUrl,
+  loadPlugins,
+  pluginScript,
+  withPluginTags,
+  recordPlugins,
+  AuditError,
+  classifyError,
+  toAuditError,
+  describeFailure,
+  formatFailure,
+  navigateWithRetries,
+  runPool,
+  writeBrowserReport,
+  printBrowserSummary
+} from 'axe-report-core';
+import { GRID_CREDENTIAL_ENV, gridConnection, capabilityName, remoteCapabilities, capabilityDirName, checkCapabilities } from './grid.mjs';
+
+export { GRID_CREDENTIAL_ENV, gridConnection, capabilityName, remoteCapabilities, capabilityDirName, checkCapabilities };
+
+// WebdriverIO cookies use expiry instead of expires and can only be set for
+// the origin the browser is currently on.
+function toWebdriverCookie({ name, value, domain, path: cookiePath, secure, httpOnly, sameSite, expires, expiry }) {
+  return {
+    name,
+    value,
+    domain,
+    path: cookiePath,
+    secure,
+    httpOnly,
+    sameSite,
+    ...(expires > 0 ? { expiry: Math.floor(expires) } : {}),
+    ...(expiry > 0 ? { expiry } : {})
+  };
+}
+
+function withCredentials(url, { username, password }) {
+  const parsed = new URL(url);
+  parsed.username = encodeURIComponent(username);
+  parsed.password = encodeURIComponent(password);
+  return parsed.href;
+}
+
+export class AccessibilityAuditor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.url = options.url || 'https://www.deque.com/axe/core-documentation/';
+    this.outputDir = options.outputDir || path.join(process.cwd(), 'accessibility-reports');
+    this.headless = options.headless !== false;
+    this.viewport = options.viewport || null;
+    this.axeOptions = options.axeOptions || {
+      runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] }
+    };
+    this.context = options.context || null;
+    this.timeout = options.timeout ?? 30000;
+    this.retries = options.retries ?? 0;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.overrides = options.overrides || [];
+    this.baseline = options.baseline || null;
+    this.saveBaseline = options.saveBaseline || null;
+    this.junit = options.junit || null;
+    this.sarif = options.sarif || null;
+    this.reviews = options.reviews || null;
+    this.pluginPaths = options.plugins || null;
+    this.plugins = null;
+    this.pluginScript = '';
+    this.auth = options.auth || {};
+    this.concurrency = options.concurrency ?? 1;
+    // { url, user, key, capabilities } of a remote WebDriver endpoint
+    this.grid = options.grid || null;
+    this.timestamp = createTimestamp();
+    this.sharedLogIn = shareLogin((browser, url) => this.logIn(browser, url));
+  }
+
+  async init() {
+    if (Object.keys(this.auth.headers || {}).length > 0) {
+      throw new Error('--header is not supported by the WebdriverIO runner, use --cookies, --storage-state or --login instead');
+    }
+
+    this.reportDir = await createReportDir(this.outputDir, this.timestamp);
+    if (!this.resolvedAuth) {
+      this.resolvedAuth = await resolveAuth(this.auth);
+    }
+    if (!this.plugins) {
+      this.plugins = await loadPlugins(this.pluginPaths);
+      this.pluginScript = pluginScript(this.plugins);
+    }
+  }
+
+  // A local Chrome, or a session on the grid with the given capabilities
+  // (by default the first of its matrix, or Chrome)
+  async launchBrowser(capabilities = this.grid?.capabilities?.[0] || { browserName: 'chrome' }) {
+    if (this.grid) {
+      const connection = gridConnection(this.grid);
+      console.log(`Starting remote session for ${capabilityName(capabilities)} on ${redactUrl(this.grid.url)}...`);
+      let browser;
+      try {
+        browser = await remote({
+          logLevel: 'error',
+          ...connection,
+          capabilities: remoteCapabilities(capabilities)
+        });
+      } catch (error) {
+        // "Failed to create session." is followed by the reason on the next line
+        const reason = String(error.message).split('\n').slice(0, 2).join(' ');
+        throw new AuditError(reason, { category: classifyError(error), cause: error });
+      }
+      this.emit('session', { sessionId: browser.sessionId, name: capabilityName(capabilities), capabilities: browser.capabilities });
+      return browser;
+    }
+
+    console.log('Starting WebdriverIO browser...');
+    return remote({
+      logLevel: 'error',
+      capabilities: {
+        browserName: 'chrome',
+        'goog:chromeOptions': {
+          args: [
+            ...(this.headless ? ['--headless'] : []),
+            '--disable-gpu',
+            '--no-sandbox',
+            '--disable-dev-shm-usage'
+          ]
+        }
+      }
+    });
+  }
+
+  // Config overrides can change the rules, context, timeout and retries per
+  // URL. waitUntil has no WebDriver equivalent, navigation always waits for load.
+  settingsFor(url) {
+    const settings = settingsForUrl({
+      axeOptions: this.axeOptions,
+      context: this.context,
+      timeout: this.timeout,
+      retries: this.retries,
+      retryDelay: this.retryDelay
+    }, this.overrides, url);
+    return { ...settings, axeOptions: withPluginTags(settings.axeOptions, this.plugins || []) };
+  }
+
+  // WebDriver does not expose the response status, so only connection errors
+  // and timeouts are detected and retried here
+  async navigate(browser, url, settings) {
+    const { httpCredentials } = this.resolvedAuth;
+    await navigateWithRetries(async () => {
+      await browser.url(httpCredentials ? withCredentials(url, httpCredentials) : url);
+    }, settings);
+  }
+
+  async applySession(browser, url) {
+    const { storageState, cookies, httpCredentials } = this.resolvedAuth;
+    const { origin } = new URL(url);
+    const sessionCookies = this.loginCookies || [...(storageState?.cookies || []), ...cookies];
+    const localStorageItems = storageState?.origins.find(entry => entry.origin === origin)?.localStorage || [];
+
+    if (sessionCookies.length > 0 || localStorageItems.length > 0 || httpCredentials) {
+      await browser.url(httpCredentials ? withCredentials(origin, httpCredentials) : origin);
+    }
+
+    if (sessionCookies.length > 0) {
+      await browser.setCookies(sessionCookies.map(toWebdriverCookie));
+    }
+
+    if (localStorageItems.length > 0) {
+      await browser.execute((items) => {
+        items.forEach(({ name, value }) => window.localStorage.setItem(name, value));
+      }, localStorageItems);
+    }
+  }
+
+  async logIn(browser, url) {
+    const { login, credentials } = this.resolvedAuth;
+
+    await this.applySession(browser, url);
+    console.log('🔑 Running login module...');
+    await login({ page: browser, browser, url, credentials });
+    // Later sessions start from the logged-in cookies instead of logging in again
+    this.loginCookies = await browser.getCookies();
+    this.emit('authenticated', { url });
+  }
+
+  async authenticate(browser, url) {
+    if (this.resolvedAuth.login) {
+      await this.sharedLogIn(browser, url);
+    }
+
+    await this.applySession(browser, url);
+  }
+
+  async auditTarget({ url = this.url, capabilities } = {}) {
+    const settings = this.settingsFor(url);
+    let browser;
+
+    try {
+      browser = await this.launchBrowser(capabilities);
+      await browser.setTimeout({ pageLoad: settings.timeout });
+      if (this.viewport) {
+        await browser.setWindowSize(this.viewport.width, this.viewport.height);
+      }
+      await this.authenticate(browser, url);
+
+      console.log(`Navigating to ${redactUrl(url)}...`);
+      await this.navigate(browser, url, settings);
+      this.emit('navigated', { url });
+
+      console.log('Running axe-core accessibility tests...');
+      // AxeBuilder injects its source into every frame, so the plugins'
+      // rules travel with axe-core
+      const axeBuilder = new AxeBuilder({
+        client: browser,
+        ...(this.pluginScript ? { axeSource: `${axeCore.source}\n${this.pluginScript}` } : {})
+      }).options(settings.axeOptions);
+      settings.context?.include?.forEach(selector => axeBuilder.include(selector));
+      settings.context?.exclude?.forEach(selector => axeBuilder.exclude(selector));
+
+      const results = await axeBuilder.analyze().catch(error => {
+        throw new AuditError(`axe-core failed: ${error.message.split('\n')[0]}`, { category: 'axe', cause: error });
+      });
+      results.url = redactUrl(results.url);
+      recordPlugins(results, this.plugins || []);
+      this.emit('analyzed', { url, results });
+
+      const links = await browser.execute(() => Array.from(document.links, link => link.href));
+
+      return { results, links };
+    } catch (error) {
+      throw toAuditError(error);
+    } finally {
+      if (browser) {
+        await browser.deleteSession();
+        console.log('Browser session closed.');
+      }
+    }
+  }
+
+  async runAudit(target = {}) {
+    const { results } = await this.auditTarget(target);
+    return results;
+  }
+
+  reportMeta() {
+    return {
+      framework: 'WebdriverIO',
+      viewport: this.viewport,
+      axeOptions: this.axeOptions,
+      baseline: this.baseline,
+      saveBaseline: this.saveBaseline,
+      junit: this.junit,
+      sarif: this.sarif,
+      reviews: this.reviews
+    };
+  }
+
+  async saveReports(results) {
+    const report = await writeReports(this.reportDir, results, this.reportMeta());
+    const outcome = {
+      ...report,
+      reportDir: this.reportDir,
+      files: {
+        json: path.join(this.reportDir, 'report.json'),
+        html: path.join(this.reportDir, 'report.html')
+      }
+    };
+
+    this.emit('reported', outcome);
+    return outcome;
+  }
+
+  async run() {
+    try {
+      await this.init();
+      const results = await this.runAudit();
+      printViolationDetails(results.violations);
+
+      const report = await this.saveReports(results);
+      printConsoleSummary(report.summary);
+      console.log(`\n📁 Reports saved in: ${this.reportDir}`);
+
+      return report;
+    } catch (error) {
+      console.error('Error running accessibility tests:', error instanceof AuditError ? formatFailure(describeFailure(error)) : error);
+      throw error;
+    }
+  }
+
+  async crawl({ startUrl, urls, sitemap, urlList, maxDepth, maxPages, dir, routes } = {}) {
+    try {
+      await this.init();
+      const report = await auditSite({
+        startUrl: startUrl || (urls || sitemap || urlList || dir ? null : this.url),
+        urls,
+        sitemap,
+        urlList,
+        maxDepth,
+        maxPages,
+        dir,
+        routes,
+        reportDir: this.reportDir,
+        concurrency: this.concurrency,
+        meta: this.reportMeta(),
+        auditUrl: url => this.auditTarget({ url })
+      });
+      this.emit('reported', report);
+      return report;
+    } catch (error) {
+      console.error('\n❌ Crawl failed:', error.message);
+      throw error;
+    }
+  }
+
+  // Serves a local build (e.g. dist/) on a free port and audits every page in
+  // it, or the ones in the route list, as one site report without following links
+  async auditDirectory({ dir, routes } = {}) {
+    return this.crawl({ dir, routes });
+  }
+
+  // Audits the page once per capability of the grid's matrix, up to
+  // `concurrency` sessions at a time, and compares them in one report
+  async runGrid(capabilities = this.grid?.capabilities) {
+    try {
+      if (!this.grid) {
+        throw new Error('runGrid needs a grid: { url, capabilities }');
+      }
+      const names = checkCapabilities(capabilities);
+      gridConnection(this.grid);
+      await this.init();
+
+      const runs = await runPool(capabilities, async (caps, index) => {
+        const name = names[index];
+        console.log(`\n${'='.repeat(60)}`);
+        console.log(`🌍 [${index + 1}/${capabilities.length}] ${name}`);
+        console.log('='.repeat(60));
+
+        const reportDir = await createReportDir(path.join(this.reportDir, 'browsers'), capabilityDirName(index, name));
+        try {
+          const { results } = await this.auditTarget({ capabilities: caps });
+          return { name, reportDir, results };
+        } catch (error) {
+          const failure = describeFailure(error);
+          console.error(`❌ Failed on ${name}: ${formatFailure(failure)}`);
+          return { name, reportDir, error: failure.message, failure };
+        }
+      }, { concurrency: this.concurrency });
+
+      const report = await writeBrowserReport(this.reportDir, redactUrl(this.url), runs, this.reportMeta());
+      this.emit('reported', { ...report, reportDir: this.reportDir });
+
+      printBrowserSummary(report.summary, report.comparison, report.browsers);
+      console.log(`\n📁 Grid report saved in: ${this.reportDir}\n`);
+
+      return { ...report, reportDir: this.reportDir };
+    } catch (error) {
+      console.error('\n❌ Grid run failed:', error.message);
+      throw error;
+    }
+  }
+}
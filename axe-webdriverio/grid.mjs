@@ -0,0 +1,60 @@
+import { UsageError } from 'axe-report-core';
+
+// Like every other credential, the grid's user and key are only read from
+// the environment, never from the grid URL, a config file or the command line
+export const GRID_CREDENTIAL_ENV = {
+  user: 'A11Y_GRID_USER',
+  key: 'A11Y_GRID_KEY'
+};
+
+// A grid is any WebDriver endpoint: Selenium standalone or Grid, a bare
+// chromedriver, or a cloud provider. user and key are only set by code, e.g.
+// for Sauce Labs from SAUCE_USERNAME and SAUCE_ACCESS_KEY.
+export function gridConnection({ url, user, key }, env = process.env) {
+  let endpoint;
+  try {
+    endpoint = new URL(url);
+  } catch {
+    throw new UsageError(`Invalid grid URL "${url}"`);
+  }
+  if (endpoint.username || endpoint.password) {
+    throw new UsageError(`Leave the credentials out of the grid URL and set ${GRID_CREDENTIAL_ENV.user} and ${GRID_CREDENTIAL_ENV.key} in the environment instead`);
+  }
+
+  return {
+    protocol: endpoint.protocol.replace(/:$/, ''),
+    hostname: endpoint.hostname,
+    port: Number(endpoint.port) || (endpoint.protocol === 'https:' ? 443 : 80),
+    path: endpoint.pathname,
+    user: user || env[GRID_CREDENTIAL_ENV.user] || undefined,
+    key: key || env[GRID_CREDENTIAL_ENV.key] || undefined
+  };
+}
+
+// "name" only labels the entry in the reports; the rest is sent as is, so
+// vendor capabilities such as goog:chromeOptions or sauce:options work
+export function capabilityName({ name, browserName, browserVersion, platformName }) {
+  return name || [browserName, browserVersion, platformName && `on ${platformName}`].filter(Boolean).join(' ');
+}
+
+export function remoteCapabilities({ name, ...capabilities }) {
+  return capabilities;
+}
+
+export function capabilityDirName(index, name) {
+  const slug = name.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'session';
+  return `${String(index + 1).padStart(2, '0')}-${slug}`;
+}
+
+export function checkCapabilities(capabilities = []) {
+  if (capabilities.length === 0) {
+    throw new Error('The grid needs at least one capability, e.g. { "browserName": "chrome" }');
+  }
+
+  const names = capabilities.map(capabilityName);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Capability "${duplicate}" is listed twice; give one of them a "name"`);
+  }
+  return names;
+}
@@ -1,72 +1,149 @@
-if (/jenkins/.test(process.env.PLATFORM)) {
-  process.env.GLOBAL_AGENT_HTTP_PROXY = "";
-  process.env.GLOBAL_AGENT_HTTPS_PROXY = "";
-  process.env.GLOBAL_AGENT_NO_PROXY = "";
-}
-
 import "global-agent/bootstrap.js";
 import SauceLabs from "saucelabs";
-import AbortController from "abort-controller";
-import fetch from "node-fetch";
-import path from "path";
-import { remote } from "webdriverio";
+import {
+  applyGate,
+  worstExitCode,
+  EXIT_CODES,
+  UsageError,
+  parseCommandLine,
+  renderHelp,
+  resolveRunOptions,
+  HELP_OPTION,
+  CONFIG_OPTION,
+  PAGE_OPTIONS,
+  PLUGINS_OPTION,
+  CONCURRENCY_OPTION,
+  GATE_OPTIONS,
+  OUTPUT_OPTIONS,
+  AUTH_OPTIONS
+} from "axe-report-core";
+import { AccessibilityAuditor, capabilityName, gridConnection } from "axe-report";
 
-const RUN_ON_SAUCELABS = false;
+// Runs the axe audit of one page on every capability of a remote WebDriver
+// grid: Selenium, a bare chromedriver or Sauce Labs. Requests go through
+// GLOBAL_AGENT_HTTP_PROXY / GLOBAL_AGENT_HTTPS_PROXY when they are set.
 
-(async () => {
-  const saucelabs = new SauceLabs.default({
-    logfile: path.join(process.cwd(), "saucelabs.log"),
-  });
+const OPTIONS = [
+  CONFIG_OPTION,
+  { name: "url", alias: "u", value: "url", description: "URL to test (default: https://webdriver.io/)" },
+  { name: "output", alias: "o", value: "dir", key: "outputDir", description: "Output directory for reports (default: ./accessibility-reports)" },
+  { name: "grid", value: "url", key: "grid.url", description: "WebDriver endpoint, e.g. http://localhost:4444 (Selenium) or http://localhost:9515 (chromedriver)" },
+  { name: "saucelabs", key: "grid.provider", set: "saucelabs", description: "Run on Sauce Labs with SAUCE_USERNAME and SAUCE_ACCESS_KEY from the environment" },
+  { name: "region", value: "region", key: "grid.region", description: "Sauce Labs region: us or eu (default: us)" },
+  {
+    name: "browsers",
+    value: "list",
+    key: "grid.capabilities",
+    parse: value => value.split(",").map(name => name.trim()).filter(Boolean).map(browserName => ({ browserName })),
+    description: "Comma-separated browser names to use instead of grid.capabilities, e.g. chrome,firefox (default: chrome)"
+  },
+  // WebDriver navigation always waits for the load event
+  ...PAGE_OPTIONS.filter(option => option.name !== "wait-until"),
+  PLUGINS_OPTION,
+  { ...CONCURRENCY_OPTION, description: "Run up to n grid sessions at the same time (default: 1)" },
+  ...GATE_OPTIONS,
+  ...OUTPUT_OPTIONS,
+  ...AUTH_OPTIONS.filter(option => option.name !== "header"),
+  HELP_OPTION
+];
 
-  const controller = new AbortController();
+const DEFAULTS = {
+  url: "https://webdriver.io/",
+  concurrency: 1,
+  failOn: [],
+  budget: {},
+  failOnNew: []
+};
 
-  const saucelabsResponse = await fetch(saucelabs.webdriverEndpoint, {
-    signal: controller.signal,
-  });
-
-  console.log(`saucelabs response: ${saucelabsResponse.ok}`);
+// Sauce Labs finds the datacenter from the region and names each job after
+// the page and capability; sauce:options from the config take precedence.
+function sauceLabsGrid(grid, url) {
+  if (grid.url) {
+    throw new UsageError("--saucelabs picks the endpoint from the region; leave out --grid and grid.url");
+  }
 
-  if (!saucelabsResponse.ok)
-    throw new Error("error with saucelabs connections");
+  const user = process.env.SAUCE_USERNAME;
+  const key = process.env.SAUCE_ACCESS_KEY;
+  if (!user || !key) {
+    throw new UsageError("Sauce Labs needs SAUCE_USERNAME and SAUCE_ACCESS_KEY in the environment");
+  }
 
-  await controller.abort();
+  const { webdriverEndpoint } = new SauceLabs.default({ user, key, region: grid.region });
+  const datacenter = new URL(webdriverEndpoint).hostname.split(".")[1];
 
-  const webdriverSettings = {
-    logLevel: "error",
-    capabilities: {
-      browserName: "chrome",
-      browserVersion: "latest",
-      platformName: "macOS 12",
-    },
+  return {
+    ...grid,
+    url: webdriverEndpoint,
+    user,
+    key,
+    dashboard: datacenter === "us-west-1" ? "https://app.saucelabs.com" : `https://app.${datacenter}.saucelabs.com`,
+    capabilities: grid.capabilities.map(capabilities => ({
+      ...capabilities,
+      "sauce:options": {
+        name: `Accessibility audit of ${url} (${capabilityName(capabilities)})`,
+        ...capabilities["sauce:options"]
+      }
+    }))
   };
+}
 
-  if (RUN_ON_SAUCELABS)
-    webdriverSettings.capabilities["sauce:options"] = {
-      region: "us",
-      name: "testing",
-      "custom-data": {},
-      public: "public",
-      recordScreenshots: true,
-      screenResolution: "2048x1536",
-      extendedDebugging: false,
-      capturePerformance: false,
-    };
+async function parseArgs() {
+  const { options } = parseCommandLine(process.argv.slice(2), { options: OPTIONS, command: "node index.mjs" });
 
-  if (RUN_ON_SAUCELABS)
-    Object.assign(webdriverSettings, {
-      user: process.env.SAUCE_USERNAME,
-      key: process.env.SAUCE_ACCESS_KEY,
-    });
+  if (options.help) {
+    console.log(renderHelp({
+      title: "Accessibility Testing on a Remote WebDriver Grid",
+      usage: "node index.mjs [options]",
+      options: OPTIONS,
+      notes: [
+        "The capability matrix comes from grid.capabilities in the config file, or from --browsers.",
+        "Options given on the command line override the config file."
+      ],
+      examples: [
+        "node index.mjs --grid http://localhost:9515 --browsers chrome --url https://example.com",
+        "node index.mjs --grid http://localhost:4444 --browsers chrome,firefox --concurrency 2",
+        "node index.mjs --saucelabs --region eu --fail-on critical,serious"
+      ]
+    }));
+    process.exit(0);
+  }
 
-  const browser = await remote(webdriverSettings);
+  const resolved = await resolveRunOptions(DEFAULTS, options);
+  const grid = {
+    ...resolved.grid,
+    capabilities: resolved.grid?.capabilities?.length ? resolved.grid.capabilities : [{ browserName: "chrome" }]
+  };
+
+  if (grid.provider === "saucelabs") {
+    return { ...resolved, grid: sauceLabsGrid(grid, resolved.url) };
+  }
+  if (!grid.url) {
+    throw new UsageError("No grid to run on: set grid.url in the config, or pass --grid <url> or --saucelabs");
+  }
+  // Rejects credentials in the URL before any session starts
+  gridConnection(grid);
+  return { ...resolved, grid };
+}
 
-  await browser.url("https://webdriver.io/");
-  const pageTitle = await browser.getTitle();
-  const sessionId = browser.sessionId;
+(async () => {
+  const options = await parseArgs();
+  const auditor = new AccessibilityAuditor(options);
+
+  auditor.on("session", ({ sessionId, name }) => {
+    console.log(options.grid.dashboard
+      ? `🔗 ${name}: ${options.grid.dashboard}/tests/${sessionId}`
+      : `🔗 ${name}: session ${sessionId}`);
+  });
 
-  console.log(`${pageTitle}: https://app.saucelabs.com/tests/${sessionId}`);
+  const report = await auditor.runGrid();
 
-  await browser.deleteSession();
-})().catch(async (e) => {
-  console.error(e);
+  // Each capability is gated on its own, like --all-browsers
+  process.exitCode = worstExitCode(report.browsers.map(browser => (
+    browser.summary
+      ? applyGate(browser.summary, { ...options, label: browser.name })
+      : EXIT_CODES.error
+  )));
+})().catch(error => {
+  console.error(error instanceof UsageError ? `❌ ${error.message}` : error);
+  process.exit(EXIT_CODES.error);
 });